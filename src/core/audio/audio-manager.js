@@ -1,9 +1,23 @@
+import * as Tone from 'tone';
+import { playNote } from '../../../utils/synthManager.js';
+import { QuantizationSettings, getGridDuration, quantizeTime } from '../../../utils/midiSequencer.js';
+import { MidiOutput, MIDI_OUTPUT_MODES } from './midiOutput.js';
+import { STRIP_TYPES, getStripLevel, setMuted } from '../../../utils/mixer.js';
+import { getImpactVelocity } from '../../../utils/velocityCurve.js';
+
 export class AudioManager {
   constructor() {
     this.context = null;
     this.sounds = {};
     this.isMuted = false;
     this.isInitialized = false;
+    
+    // Rhythmic quantization of collision notes against the transport grid
+    this.timingQuantization = QuantizationSettings.NONE;
+    this.quantizeStrength = 1;
+    
+    // Collision notes can also (or instead) go out to a MIDI port
+    this.midiOutput = new MidiOutput();
   }
   
   async start() {
@@ -28,12 +42,73 @@ export class AudioManager {
     } else {
       this.isInitialized = true;
     }
+    
+    // Wall notes play through Tone.js, which needs its own user-gesture start
+    try {
+      await Tone.start();
+    } catch (e) {
+      console.warn("Tone.js start failed:", e);
+    }
+    
+    // Only ask for MIDI access once it has been turned on, since browsers may prompt
+    if (this.midiOutput.getSettings().mode !== MIDI_OUTPUT_MODES.OFF) {
+      await this.midiOutput.init();
+    }
+  }
+  
+  setTimingQuantization(settings, strength = this.quantizeStrength) {
+    this.timingQuantization = settings;
+    this.quantizeStrength = Math.max(0, Math.min(1, strength));
+  }
+  
+  // When to play a collision note: now, or later on the transport grid.
+  // Only quantizes while the transport is running, since the grid is
+  // measured from the transport position.
+  getNoteTime() {
+    if (this.timingQuantization.id === 'none' || Tone.Transport.state !== 'started') {
+      return undefined;
+    }
+    
+    const position = Tone.Transport.seconds;
+    const grid = getGridDuration(this.timingQuantization, Tone.Transport.bpm.value);
+    return Tone.now() + quantizeTime(position, grid, this.quantizeStrength) - position;
   }
   
-  playCollisionSound(velocity) {
+  playCollisionSound(velocity, note = null, instrument = null, position = null, wallId = null, dispenserId = null) {
     if (this.isMuted || !this.isInitialized) return;
     
+    // Muted or soloed-out dispensers skip the note entirely
+    const dispenserLevel = dispenserId ? getStripLevel(STRIP_TYPES.DISPENSER, dispenserId) : 1;
+    if (dispenserLevel === 0) return;
+    
+    // Rolling contacts below the noise gate make no sound
+    const dynamics = getImpactVelocity(velocity);
+    if (dynamics === 0) return;
+    
     try {
+      // Walls play their own pitch; only note-less hits fall back to the blip below
+      if (note) {
+        const time = this.getNoteTime();
+        const noteVelocity = dynamics * dispenserLevel;
+        
+        // MIDI skips the instrument buses, so their strips scale its velocity here
+        const midiVelocity = instrument ? noteVelocity * getStripLevel(STRIP_TYPES.INSTRUMENT, instrument) : noteVelocity;
+        if (this.midiOutput.isActive && midiVelocity > 0) {
+          this.midiOutput.playNote(note, {
+            velocity: midiVelocity,
+            duration: Tone.Time('16n').toSeconds(),
+            delay: time === undefined ? 0 : time - Tone.now(),
+            wallId,
+            instrument
+          });
+        }
+        if (this.midiOutput.playsSynths) {
+          playNote(note, '16n', time, noteVelocity, instrument, position);
+        }
+        this.announceCollision(velocity);
+        return;
+      }
+      
       const oscillator = this.context.createOscillator();
       const gainNode = this.context.createGain();
       
@@ -44,8 +119,8 @@ export class AudioManager {
       const frequency = 200 + (Math.abs(velocity) * 100);
       oscillator.frequency.setValueAtTime(frequency, this.context.currentTime);
       
-      // Map velocity to volume
-      const volume = Math.min(0.5, Math.abs(velocity) / 10);
+      // Map velocity to volume, half as loud as a note at most
+      const volume = 0.5 * dynamics * dispenserLevel;
       gainNode.gain.setValueAtTime(volume, this.context.currentTime);
       
       // Quick decay
@@ -75,12 +150,26 @@ export class AudioManager {
     announcer.textContent = `${intensity} collision`;
   }
   
+  /**
+   * Mute or unmute every audio path: collision notes, the Tone synths
+   * (sequencer and previews included) and MIDI output
+   * @param {boolean} muted - Whether to mute
+   */
+  setMuted(muted) {
+    this.isMuted = Boolean(muted);
+    setMuted(this.isMuted);
+    if (this.isMuted) {
+      this.midiOutput.allNotesOff();
+    }
+  }
+  
   toggleMute() {
-    this.isMuted = !this.isMuted;
+    this.setMuted(!this.isMuted);
     return this.isMuted;
   }
   
   dispose() {
+    this.midiOutput.dispose();
     if (this.context) {
       this.context.close();
       this.context = null;
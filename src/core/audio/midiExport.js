@@ -0,0 +1,121 @@
+import { HeadlessSimulation } from '../simulation/HeadlessSimulation.js';
+import { getImpactVelocity } from '../../../utils/velocityCurve.js';
+import { getBarDuration } from './offlineRender.js';
+import { noteToMidi } from '../../../utils/scaleEngine.js';
+import { DRUM_CHANNEL, MELODIC_CHANNELS, encodeMidiFile } from '../../../utils/midiFile.js';
+
+// MIDI export plays a scene on HeadlessSimulation and writes what it plays as
+// a Standard MIDI File: wall collisions as notes, one track per wall or per
+// instrument, and dispenser triggers on a drum track of their own.
+
+export const MIDI_TRACK_MODES = {
+  WALL: 'wall',
+  INSTRUMENT: 'instrument'
+};
+
+// General MIDI programs closest to each instrument prefab
+const GM_PROGRAMS = {
+  epiano: 4,
+  glockenspiel: 9,
+  vibraphone: 11,
+  marimba: 12,
+  xylophone: 13,
+  kalimba: 108
+};
+
+// Each dispenser's triggers play their own drum, starting from the GM kick;
+// past the top MIDI note the rest share it
+const FIRST_TRIGGER_NOTE = 36;
+const MAX_MIDI_NOTE = 127;
+const TRIGGER_VELOCITY = 100;
+
+function toMidiVelocity(velocity) {
+  return Math.max(1, Math.round(getImpactVelocity(velocity) * 127));
+}
+
+// Group collisions into note tracks, in order of first appearance
+function collisionTracks(collisions, mode, noteDuration) {
+  const tracks = new Map();
+  collisions.forEach(({ time, wallId, instrument, note, velocity }) => {
+    const key = mode === MIDI_TRACK_MODES.WALL ? wallId : instrument;
+    if (!tracks.has(key)) {
+      const channel = MELODIC_CHANNELS[tracks.size % MELODIC_CHANNELS.length];
+      tracks.set(key, {
+        name: mode === MIDI_TRACK_MODES.WALL ? `Wall ${wallId}` : instrument,
+        channel,
+        program: GM_PROGRAMS[instrument] ?? null,
+        notes: []
+      });
+    }
+    // Tuned frequencies and octave-9 keys can sit beyond MIDI's range
+    const midi = noteToMidi(note);
+    if (midi < 0 || midi > MAX_MIDI_NOTE) return;
+    tracks.get(key).notes.push({
+      time,
+      duration: noteDuration,
+      midi,
+      velocity: toMidiVelocity(velocity)
+    });
+  });
+  return [...tracks.values()];
+}
+
+function triggerTrack(triggers, dispenserIds, noteDuration) {
+  return {
+    name: 'Dispenser triggers',
+    channel: DRUM_CHANNEL,
+    notes: triggers.map(({ time, dispenserId }) => ({
+      time,
+      duration: noteDuration,
+      midi: Math.min(FIRST_TRIGGER_NOTE + dispenserIds.indexOf(dispenserId), MAX_MIDI_NOTE),
+      velocity: TRIGGER_VELOCITY
+    }))
+  };
+}
+
+/**
+ * Write bars of a scene as a Standard MIDI File
+ * @param {Object|string} scene - Scene object or JSON
+ * @param {Object} options - { bars, seed, trackBy (see MIDI_TRACK_MODES), bpm };
+ *   bpm defaults to the scene tempo, which the simulation plays at
+ * @returns {Uint8Array} The file
+ */
+export function createSceneMidi(scene, options = {}) {
+  const { bars = 4, seed = 0, trackBy = MIDI_TRACK_MODES.WALL } = options;
+  if (!Number.isInteger(bars) || bars < 1) {
+    throw new Error('Bars to export must be a positive integer');
+  }
+  if (!Object.values(MIDI_TRACK_MODES).includes(trackBy)) {
+    throw new Error(`Unknown MIDI track mode: ${trackBy}`);
+  }
+
+  const simulation = new HeadlessSimulation(scene, { seed });
+  const duration = bars * getBarDuration(simulation.scene.tempo, simulation.timeSignature);
+  // Hits the velocity gate drops are silent on the page too
+  const collisions = simulation.run(duration).filter(({ velocity }) => getImpactVelocity(velocity) > 0);
+  // The step right on the end boundary starts the next bar
+  const triggers = simulation.triggers.filter(({ time }) => time < duration);
+  const dispenserIds = simulation.dispensers.map(({ dispenser }) => dispenser.id);
+
+  // Notes are a 16th long, as on the page
+  const noteDuration = simulation.noteDuration;
+  const tracks = collisionTracks(collisions, trackBy, noteDuration);
+  if (triggers.length > 0) {
+    tracks.push(triggerTrack(triggers, dispenserIds, noteDuration));
+  }
+
+  // Ticks only match simulated seconds at the tempo the scene was simulated at
+  const bpm = options.bpm ?? simulation.scene.tempo;
+  const { beats, beatUnit } = simulation.timeSignature;
+  return encodeMidiFile({ bpm, timeSignature: [beats, beatUnit], tracks });
+}
+
+/**
+ * Write bars of a scene to a .mid file
+ * @param {Object|string} scene - Scene object or JSON
+ * @param {Object} options - See createSceneMidi
+ * @returns {Blob} The file
+ */
+export function exportSceneToMidi(scene, options = {}) {
+  return new Blob([createSceneMidi(scene, options)], { type: 'audio/midi' });
+}
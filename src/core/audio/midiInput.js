@@ -0,0 +1,241 @@
+// MidiInput plays the scene from MIDI keyboards and controllers: note-ons
+// mapped to a dispenser spawn a ball there, and control changes (CCs) can be
+// bound to tempo, master volume or pattern step toggles. Bindings are made
+// with MIDI learn: pick a target, then press the key or move the control.
+
+// What a binding controls
+export const MIDI_TARGETS = {
+  DISPENSER: 'dispenser',  // Note-on spawns a ball: { type, dispenserId }
+  TEMPO: 'tempo',          // CC sets the tempo: { type }
+  VOLUME: 'volume',        // CC sets the master volume: { type }
+  STEP: 'step'             // CC press toggles a step: { type, dispenserId, step }
+};
+
+// Tempo range a CC sweeps, matching the tempo slider
+export const MIDI_TEMPO_RANGE = { min: 60, max: 200 };
+
+const STORAGE_KEY = 'midiInputMappings';
+
+// CC values at or above this count as a pressed button
+const PRESS_THRESHOLD = 64;
+
+function loadMappings() {
+  const empty = { notes: {}, controls: {} };
+  try {
+    return { ...empty, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (e) {
+    console.warn("Ignoring unreadable MIDI input mappings:", e);
+    return empty;
+  }
+}
+
+// Whether two targets control the same thing
+export const isSameMidiTarget = (a, b) =>
+  a.type === b.type && a.dispenserId === b.dispenserId && a.step === b.step;
+
+// Human-readable name of a target, for announcements
+export function describeMidiTarget(target) {
+  switch (target.type) {
+    case MIDI_TARGETS.DISPENSER:
+      return 'dispenser trigger';
+    case MIDI_TARGETS.STEP:
+      return `step ${target.step + 1}`;
+    default:
+      return target.type;
+  }
+}
+
+export class MidiInput {
+  constructor(options = {}) {
+    this.navigator = options.navigator ?? globalThis.navigator;
+    this.access = null;
+    this.mappings = loadMappings();
+    this.learnTarget = null;
+
+    // Browsers may prompt for MIDI access, so listening is opt-in
+    this.enabled = localStorage.getItem('midiInputEnabled') === 'true';
+
+    // Last value of each CC, so held buttons toggle steps only once
+    this.controlValues = new Map();
+
+    // Callbacks
+    this.onTriggerDispenser = null;
+    this.onSetTempo = null;
+    this.onSetVolume = null;
+    this.onToggleStep = null;
+    this.onLearn = null;
+
+    this.onMessage = (event) => this.handleMessage(event.data);
+  }
+
+  setCallbacks(callbacks) {
+    this.onTriggerDispenser = callbacks.onTriggerDispenser;
+    this.onSetTempo = callbacks.onSetTempo;
+    this.onSetVolume = callbacks.onSetVolume;
+    this.onToggleStep = callbacks.onToggleStep;
+    this.onLearn = callbacks.onLearn;
+  }
+
+  /**
+   * Ask for Web MIDI access and listen to every input port
+   * @returns {Promise<boolean>} Whether MIDI input is available
+   */
+  async init() {
+    if (this.access) return true;
+    if (typeof this.navigator?.requestMIDIAccess !== 'function') {
+      return false;
+    }
+
+    try {
+      this.access = await this.navigator.requestMIDIAccess();
+    } catch (e) {
+      console.warn("MIDI access was refused:", e);
+      return false;
+    }
+
+    // Pick up controllers plugged in later
+    this.access.onstatechange = () => this.listen();
+    this.listen();
+    return true;
+  }
+
+  /**
+   * Start or stop listening to controllers
+   * @param {boolean} enabled - Whether to listen
+   * @returns {Promise<boolean>} Whether MIDI input is now listening
+   */
+  async setEnabled(enabled) {
+    this.enabled = enabled;
+    localStorage.setItem('midiInputEnabled', String(enabled));
+    if (!enabled) {
+      this.dispose();
+      return false;
+    }
+    return this.init();
+  }
+
+  listen() {
+    this.access?.inputs?.forEach(input => {
+      input.onmidimessage = this.onMessage;
+    });
+  }
+
+  // Bind the next matching note (dispenser targets) or CC (other targets) to `target`
+  startLearn(target) {
+    if (!Object.values(MIDI_TARGETS).includes(target?.type)) {
+      throw new Error(`Unknown MIDI target: ${target?.type}`);
+    }
+    this.learnTarget = target;
+  }
+
+  cancelLearn() {
+    this.learnTarget = null;
+  }
+
+  get isLearning() {
+    return this.learnTarget !== null;
+  }
+
+  handleMessage([status, number, value]) {
+    const type = status & 0xf0;
+
+    // Note-on with velocity 0 is a note-off
+    if (type === 0x90 && value > 0) {
+      this.handleNote(number, value);
+    } else if (type === 0xb0) {
+      this.handleControl(number, value);
+    }
+  }
+
+  handleNote(note, velocity) {
+    if (this.learnTarget?.type === MIDI_TARGETS.DISPENSER) {
+      this.bind('notes', note, this.learnTarget);
+      return;
+    }
+
+    const target = this.mappings.notes[note];
+    if (target && this.onTriggerDispenser) {
+      this.onTriggerDispenser(target.dispenserId, velocity / 127);
+    }
+  }
+
+  handleControl(control, value) {
+    const previous = this.controlValues.get(control) ?? 0;
+    this.controlValues.set(control, value);
+
+    if (this.learnTarget && this.learnTarget.type !== MIDI_TARGETS.DISPENSER) {
+      this.bind('controls', control, this.learnTarget);
+      return;
+    }
+
+    const target = this.mappings.controls[control];
+    if (!target) return;
+
+    switch (target.type) {
+      case MIDI_TARGETS.TEMPO: {
+        const { min, max } = MIDI_TEMPO_RANGE;
+        this.onSetTempo?.(Math.round(min + (max - min) * value / 127));
+        break;
+      }
+      case MIDI_TARGETS.VOLUME:
+        this.onSetVolume?.(value / 127);
+        break;
+      case MIDI_TARGETS.STEP:
+        if (previous < PRESS_THRESHOLD && value >= PRESS_THRESHOLD) {
+          this.onToggleStep?.(target.dispenserId, target.step);
+        }
+        break;
+    }
+  }
+
+  bind(kind, number, target) {
+    // A target answers to one note or control at a time
+    this.unbind(target);
+    this.mappings[kind][number] = { ...target };
+    this.learnTarget = null;
+    this.save();
+
+    if (this.onLearn) {
+      this.onLearn(target, kind === 'notes' ? { note: number } : { control: number });
+    }
+  }
+
+  // Remove any binding to `target`
+  unbind(target) {
+    ['notes', 'controls'].forEach(kind => {
+      Object.entries(this.mappings[kind]).forEach(([number, bound]) => {
+        if (isSameMidiTarget(bound, target)) {
+          delete this.mappings[kind][number];
+        }
+      });
+    });
+    this.save();
+  }
+
+  /**
+   * Find what a target is bound to
+   * @param {Object} target - See MIDI_TARGETS
+   * @returns {Object|null} { note } or { control }, or null if unbound
+   */
+  getBinding(target) {
+    const find = (kind) => Object.entries(this.mappings[kind]).find(([, bound]) => isSameMidiTarget(bound, target));
+    const note = find('notes');
+    if (note) return { note: Number(note[0]) };
+    const control = find('controls');
+    return control ? { control: Number(control[0]) } : null;
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.mappings));
+  }
+
+  dispose() {
+    this.access?.inputs?.forEach(input => {
+      input.onmidimessage = null;
+    });
+    if (this.access) {
+      this.access.onstatechange = null;
+    }
+    this.access = null;
+  }
+}
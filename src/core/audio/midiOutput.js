@@ -0,0 +1,195 @@
+import { noteToMidi } from '../../../utils/scaleEngine.js';
+import { MELODIC_CHANNELS } from '../../../utils/midiFile.js';
+
+// MidiOutput sends collision notes to a Web MIDI output port, instead of or
+// alongside the Tone synths. Without Web MIDI, permission or a port it stays
+// inactive and the synths play as usual.
+
+export const MIDI_OUTPUT_MODES = {
+  OFF: 'off',    // Synths only
+  MIDI: 'midi',  // MIDI port only
+  BOTH: 'both'   // Synths and MIDI port
+};
+
+// How collision notes are spread over MIDI channels
+export const MIDI_CHANNEL_MODES = {
+  SINGLE: 'single',         // Everything on one channel
+  WALL: 'wall',             // A channel per wall
+  INSTRUMENT: 'instrument'  // A channel per instrument
+};
+
+const STORAGE_KEY = 'midiOutputSettings';
+
+const DEFAULT_SETTINGS = {
+  mode: MIDI_OUTPUT_MODES.OFF,
+  channelMode: MIDI_CHANNEL_MODES.SINGLE,
+  channel: 0,
+  outputId: null
+};
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (e) {
+    console.warn("Ignoring unreadable MIDI output settings:", e);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export class MidiOutput {
+  constructor(options = {}) {
+    this.navigator = options.navigator ?? globalThis.navigator;
+    this.access = null;
+    this.output = null;
+    this.settings = loadSettings();
+
+    // Channels handed out to walls or instruments, in order of first note
+    this.channels = new Map();
+  }
+
+  // Web MIDI answered and access was granted
+  get isAvailable() {
+    return Boolean(this.access);
+  }
+
+  // Notes go out to a port
+  get isActive() {
+    return this.settings.mode !== MIDI_OUTPUT_MODES.OFF && Boolean(this.output);
+  }
+
+  // The synths play unless MIDI alone was chosen and a port is there to take over
+  get playsSynths() {
+    return this.settings.mode !== MIDI_OUTPUT_MODES.MIDI || !this.output;
+  }
+
+  /**
+   * Ask for Web MIDI access and open the saved (or first) output port
+   * @returns {Promise<boolean>} Whether MIDI output is available
+   */
+  async init() {
+    if (this.access) return true;
+    if (typeof this.navigator?.requestMIDIAccess !== 'function') {
+      return false;
+    }
+
+    try {
+      this.access = await this.navigator.requestMIDIAccess();
+    } catch (e) {
+      console.warn("MIDI access was refused:", e);
+      return false;
+    }
+
+    // Follow ports being plugged in and out
+    this.access.onstatechange = () => {
+      this.openOutput();
+      window.dispatchEvent(new CustomEvent('midi-ports-change'));
+    };
+    this.openOutput();
+    return true;
+  }
+
+  openOutput() {
+    const outputs = [...(this.access?.outputs?.values() ?? [])];
+    const output = outputs.find(port => port.id === this.settings.outputId) ?? outputs[0] ?? null;
+    if (output !== this.output) {
+      this.allNotesOff();
+      this.output = output;
+    }
+  }
+
+  // Ports to choose from: [{ id, name }]
+  getOutputs() {
+    return [...(this.access?.outputs?.values() ?? [])].map(({ id, name }) => ({ id, name }));
+  }
+
+  getSettings() {
+    return { ...this.settings, outputId: this.output?.id ?? this.settings.outputId };
+  }
+
+  /**
+   * Change output settings, keeping the rest
+   * @param {Object} changes - Partial { mode, channelMode, channel, outputId }
+   * @returns {Object} The new settings
+   */
+  setSettings(changes) {
+    const next = { ...this.settings, ...changes };
+    if (!Object.values(MIDI_OUTPUT_MODES).includes(next.mode)) {
+      throw new Error(`Unknown MIDI output mode: ${next.mode}`);
+    }
+    if (!Object.values(MIDI_CHANNEL_MODES).includes(next.channelMode)) {
+      throw new Error(`Unknown MIDI channel mode: ${next.channelMode}`);
+    }
+    if (!Number.isInteger(next.channel) || next.channel < 0 || next.channel > 15) {
+      throw new Error('MIDI channel must be an integer from 0 to 15');
+    }
+
+    // Notes still held would hang on the old port or channels
+    this.allNotesOff();
+    if (next.channelMode !== this.settings.channelMode) {
+      this.channels.clear();
+    }
+
+    this.settings = next;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    this.openOutput();
+    return this.getSettings();
+  }
+
+  // MIDI channel (0-15) for a collision on a wall
+  getChannel(wallId = null, instrument = null) {
+    const { channelMode, channel } = this.settings;
+    if (channelMode === MIDI_CHANNEL_MODES.SINGLE) {
+      return channel;
+    }
+
+    const key = channelMode === MIDI_CHANNEL_MODES.WALL ? wallId : instrument;
+    if (!this.channels.has(key)) {
+      this.channels.set(key, MELODIC_CHANNELS[this.channels.size % MELODIC_CHANNELS.length]);
+    }
+    return this.channels.get(key);
+  }
+
+  /**
+   * Send a note-on now (or after `delay`) and its note-off `duration` later
+   * @param {string} note - Note name, e.g. 'C4'
+   * @param {Object} options - { velocity (0-1), duration and delay in seconds, wallId, instrument }
+   */
+  playNote(note, { velocity = 0.7, duration = 0.125, delay = 0, wallId = null, instrument = null } = {}) {
+    if (!this.isActive) return;
+
+    const midi = noteToMidi(note);
+    const channel = this.getChannel(wallId, instrument);
+    const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    const start = performance.now() + Math.max(0, delay) * 1000;
+
+    try {
+      this.output.send([0x90 | channel, midi, midiVelocity], start);
+      this.output.send([0x80 | channel, midi, 0], start + duration * 1000);
+    } catch (e) {
+      console.warn("Could not send MIDI note:", e);
+    }
+  }
+
+  // Silence every channel, e.g. before switching ports
+  allNotesOff() {
+    if (!this.output) return;
+    try {
+      // Drop notes scheduled but not yet sent
+      this.output.clear?.();
+      for (let channel = 0; channel < 16; channel++) {
+        this.output.send([0xb0 | channel, 123, 0]);
+      }
+    } catch (e) {
+      console.warn("Could not silence MIDI output:", e);
+    }
+  }
+
+  dispose() {
+    this.allNotesOff();
+    if (this.access) {
+      this.access.onstatechange = null;
+    }
+    this.access = null;
+    this.output = null;
+  }
+}
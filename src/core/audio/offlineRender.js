@@ -0,0 +1,134 @@
+import * as Tone from 'tone';
+import { HeadlessSimulation } from '../simulation/HeadlessSimulation.js';
+import { getImpactVelocity } from '../../../utils/velocityCurve.js';
+import { createEffectsChain, getEffectsSettings, getInstrumentOutput } from '../../../utils/effectsChain.js';
+import {
+  DEFAULT_SYNTH_SETTINGS,
+  createInstrumentVoice,
+  getInstrumentSettings,
+  getVoiceSettings
+} from '../../../utils/synthManager.js';
+import { SAMPLE_STATUS, getSampleInstrument } from '../../../utils/sampleInstruments.js';
+import { VoicePool } from '../../../utils/voicePool.js';
+import { SpatialVoice } from '../../../utils/spatialAudio.js';
+import { DEFAULT_TIME_SIGNATURE } from '../sequencer/timeSignature.js';
+
+// Offline rendering plays a scene on HeadlessSimulation and renders the
+// collision notes with Tone.Offline, through the same instruments and
+// effects as the page but faster than real time and without the screen.
+
+// Tempo counts quarter notes, so a bar of 7/8 is three and a half of them
+export function getBarDuration(tempo, { beats, beatUnit } = DEFAULT_TIME_SIGNATURE) {
+  return 60 / tempo * beats * 4 / beatUnit;
+}
+
+// Voices for one instrument, built in the offline context
+function createInstrument(instrument, chain) {
+  const output = getInstrumentOutput(instrument, chain);
+
+  // Samples play only if they loaded on the page; otherwise so does their fallback
+  const sample = getSampleInstrument(instrument);
+  if (sample?.status === SAMPLE_STATUS.READY) {
+    return new SpatialVoice(new Tone.Sampler(sample.samples)).connect(output);
+  }
+
+  const synth = sample ? sample.fallback : instrument;
+  const settings = getInstrumentSettings(synth) ?? DEFAULT_SYNTH_SETTINGS;
+  const pool = new VoicePool(() => createInstrumentVoice(synth), getVoiceSettings());
+  pool.set(settings);
+  return pool.connect(output);
+}
+
+/**
+ * Render bars of a scene to audio
+ * @param {Object|string} scene - Scene object or JSON
+ * @param {Object} options - { bars, seed, sampleRate, render }; `render`
+ *   stands in for Tone.Offline (for tests)
+ * @returns {Promise<AudioBuffer>} Stereo audio exactly `bars` long at the scene tempo
+ */
+export async function renderScene(scene, options = {}) {
+  const { bars = 4, seed = 0, sampleRate = 44100, render = Tone.Offline } = options;
+  if (!Number.isInteger(bars) || bars < 1) {
+    throw new Error('Bars to render must be a positive integer');
+  }
+
+  const simulation = new HeadlessSimulation(scene, { seed });
+  const duration = bars * getBarDuration(simulation.scene.tempo, simulation.timeSignature);
+  // Hits the velocity gate drops are silent on the page too
+  const collisions = simulation.run(duration).filter(({ velocity }) => getImpactVelocity(velocity) > 0);
+
+  return render(async () => {
+    const chain = createEffectsChain(simulation.scene.effects ?? getEffectsSettings());
+    const instruments = new Map();
+    collisions.forEach(({ instrument }) => {
+      if (!instruments.has(instrument)) {
+        instruments.set(instrument, createInstrument(instrument, chain));
+      }
+    });
+
+    // Samplers can't play until their buffers load, nor the reverb until its impulse is ready
+    await Promise.all([Tone.loaded(), chain.reverb.ready]);
+
+    // Collision notes are a 16th long, as on the page
+    collisions.forEach(({ time, instrument, note, velocity, position }) => {
+      instruments.get(instrument).triggerAttackRelease(
+        note, simulation.noteDuration, time, getImpactVelocity(velocity), position
+      );
+    });
+  }, duration, 2, sampleRate);
+}
+
+/**
+ * Encode audio as a 16-bit PCM WAV file
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @returns {ArrayBuffer} The WAV file
+ */
+export function encodeWav(buffer) {
+  const { numberOfChannels, sampleRate, length } = buffer;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);                      // Format chunk size
+  view.setUint16(20, 1, true);                       // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // Bytes per second
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Samples are interleaved: left, right, left, right...
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    channels.forEach(data => {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    });
+  }
+
+  return view.buffer;
+}
+
+/**
+ * Render bars of a scene to a WAV file
+ * @param {Object|string} scene - Scene object or JSON
+ * @param {Object} options - See renderScene
+ * @returns {Promise<Blob>} The WAV file
+ */
+export async function renderSceneToWav(scene, options = {}) {
+  const buffer = await renderScene(scene, options);
+  return new Blob([encodeWav(buffer)], { type: 'audio/wav' });
+}
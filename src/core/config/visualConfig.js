@@ -33,8 +33,7 @@ export const VisualConfig = {
       flashDuration: 300,      // milliseconds
       maxFlashIntensity: 1.2,  // increased for more dramatic effect
       oscillations: 4,         // number of sparkle oscillations during fade
-      oscillationIntensity: 0.4, // increased for more dramatic sparkle
-      velocityScale: 3         // how much velocity affects flash intensity
+      oscillationIntensity: 0.4 // increased for more dramatic sparkle
     }
   },
 
@@ -50,15 +49,21 @@ export const VisualConfig = {
     highlight: {
       color: 0xFFFF00,   // Changed to yellow to match dispenser
       intensity: 0.5     // Increased to match dispenser
+    },
+    // Surface finish for walls with their own instrument; walls playing the
+    // global instrument keep the base finish
+    instruments: {
+      marimba: { roughness: 0.9, metalness: 0.0 },      // Matte wood
+      xylophone: { roughness: 0.6, metalness: 0.1 },    // Lacquered wood
+      kalimba: { roughness: 0.4, metalness: 0.6 },      // Brushed tines
+      epiano: { roughness: 0.3, metalness: 0.4 },
+      vibraphone: { roughness: 0.25, metalness: 0.8 },  // Satin metal
+      glockenspiel: { roughness: 0.1, metalness: 1.0 }, // Polished metal
+      custom: { roughness: 0.5, metalness: 0.5 }
     }
   }
 };
 
-// Helper function to get scaled velocity factor
-export function getVelocityFactor(velocity, scale = VisualConfig.ball.collision.velocityScale) {
-  return Math.min(Math.abs(velocity) / scale, 1);
-}
-
 // Helper function to get oscillating intensity
 export function getOscillatingIntensity(t, baseIntensity, config = VisualConfig.ball.collision) {
   const sparkle = Math.sin(t * Math.PI * (config.oscillations * 2)) * 0.5 + 0.5;
@@ -0,0 +1,69 @@
+// CommandHistory keeps undo/redo stacks of editing commands.
+// A command is { label, undo(), redo(), coalesceKey? }; its effect has
+// already been applied when it is recorded.
+export class CommandHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.isSealed = true;
+  }
+
+  // Record a command that has just been applied
+  record(command) {
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    // Merge continuous edits (e.g. an endpoint drag) into the open step:
+    // keep the first command's undo and take the latest redo
+    if (!this.isSealed && command.coalesceKey && last && last.coalesceKey === command.coalesceKey) {
+      last.redo = command.redo;
+    } else {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.isSealed = !command.coalesceKey;
+    this.redoStack = [];
+  }
+
+  // Close the current coalescing step so the next command starts a new one
+  seal() {
+    this.isSealed = true;
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    this.isSealed = true;
+    command.undo();
+    this.redoStack.push(command);
+    return command;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    this.isSealed = true;
+    command.redo();
+    this.undoStack.push(command);
+    return command;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.isSealed = true;
+  }
+}
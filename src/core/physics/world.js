@@ -1,7 +1,17 @@
 import * as CANNON from 'cannon-es';
 
 export class PhysicsWorld {
-  constructor() {
+  constructor(options = {}) {
+    // In fixed-step mode every call advances a whole number of 1/60s steps and
+    // carries the remainder, so the simulation never depends on frame timing
+    this.fixedStep = options.fixedStep ?? false;
+    this.timeStep = options.timeStep ?? 1 / 60;
+    // Longest frame to catch up on; after a backgrounded tab or a long frame
+    // the rest is dropped rather than run all at once
+    this.maxFrameTime = options.maxFrameTime ?? 0.25;
+    this.accumulator = 0;
+    this.stepCount = 0;
+    
     this.world = new CANNON.World({
       gravity: new CANNON.Vec3(0, -9.82, 0)
     });
@@ -53,8 +63,28 @@ export class PhysicsWorld {
     this.world.addContactMaterial(this.ballContactMaterial);
   }
   
-  step(dt) {
-    this.world.step(1/60, dt);
+  // Simulated time in seconds
+  get time() {
+    return this.fixedStep ? this.stepCount * this.timeStep : this.world.time;
+  }
+  
+  step(dt, onFixedStep = null) {
+    dt = Math.min(dt, this.maxFrameTime);
+    if (!this.fixedStep) {
+      this.world.step(this.timeStep, dt);
+      return;
+    }
+    
+    this.accumulator += dt;
+    while (this.accumulator >= this.timeStep) {
+      this.world.step(this.timeStep);
+      this.stepCount++;
+      this.accumulator -= this.timeStep;
+      
+      if (onFixedStep) {
+        onFixedStep(this.time);
+      }
+    }
   }
   
   addBody(body) {
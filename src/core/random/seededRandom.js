@@ -0,0 +1,32 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG so a scene and seed always play back the same way
+ */
+
+/**
+ * Create a random number generator from a seed (mulberry32)
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} A function returning floats in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = seed >>> 0;
+
+  return random;
+}
+
+/**
+ * Pick a fresh seed for sessions that don't ask for one
+ * @returns {number} A 32-bit unsigned integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
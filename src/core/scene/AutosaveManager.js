@@ -0,0 +1,113 @@
+// AutosaveManager keeps a small ring of scene snapshots in browser storage.
+// It saves periodically and shortly after every 'scene-change' event, and
+// remembers whether the newest snapshot was ever saved explicitly so an
+// unsaved session can be offered for recovery on the next load.
+export class AutosaveManager {
+  constructor(getScene, options = {}) {
+    this.getScene = getScene;
+    this.storage = options.storage ?? window.localStorage;
+    this.key = options.key ?? 'bounceAutosave';
+    this.interval = options.interval ?? 30000;   // Periodic save (ms)
+    this.debounce = options.debounce ?? 1000;    // Delay after a change (ms)
+    this.ringSize = options.ringSize ?? 5;
+
+    this.intervalId = null;
+    this.timeoutId = null;
+    this.onSceneChange = () => this.scheduleSave();
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => this.save(), this.interval);
+    window.addEventListener('scene-change', this.onSceneChange);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    clearTimeout(this.timeoutId);
+    this.intervalId = null;
+    this.timeoutId = null;
+    window.removeEventListener('scene-change', this.onSceneChange);
+  }
+
+  scheduleSave() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = setTimeout(() => this.save(), this.debounce);
+  }
+
+  read() {
+    try {
+      const data = JSON.parse(this.storage.getItem(this.key));
+      if (data && Array.isArray(data.snapshots)) {
+        return data;
+      }
+    } catch (e) {
+      console.warn("Ignoring unreadable autosave data:", e);
+    }
+    return { snapshots: [], isClean: true };
+  }
+
+  write(data) {
+    try {
+      this.storage.setItem(this.key, JSON.stringify(data));
+    } catch (e) {
+      console.warn("Autosave failed:", e);
+    }
+  }
+
+  // Store the current scene as the newest snapshot, skipping unchanged scenes
+  save() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+
+    const scene = this.getScene();
+    const data = this.read();
+    const latest = data.snapshots[0];
+
+    if (latest && JSON.stringify(latest.scene) === JSON.stringify(scene)) {
+      return false;
+    }
+
+    data.snapshots.unshift({ savedAt: Date.now(), scene });
+    data.snapshots = data.snapshots.slice(0, this.ringSize);
+    data.isClean = false;
+    this.write(data);
+    return true;
+  }
+
+  // Record that the newest state has been saved elsewhere (e.g. downloaded)
+  markClean() {
+    this.save();
+    const data = this.read();
+    data.isClean = true;
+    this.write(data);
+  }
+
+  // Snapshots, newest first
+  getSnapshots() {
+    return this.read().snapshots;
+  }
+
+  // The snapshot to offer on load, or null if the last session was saved or empty
+  getRecoverableSnapshot() {
+    const { snapshots, isClean } = this.read();
+    const latest = snapshots[0];
+    if (isClean || !latest) return null;
+
+    const { walls = [], dispensers = [] } = latest.scene;
+    return walls.length || dispensers.length ? latest : null;
+  }
+
+  // Drop the newest snapshot and return the one before it
+  rollback() {
+    // Make sure the newest snapshot reflects what is on screen right now
+    this.save();
+
+    const data = this.read();
+    if (data.snapshots.length < 2) return null;
+
+    data.snapshots.shift();
+    this.write(data);
+    return data.snapshots[0];
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Scene Links
+ * Packs scene data into a short string for the URL hash and back
+ */
+import { parseScene } from './sceneSerializer.js';
+import { MAX_STEPS } from '../sequencer/timeSignature.js';
+
+const HASH_KEY = 'scene';
+
+// Coordinates are stored with millimetre precision to keep links short
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Pack a step pattern as "<length>:<hex>", four steps per hex digit
+ * @param {boolean[]} pattern - Step pattern
+ * @returns {string} The packed pattern
+ */
+function packPattern(pattern) {
+  let hex = '';
+  for (let i = 0; i < pattern.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      if (pattern[i + bit]) nibble |= 8 >> bit;
+    }
+    hex += nibble.toString(16);
+  }
+  return `${pattern.length}:${hex}`;
+}
+
+function unpackPattern(packed) {
+  const match = /^(\d+):([0-9a-f]*)$/.exec(packed);
+  if (!match) {
+    throw new Error('Scene link has a malformed pattern');
+  }
+
+  const length = parseInt(match[1], 10);
+  const hex = match[2];
+  // Links come from anywhere, so don't build arrays longer than a pattern can be
+  if (length > MAX_STEPS || length > hex.length * 4) {
+    throw new Error('Scene link has a malformed pattern');
+  }
+  return Array.from({ length }, (_, step) => {
+    const nibble = parseInt(hex[Math.floor(step / 4)] ?? '0', 16);
+    return Boolean(nibble & (8 >> (step % 4)));
+  });
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Encode scene data into a URL-safe string
+ * @param {Object} scene - Scene data as returned by Game.serialize()
+ * @returns {string} The encoded scene
+ */
+export function encodeScene(scene) {
+  // Ids are dropped; links describe a layout and get fresh ids on load
+  const compact = {
+    v: scene.version,
+    t: scene.tempo,
+    i: scene.instrument,
+    // Tunings ride along at the end of the key, only when there is one
+    k: scene.key && [scene.key.root, scene.key.mode, scene.key.octave, scene.key.octaves]
+      .concat(scene.key.tuning ? [scene.key.tuning] : []),
+    e: scene.effects,
+    s: scene.timeSignature && [
+      scene.timeSignature.beats, scene.timeSignature.beatUnit,
+      scene.timeSignature.resolution, scene.timeSignature.steps
+    ],
+    w: scene.walls.map(({ start, end, instrument }) => {
+      const entry = [
+        round(start.x), round(start.y), round(start.z),
+        round(end.x), round(end.y), round(end.z)
+      ];
+      if (instrument) entry.push(instrument);
+      return entry;
+    }),
+    d: scene.dispensers.map(({ position, pattern, length }) => {
+      const entry = [round(position.x), round(position.y), round(position.z)];
+      if (pattern) entry.push(packPattern(pattern));
+      // Patterns with steps kept past their length carry it after them
+      if (pattern && length !== undefined) entry.push(length);
+      return entry;
+    })
+  };
+
+  return toBase64Url(JSON.stringify(compact));
+}
+
+/**
+ * Decode a string produced by encodeScene, validating the result
+ * @param {string} encoded - The encoded scene
+ * @returns {Object} Scene data at the current format version
+ */
+export function decodeScene(encoded) {
+  const compact = JSON.parse(fromBase64Url(encoded));
+  if (!compact || !Array.isArray(compact.w) || !Array.isArray(compact.d)) {
+    throw new Error('Scene link is missing walls or dispensers');
+  }
+
+  const toPoint = ([x, y, z]) => ({ x, y, z });
+
+  return parseScene({
+    version: compact.v,
+    tempo: compact.t,
+    instrument: compact.i,
+    key: Array.isArray(compact.k)
+      ? { root: compact.k[0], mode: compact.k[1], octave: compact.k[2], octaves: compact.k[3], tuning: compact.k[4] }
+      : undefined,
+    effects: compact.e,
+    timeSignature: Array.isArray(compact.s)
+      ? { beats: compact.s[0], beatUnit: compact.s[1], resolution: compact.s[2], steps: compact.s[3] }
+      : undefined,
+    walls: compact.w.map((wall, i) => ({
+      id: `w${i}`,
+      start: toPoint(wall.slice(0, 3)),
+      end: toPoint(wall.slice(3, 6)),
+      instrument: wall[6]
+    })),
+    dispensers: compact.d.map((dispenser, i) => ({
+      id: `d${i}`,
+      position: toPoint(dispenser.slice(0, 3)),
+      pattern: dispenser.length > 3 ? unpackPattern(dispenser[3]) : null,
+      length: dispenser[4]
+    }))
+  });
+}
+
+/**
+ * Build a shareable URL for a scene
+ * @param {Object} scene - Scene data as returned by Game.serialize()
+ * @param {string} baseUrl - Page URL to attach the scene to
+ * @returns {string} The URL with the scene in its hash
+ */
+export function createSceneLink(scene, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.hash = `${HASH_KEY}=${encodeScene(scene)}`;
+  return url.toString();
+}
+
+/**
+ * Read a scene from a URL hash
+ * @param {string} hash - The location hash (with or without the leading '#')
+ * @returns {Object|null} Scene data, or null when the hash holds no scene
+ */
+export function readSceneFromHash(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  return encoded ? decodeScene(encoded) : null;
+}
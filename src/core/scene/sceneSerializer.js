@@ -0,0 +1,186 @@
+/**
+ * Scene Serializer
+ * Converts scene data to and from the versioned JSON format used for save files
+ */
+import { DEFAULT_KEY, normalizeKey } from '../../../utils/scaleEngine.js';
+import { normalizeEffectsSettings } from '../../../utils/effectsChain.js';
+import { MAX_STEPS, normalizeTimeSignature } from '../sequencer/timeSignature.js';
+
+// Bump this whenever the saved shape changes, and register a migration
+// from the previous version so older files keep loading
+export const SCENE_FORMAT_VERSION = 2;
+
+// Migrations keyed by the version they upgrade *from*
+const SCENE_MIGRATIONS = new Map();
+
+/**
+ * Register a migration that upgrades scene data by one version
+ * @param {number} fromVersion - The version the migration accepts
+ * @param {Function} migrate - Receives scene data at `fromVersion`, returns data at `fromVersion + 1`
+ */
+export function registerSceneMigration(fromVersion, migrate) {
+  SCENE_MIGRATIONS.set(fromVersion, migrate);
+}
+
+// Version 1 scenes predate the key selector and always played in C major
+registerSceneMigration(1, (scene) => ({
+  ...scene,
+  key: { ...DEFAULT_KEY }
+}));
+
+/**
+ * Create an empty scene at the current format version
+ * @returns {Object} Scene data with no walls or dispensers
+ */
+export function createEmptyScene() {
+  return {
+    version: SCENE_FORMAT_VERSION,
+    tempo: 120,
+    instrument: 'marimba',
+    key: { ...DEFAULT_KEY },
+    walls: [],
+    dispensers: []
+  };
+}
+
+/**
+ * Upgrade scene data to the current format version
+ * @param {Object} data - Scene data at any known version
+ * @returns {Object} Scene data at SCENE_FORMAT_VERSION
+ */
+export function migrateScene(data) {
+  let scene = { ...data };
+  let version = Number.isInteger(scene.version) ? scene.version : 1;
+
+  if (version > SCENE_FORMAT_VERSION) {
+    throw new Error(`Scene version ${version} is newer than this build supports (${SCENE_FORMAT_VERSION})`);
+  }
+
+  while (version < SCENE_FORMAT_VERSION) {
+    const migrate = SCENE_MIGRATIONS.get(version);
+    if (!migrate) {
+      throw new Error(`No migration registered for scene version ${version}`);
+    }
+    scene = migrate(scene);
+    version += 1;
+    scene.version = version;
+  }
+
+  return scene;
+}
+
+function readVector(value, label) {
+  if (!value || typeof value !== 'object') {
+    throw new Error(`Scene ${label} must be an object with x, y and z`);
+  }
+
+  const vector = {
+    x: Number(value.x),
+    y: Number(value.y),
+    z: Number(value.z ?? 0)
+  };
+
+  if (!Number.isFinite(vector.x) || !Number.isFinite(vector.y) || !Number.isFinite(vector.z)) {
+    throw new Error(`Scene ${label} has non-numeric coordinates`);
+  }
+
+  return vector;
+}
+
+function readInstrument(value, label) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`Scene ${label} has an invalid instrument`);
+  }
+  return { instrument: value };
+}
+
+function readPattern(value, label) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  if (value.length > MAX_STEPS) {
+    throw new Error(`Scene ${label} pattern has more than ${MAX_STEPS} steps`);
+  }
+  return value.map(Boolean);
+}
+
+// Optional: patterns loop over all their steps unless a length says otherwise
+function readPatternLength(value, pattern, label) {
+  if (value === undefined || value === null || !pattern) {
+    return {};
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_STEPS) {
+    throw new Error(`Scene ${label} pattern length must be a whole number from 1 to ${MAX_STEPS}`);
+  }
+  return { length: value };
+}
+
+function readId(value, label) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`Scene ${label} is missing an id`);
+  }
+  return value;
+}
+
+/**
+ * Check scene data against the current format and normalize its values
+ * @param {Object} scene - Scene data at SCENE_FORMAT_VERSION
+ * @returns {Object} A normalized copy of the scene
+ */
+export function validateScene(scene) {
+  if (!scene || typeof scene !== 'object') {
+    throw new Error('Scene must be an object');
+  }
+  if (!Array.isArray(scene.walls) || !Array.isArray(scene.dispensers)) {
+    throw new Error('Scene must contain walls and dispensers arrays');
+  }
+
+  const defaults = createEmptyScene();
+  const tempo = Number(scene.tempo ?? defaults.tempo);
+  if (!Number.isFinite(tempo) || tempo <= 0) {
+    throw new Error('Scene tempo must be a positive number');
+  }
+
+  return {
+    version: SCENE_FORMAT_VERSION,
+    tempo,
+    instrument: typeof scene.instrument === 'string' ? scene.instrument : defaults.instrument,
+    key: normalizeKey(scene.key),
+    // Optional: scenes without effects use the default chain
+    ...(scene.effects ? { effects: normalizeEffectsSettings(scene.effects) } : {}),
+    // Optional: scenes without one play 16 steps of 1/16 in 4/4
+    ...(scene.timeSignature ? { timeSignature: normalizeTimeSignature(scene.timeSignature) } : {}),
+    walls: scene.walls.map((wall, i) => ({
+      id: readId(wall?.id, `wall ${i}`),
+      start: readVector(wall.start, `wall ${i} start`),
+      end: readVector(wall.end, `wall ${i} end`),
+      // Optional: walls without one play the scene instrument
+      ...readInstrument(wall.instrument, `wall ${i}`)
+    })),
+    dispensers: scene.dispensers.map((dispenser, i) => {
+      const pattern = readPattern(dispenser?.pattern, `dispenser ${i}`);
+      return {
+        id: readId(dispenser?.id, `dispenser ${i}`),
+        position: readVector(dispenser.position, `dispenser ${i} position`),
+        pattern,
+        ...readPatternLength(dispenser.length, pattern, `dispenser ${i}`)
+      };
+    })
+  };
+}
+
+/**
+ * Parse a saved scene, migrating and validating it
+ * @param {string|Object} json - Scene JSON text or an already parsed object
+ * @returns {Object} Scene data at SCENE_FORMAT_VERSION
+ */
+export function parseScene(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || typeof data !== 'object') {
+    throw new Error('Scene must be an object');
+  }
+  return validateScene(migrateScene(data));
+}
@@ -1,20 +1,64 @@
 import * as Tone from 'tone';
+import { Metronome } from './Metronome.js';
+import {
+  DEFAULT_TIME_SIGNATURE,
+  RESOLUTIONS,
+  getBarSteps,
+  getBeatAtStep,
+  MAX_STEPS,
+  MIN_STEPS,
+  normalizeTimeSignature
+} from './timeSignature.js';
 
 export class DispenserSequencer {
   constructor() {
-    this.steps = 16;
-    this.currentStep = 0;
+    this.timeSignature = { ...DEFAULT_TIME_SIGNATURE };
+    this.currentStep = 0; // Step at the scene length; each pattern has its own playhead (see getPlayheads)
+    this.clock = 0; // Steps since playback started, so the metronome keeps the bar when patterns are shorter or longer
     this.bpm = 120;
     this.isPlaying = false;
     this.dispenserPatterns = new Map(); // Map of dispenser ID to pattern array
+    this.patternLengths = new Map();    // Map of dispenser ID to the steps its pattern loops over
+    this.metronome = new Metronome();
+    this.countInStep = null; // Step of the count-in bar, or null once the pattern plays
     
     // Initialize Tone.js transport
     Tone.Transport.bpm.value = this.bpm;
     
-    // Schedule the sequencer loop
+    // Schedule the sequencer loop, one tick per step
     this.loop = new Tone.Loop((time) => {
       this.tick(time);
-    }, "16n").start(0); // 16th notes
+    }, RESOLUTIONS[this.timeSignature.resolution].interval).start(0);
+  }
+  
+  // Scene pattern length in steps, which new patterns start with
+  get steps() {
+    return this.timeSignature.steps;
+  }
+  
+  getTimeSignature() {
+    return { ...this.timeSignature };
+  }
+  
+  // Change the meter, grid or pattern length. A new step count resizes the
+  // patterns that follow the scene length; dispensers with lengths of their
+  // own keep them.
+  setTimeSignature(changes) {
+    const previous = this.timeSignature;
+    const next = normalizeTimeSignature({ ...previous, ...changes });
+    this.timeSignature = next;
+    this.loop.interval = RESOLUTIONS[next.resolution].interval;
+    Tone.Transport.timeSignature = [next.beats, next.beatUnit];
+    
+    if (next.steps !== previous.steps) {
+      this.patternLengths.forEach((length, dispenserId) => {
+        if (length === previous.steps) {
+          this.resizePattern(dispenserId, next.steps);
+        }
+      });
+    }
+    this.currentStep %= next.steps;
+    return this.getTimeSignature();
   }
   
   // Add a dispenser to the sequencer
@@ -22,31 +66,130 @@ export class DispenserSequencer {
     if (!this.dispenserPatterns.has(dispenserId)) {
       // Initialize with all steps off
       this.dispenserPatterns.set(dispenserId, new Array(this.steps).fill(false));
+      this.patternLengths.set(dispenserId, this.steps);
+      this.notifyPatternChange(dispenserId);
     }
   }
   
   // Remove a dispenser from the sequencer
   removeDispenser(dispenserId) {
     this.dispenserPatterns.delete(dispenserId);
+    this.patternLengths.delete(dispenserId);
+  }
+  
+  // Steps a dispenser's pattern loops over, or the scene length if it has no pattern
+  getPatternLength(dispenserId) {
+    return this.patternLengths.get(dispenserId) ?? this.steps;
+  }
+  
+  // Every sequenced dispenser's pattern length, keyed by id
+  getPatternLengths() {
+    return Object.fromEntries(this.patternLengths);
+  }
+  
+  // Give a dispenser's pattern its own length, so it loops against the others
+  setPatternLength(dispenserId, length) {
+    if (!Number.isInteger(length) || length < MIN_STEPS || length > MAX_STEPS) {
+      throw new Error(`Pattern length must be a whole number of steps from ${MIN_STEPS} to ${MAX_STEPS}`);
+    }
+    if (this.dispenserPatterns.has(dispenserId)) {
+      this.resizePattern(dispenserId, length);
+      this.notifyPatternChange(dispenserId);
+    }
+  }
+  
+  // Patterns grow with empty steps; shrinking keeps the steps past the end
+  // (getSavedPattern includes them in saved scenes), so growing again brings
+  // them back
+  resizePattern(dispenserId, length) {
+    const pattern = this.dispenserPatterns.get(dispenserId);
+    while (pattern.length < length) {
+      pattern.push(false);
+    }
+    this.patternLengths.set(dispenserId, length);
+  }
+  
+  // Where each dispenser's pattern is on a step of the clock. Every pattern
+  // starts together, then loops at its own length.
+  getPlayheads(clock = this.clock) {
+    const playheads = {};
+    this.patternLengths.forEach((length, dispenserId) => {
+      playheads[dispenserId] = clock % length;
+    });
+    return playheads;
   }
   
   // Toggle a step for a dispenser
   toggleStep(dispenserId, step) {
-    if (this.dispenserPatterns.has(dispenserId)) {
+    if (this.dispenserPatterns.has(dispenserId) && step < this.getPatternLength(dispenserId)) {
       const pattern = this.dispenserPatterns.get(dispenserId);
       pattern[step] = !pattern[step];
+      this.notifyPatternChange(dispenserId);
     }
   }
   
+  // Let listeners such as autosave know a pattern was edited
+  notifyPatternChange(dispenserId) {
+    const event = new CustomEvent('scene-change', {
+      detail: {
+        reason: 'pattern',
+        dispenserId
+      }
+    });
+    window.dispatchEvent(event);
+  }
+  
+  // Get a copy of the steps a dispenser plays, or null if it isn't sequenced
+  getPattern(dispenserId) {
+    const pattern = this.dispenserPatterns.get(dispenserId);
+    return pattern ? pattern.slice(0, this.getPatternLength(dispenserId)) : null;
+  }
+  
+  // Every step a dispenser keeps, including any past its length, and the
+  // length it loops over; null if it isn't sequenced
+  getSavedPattern(dispenserId) {
+    const pattern = this.dispenserPatterns.get(dispenserId);
+    if (!pattern) return null;
+    
+    // Empty steps past the end hold nothing worth saving
+    const length = this.getPatternLength(dispenserId);
+    const kept = Math.max(length, pattern.lastIndexOf(true) + 1);
+    return { pattern: pattern.slice(0, kept), length };
+  }
+  
+  // Replace a dispenser's pattern, which loops at its own length: the whole
+  // pattern unless `length` says otherwise, in which case the steps past it
+  // are kept for when the pattern grows. Patterns are trimmed to the longest
+  // allowed, and an empty one gets the scene length.
+  setPattern(dispenserId, pattern, length = pattern.length) {
+    const kept = Math.min(pattern.length, MAX_STEPS);
+    length = Math.min(length, MAX_STEPS) || this.steps;
+    const steps = new Array(Math.max(kept, length)).fill(false);
+    pattern.slice(0, kept).forEach((active, step) => {
+      steps[step] = Boolean(active);
+    });
+    this.dispenserPatterns.set(dispenserId, steps);
+    this.patternLengths.set(dispenserId, length);
+    this.notifyPatternChange(dispenserId);
+  }
+  
+  // Remove every dispenser from the sequencer
+  clear() {
+    this.dispenserPatterns.clear();
+    this.patternLengths.clear();
+  }
+  
   // Check if a step is active for a dispenser
   isStepActive(dispenserId, step) {
     return this.dispenserPatterns.get(dispenserId)?.[step] || false;
   }
   
-  // Start the sequencer
-  start() {
+  // Start the sequencer, after a bar of metronome clicks if `countIn` is set
+  start(options = {}) {
     if (!this.isPlaying) {
       this.isPlaying = true;
+      this.countInStep = options.countIn ? 0 : null;
+      this.clock = 0;
       Tone.Transport.start();
     }
   }
@@ -57,9 +200,15 @@ export class DispenserSequencer {
       this.isPlaying = false;
       Tone.Transport.stop();
       this.currentStep = 0;
+      this.clock = 0;
+      this.countInStep = null;
     }
   }
   
+  get isCountingIn() {
+    return this.countInStep !== null;
+  }
+  
   // Set the tempo in BPM
   setTempo(bpm) {
     this.bpm = bpm;
@@ -68,10 +217,33 @@ export class DispenserSequencer {
   
   // Internal tick function called by Tone.js
   tick(time) {
-    // Emit step change event
+    // The count-in bar only clicks; the pattern starts on the bar after it
+    if (this.isCountingIn) {
+      const steps = getBarSteps(this.timeSignature);
+      this.metronome.tick(time, this.countInStep, true, this.timeSignature);
+      window.dispatchEvent(new CustomEvent('sequencer-count-in', {
+        detail: {
+          step: this.countInStep,
+          steps,
+          beat: getBeatAtStep(this.timeSignature, this.countInStep),
+          time
+        }
+      }));
+      this.countInStep += 1;
+      if (this.countInStep >= steps) {
+        this.countInStep = null;
+      }
+      return;
+    }
+    
+    this.metronome.tick(time, this.clock, false, this.timeSignature);
+    
+    // Emit step change event, with each pattern's own step as `playheads`
+    const playheads = this.getPlayheads();
     const event = new CustomEvent('sequencer-step', {
       detail: {
         step: this.currentStep,
+        playheads,
         time
       }
     });
@@ -79,13 +251,14 @@ export class DispenserSequencer {
     
     // Get all dispensers that should trigger on this step
     this.dispenserPatterns.forEach((pattern, dispenserId) => {
-      if (pattern[this.currentStep]) {
+      const step = playheads[dispenserId];
+      if (pattern[step]) {
         // Emit event for dispenser to handle
         const event = new CustomEvent('dispenser-trigger', {
           detail: {
             dispenserId,
             time,
-            step: this.currentStep
+            step
           }
         });
         window.dispatchEvent(event);
@@ -94,11 +267,13 @@ export class DispenserSequencer {
     
     // Advance to next step
     this.currentStep = (this.currentStep + 1) % this.steps;
+    this.clock += 1;
   }
   
   // Clean up resources
   dispose() {
     this.stop();
     this.loop.dispose();
+    this.metronome.dispose();
   }
 } 
\ No newline at end of file
@@ -0,0 +1,139 @@
+import * as Tone from 'tone';
+import { DEFAULT_TIME_SIGNATURE, getBeatAtStep } from './timeSignature.js';
+
+// Metronome clicks on every beat of the sequencer, louder on the downbeat,
+// and plays the count-in bar before playback. It is driven by
+// DispenserSequencer.tick, so it always lines up with the pattern.
+
+// Sounds to choose from: how to make the synth, and the notes for
+// downbeats and other beats
+export const METRONOME_SOUNDS = {
+  click: {
+    name: 'Click',
+    create: () => new Tone.Synth({
+      oscillator: { type: 'square' },
+      envelope: { attack: 0.001, decay: 0.02, sustain: 0, release: 0.01 }
+    }),
+    accent: 'C7',
+    beat: 'G6'
+  },
+  woodblock: {
+    name: 'Woodblock',
+    create: () => new Tone.MembraneSynth({
+      pitchDecay: 0.008,
+      octaves: 2,
+      envelope: { attack: 0.001, decay: 0.08, sustain: 0, release: 0.02 }
+    }),
+    accent: 'G5',
+    beat: 'C5'
+  },
+  beep: {
+    name: 'Beep',
+    create: () => new Tone.Synth({
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.002, decay: 0.06, sustain: 0, release: 0.03 }
+    }),
+    accent: 'A5',
+    beat: 'A4'
+  }
+};
+
+export const DEFAULT_METRONOME_SETTINGS = {
+  enabled: false,
+  countIn: false,  // One bar of clicks before playback, even with the metronome off
+  sound: 'click',
+  volume: 0.6      // 0-1, separate from the master volume
+};
+
+// Beats other than the downbeat play softer
+const BEAT_VELOCITY = 0.6;
+
+/**
+ * Check and complete metronome settings
+ * @param {Object} settings - Partial { enabled, countIn, sound, volume }
+ * @returns {Object} Full, valid settings
+ */
+export function normalizeMetronomeSettings(settings = {}) {
+  const next = { ...DEFAULT_METRONOME_SETTINGS, ...settings };
+  if (!METRONOME_SOUNDS[next.sound]) {
+    throw new Error(`Unknown metronome sound: ${next.sound}`);
+  }
+  if (!Number.isFinite(next.volume) || next.volume < 0 || next.volume > 1) {
+    throw new Error('Metronome volume must be a number from 0 to 1');
+  }
+  next.enabled = Boolean(next.enabled);
+  next.countIn = Boolean(next.countIn);
+  return next;
+}
+
+function loadMetronomeSettings() {
+  try {
+    return normalizeMetronomeSettings(JSON.parse(localStorage.getItem('metronomeSettings')) ?? {});
+  } catch (e) {
+    console.warn("Ignoring unreadable metronome settings:", e);
+    return { ...DEFAULT_METRONOME_SETTINGS };
+  }
+}
+
+export class Metronome {
+  constructor() {
+    this.settings = loadMetronomeSettings();
+    this.synth = null;  // Made on the first click, so nothing touches audio before it's needed
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Change metronome settings and remember them
+   * @param {Object} settings - Partial { enabled, countIn, sound, volume }
+   * @returns {Object} The new settings
+   */
+  setSettings(settings) {
+    const next = normalizeMetronomeSettings({ ...this.settings, ...settings });
+    if (next.sound !== this.settings.sound) {
+      this.synth?.dispose();
+      this.synth = null;
+    }
+    this.settings = next;
+    localStorage.setItem('metronomeSettings', JSON.stringify(this.settings));
+    return this.getSettings();
+  }
+
+  /**
+   * Click if a sequencer step falls on a beat
+   * @param {number} time - Audio time of the step
+   * @param {number} step - Steps since a downbeat
+   * @param {boolean} countIn - Whether this is the count-in bar, which clicks regardless
+   * @param {Object} timeSignature - Where the beats fall
+   * @returns {boolean} Whether it clicked
+   */
+  tick(time, step, countIn = false, timeSignature = DEFAULT_TIME_SIGNATURE) {
+    const beat = getBeatAtStep(timeSignature, step);
+    if (beat === null) return false;
+    if (!this.settings.enabled && !countIn) return false;
+    if (this.settings.volume === 0) return false;
+
+    const sound = METRONOME_SOUNDS[this.settings.sound];
+    if (!this.synth) {
+      // Straight to the speakers, past the effects, so the click stays dry
+      this.synth = sound.create().toDestination();
+    }
+    this.synth.volume.value = Tone.gainToDb(this.settings.volume);
+
+    const isDownbeat = beat === 0;
+    this.synth.triggerAttackRelease(
+      isDownbeat ? sound.accent : sound.beat,
+      '32n',
+      time,
+      isDownbeat ? 1 : BEAT_VELOCITY
+    );
+    return true;
+  }
+
+  dispose() {
+    this.synth?.dispose();
+    this.synth = null;
+  }
+}
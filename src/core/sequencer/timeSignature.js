@@ -0,0 +1,95 @@
+// Time signatures set the sequencer's grid: how many beats make a bar, which
+// note gets the beat, how finely the grid divides a whole note and how many
+// steps a pattern loops over. Tempo stays in quarter notes per minute, as
+// on Tone's transport, whatever the beat unit.
+
+export const MIN_STEPS = 1;
+export const MAX_STEPS = 64;
+
+export const BEAT_UNITS = [2, 4, 8, 16];
+
+// Grid resolutions in steps per whole note, with their Tone.js intervals
+export const RESOLUTIONS = {
+  4: { name: '1/4', interval: '4n' },
+  8: { name: '1/8', interval: '8n' },
+  12: { name: '1/8 triplet', interval: '8t' },
+  16: { name: '1/16', interval: '16n' },
+  24: { name: '1/16 triplet', interval: '16t' },
+  32: { name: '1/32', interval: '32n' }
+};
+
+export const DEFAULT_TIME_SIGNATURE = {
+  beats: 4,        // Beats per bar
+  beatUnit: 4,     // Note value of a beat: 4 is a quarter, 8 an eighth
+  resolution: 16,  // Steps per whole note
+  steps: 16        // Pattern length
+};
+
+/**
+ * Check and complete a time signature
+ * @param {Object} timeSignature - Partial { beats, beatUnit, resolution, steps }
+ * @returns {Object} Full, valid time signature
+ */
+export function normalizeTimeSignature(timeSignature = {}) {
+  const next = { ...DEFAULT_TIME_SIGNATURE, ...timeSignature };
+  if (!Number.isInteger(next.beats) || next.beats < 1 || next.beats > 16) {
+    throw new Error('Time signature beats must be a whole number from 1 to 16');
+  }
+  if (!BEAT_UNITS.includes(next.beatUnit)) {
+    throw new Error(`Time signature beat unit must be one of ${BEAT_UNITS.join(', ')}`);
+  }
+  if (!RESOLUTIONS[next.resolution]) {
+    throw new Error(`Unknown step resolution: 1/${next.resolution}`);
+  }
+  if (!Number.isInteger(next.steps) || next.steps < MIN_STEPS || next.steps > MAX_STEPS) {
+    throw new Error(`Pattern length must be a whole number of steps from ${MIN_STEPS} to ${MAX_STEPS}`);
+  }
+  return {
+    beats: next.beats,
+    beatUnit: next.beatUnit,
+    resolution: next.resolution,
+    steps: next.steps
+  };
+}
+
+/**
+ * Steps in one bar, rounded up when the grid doesn't divide the bar evenly
+ * (7/8 on a 1/8 triplet grid, say)
+ * @param {Object} timeSignature - A normalized time signature
+ * @returns {number} Whole steps per bar
+ */
+export function getBarSteps({ beats, beatUnit, resolution }) {
+  return Math.ceil(beats * resolution / beatUnit);
+}
+
+/**
+ * Which beat of the bar a step starts on
+ * @param {Object} timeSignature - A normalized time signature
+ * @param {number} step - Steps since a downbeat, such as the start of playback
+ * @returns {number|null} Beat within the bar (0 is the downbeat), or null between beats
+ */
+export function getBeatAtStep({ beats, beatUnit, resolution }, step) {
+  // Beats are resolution / beatUnit steps long, which may not be whole
+  const position = step * beatUnit;
+  if (position % resolution !== 0) return null;
+  return (position / resolution) % beats;
+}
+
+/**
+ * Length of one step in seconds
+ * @param {Object} timeSignature - A normalized time signature
+ * @param {number} bpm - Tempo in quarter notes per minute
+ * @returns {number} Seconds per step
+ */
+export function getStepDuration({ resolution }, bpm) {
+  return 240 / bpm / resolution;
+}
+
+/**
+ * Describe a time signature for the controls and announcer, e.g. "7/8, 14 steps of 1/16"
+ * @param {Object} timeSignature - A normalized time signature
+ * @returns {string} The description
+ */
+export function describeTimeSignature({ beats, beatUnit, resolution, steps }) {
+  return `${beats}/${beatUnit}, ${steps} ${steps === 1 ? 'step' : 'steps'} of ${RESOLUTIONS[resolution].name}`;
+}
@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { PhysicsWorld } from '../physics/world.js';
+import { Wall } from '../../game/wall.js';
+import { Dispenser } from '../../game/dispenser.js';
+import { parseScene } from '../scene/sceneSerializer.js';
+import { createSeededRandom } from '../random/seededRandom.js';
+import { buildScale, mapLengthToScaleNote } from '../../../utils/scaleEngine.js';
+import { normalizeTimeSignature, getStepDuration } from '../sequencer/timeSignature.js';
+
+// HeadlessSimulation plays a scene on the physics engine alone: no renderer,
+// no audio and no global events. It drives sequenced dispensers from its own
+// step clock at the scene tempo and grid and records every wall collision.
+export class HeadlessSimulation {
+  constructor(scene, options = {}) {
+    this.scene = parseScene(scene);
+    this.seed = options.seed ?? 0;
+    this.random = createSeededRandom(this.seed);
+    // Runs cover whole seconds at once, so nothing is dropped
+    this.physics = new PhysicsWorld({ fixedStep: true, maxFrameTime: Infinity });
+
+    // Notes follow the scene's own key, not whatever key the page is in
+    this.notes = buildScale(this.scene.key);
+    this.timeSignature = normalizeTimeSignature(this.scene.timeSignature);
+
+    this.collisions = [];
+    this.triggers = [];
+    this.balls = [];
+    this.nextStep = 0;
+
+    const toVector = ({ x, y, z }) => new THREE.Vector3(x, y, z);
+    const onCollision = (detail) => this.recordCollision(detail);
+
+    this.walls = this.scene.walls.map(({ id, start, end, instrument }) =>
+      new Wall(toVector(start), toVector(end), this.physics, { id, instrument })
+    );
+
+    this.dispensers = this.scene.dispensers.map(({ id, position, pattern, length }) => ({
+      pattern,
+      length: length ?? pattern?.length,
+      dispenser: new Dispenser(toVector(position), this.physics, {
+        id,
+        isSequenced: Boolean(pattern),
+        isDeterministic: options.isDeterministic ?? true,
+        random: this.random,
+        listenForTriggers: false,
+        onCollision
+      })
+    }));
+  }
+
+  // Length of one sequencer step in seconds
+  get stepDuration() {
+    return getStepDuration(this.timeSignature, this.scene.tempo);
+  }
+
+  // Collision notes are a 16th long on the page, whatever the step grid
+  get noteDuration() {
+    return 60 / this.scene.tempo / 4;
+  }
+
+  recordCollision({ wallId, wallLength, instrument, velocity, position }) {
+    this.collisions.push({
+      time: this.physics.time,
+      wallId,
+      instrument: instrument ?? this.scene.instrument,
+      note: mapLengthToScaleNote(wallLength, undefined, undefined, this.notes),
+      velocity,
+      position: { x: position.x, y: position.y, z: position.z }
+    });
+  }
+
+  // Queue spawns for every sequencer step that has started by `time`
+  triggerSteps(time) {
+    while (this.nextStep * this.stepDuration <= time) {
+      const step = this.nextStep;
+      const stepTime = step * this.stepDuration;
+
+      // Each pattern loops at its own length, as on the page
+      this.dispensers.forEach(({ dispenser, pattern, length }) => {
+        if (pattern && pattern[step % length]) {
+          dispenser.spawnBallAtTime(stepTime);
+          this.triggers.push({ time: stepTime, step: step % length, dispenserId: dispenser.id });
+        }
+      });
+
+      this.nextStep++;
+    }
+  }
+
+  update(time) {
+    const now = time * 1000;
+    this.triggerSteps(time);
+
+    this.balls = this.balls.filter(ball => {
+      if (ball.update(now)) {
+        this.physics.removeBody(ball.body);
+        return false;
+      }
+      return true;
+    });
+
+    this.dispensers.forEach(({ dispenser }) => {
+      const ball = dispenser.update(now);
+      if (ball) this.balls.push(ball);
+    });
+  }
+
+  /**
+   * Advance simulated time
+   * @param {number} seconds - How much simulated time to run
+   * @returns {Object[]} Collisions recorded so far, oldest first, each with
+   *   time (s), wallId, instrument, note, velocity and position
+   */
+  run(seconds) {
+    this.physics.step(seconds, (time) => this.update(time));
+    return this.collisions;
+  }
+}
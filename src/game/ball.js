@@ -1,6 +1,7 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
-import { VisualConfig, getVelocityFactor, getOscillatingIntensity } from '../core/config/visualConfig.js';
+import { VisualConfig, getOscillatingIntensity } from '../core/config/visualConfig.js';
+import { getImpactVelocity } from '../../utils/velocityCurve.js';
 
 class FlashEffect {
   constructor(position, intensity) {
@@ -45,6 +46,9 @@ export class Ball {
     this.mass = 0.05;
     this.world = world;  // Store world reference
     this.isDeterministic = options.isDeterministic ?? true; // Default to deterministic mode
+    this.random = options.random ?? Math.random; // Seeded PRNG for reproducible jitter
+    this.onCollision = options.onCollision ?? null; // Replaces the global ballCollision event
+    this.dispenserId = options.dispenserId ?? null; // Dispenser that spawned the ball, for its mixer strip
     
     // Create physics body
     this.body = new CANNON.Body({
@@ -117,27 +121,35 @@ export class Ball {
         // Only apply random impulse if not in deterministic mode
         if (!this.isDeterministic) {
           const randomImpulse = new CANNON.Vec3(
-            (Math.random() - 0.5) * 0.0005,
-            (Math.random() - 0.5) * 0.0005,
-            (Math.random() - 0.5) * 0.0005
+            (this.random() - 0.5) * 0.0005,
+            (this.random() - 0.5) * 0.0005,
+            (this.random() - 0.5) * 0.0005
           );
           this.body.applyImpulse(randomImpulse, this.body.position);
         }
         
-        // Create flash effect at collision point
-        const velocityFactor = getVelocityFactor(impactVelocity);
-        const flashEffect = new FlashEffect(this.body.position, velocityFactor);
-        this.flashEffects.push(flashEffect);
+        // Flash as brightly as the note plays loud; gated contacts don't flash
+        const velocityFactor = getImpactVelocity(impactVelocity);
+        if (velocityFactor > 0) {
+          this.flashEffects.push(new FlashEffect(this.body.position, velocityFactor));
+        }
         
         // Emit collision event for sound handling
-        const collisionEvent = new CustomEvent('ballCollision', {
-          detail: {
-            velocity: impactVelocity,
-            wallLength: targetBody.userData.length,
-            position: this.body.position
-          }
-        });
-        window.dispatchEvent(collisionEvent);
+        const detail = {
+          velocity: impactVelocity,
+          wallId: targetBody.userData.id,
+          wallLength: targetBody.userData.length,
+          note: targetBody.userData.note,
+          instrument: targetBody.userData.instrument ?? null,
+          position: this.body.position,
+          dispenserId: this.dispenserId
+        };
+        
+        if (this.onCollision) {
+          this.onCollision(detail);
+        } else {
+          window.dispatchEvent(new CustomEvent('ballCollision', { detail }));
+        }
       }
     });
   }
@@ -147,7 +159,7 @@ export class Ball {
     this.isGlowing = true;
     this.glowStartTime = performance.now();
     // Scale the glow intensity with impact velocity
-    const velocityFactor = getVelocityFactor(impactVelocity);
+    const velocityFactor = getImpactVelocity(impactVelocity);
     this.mesh.material.emissiveIntensity = config.maxFlashIntensity * velocityFactor;
     // Set to warm yellow color (RGB: 1, 0.8, 0.2)
     this.mesh.material.emissive.setRGB(1, 0.8, 0.2);
@@ -168,7 +180,7 @@ export class Ball {
     }
   }
   
-  update() {
+  update(currentTime = performance.now()) {
     // Update visual position to match physics
     this.mesh.position.copy(this.body.position);
     this.mesh.quaternion.copy(this.body.quaternion);
@@ -191,12 +203,12 @@ export class Ball {
     
     // Track stuck time
     if (!this.stuckStartTime) {
-      this.stuckStartTime = performance.now();
+      this.stuckStartTime = currentTime;
     }
     
     // Check if ball has extremely low velocity and is near the bottom
     const isStuck = this.body.velocity.lengthSquared() < 0.0001 && pos.y < -9;
-    const stuckDuration = performance.now() - this.stuckStartTime;
+    const stuckDuration = currentTime - this.stuckStartTime;
     
     // Only remove if stuck for more than 5 seconds
     if (isStuck && stuckDuration > 5000) {
@@ -205,7 +217,7 @@ export class Ball {
     
     // Reset stuck timer if ball moves
     if (!isStuck) {
-      this.stuckStartTime = performance.now();
+      this.stuckStartTime = currentTime;
     }
     
     // Only remove if ball is very far out of bounds
@@ -221,11 +233,11 @@ export class Ball {
       this.body.linearDamping = Math.min(this.body.linearDamping * 1.01, 0.1);
       
       // Add tiny random impulse to prevent perfect stacking only if not deterministic
-      if (!this.isDeterministic && Math.random() < 0.1) { // 10% chance each update
+      if (!this.isDeterministic && this.random() < 0.1) { // 10% chance each update
         const tinyImpulse = new CANNON.Vec3(
-          (Math.random() - 0.5) * 0.0001,
-          (Math.random() - 0.5) * 0.0001,
-          (Math.random() - 0.5) * 0.0001
+          (this.random() - 0.5) * 0.0001,
+          (this.random() - 0.5) * 0.0001,
+          (this.random() - 0.5) * 0.0001
         );
         this.body.applyImpulse(tinyImpulse, this.body.position);
       }
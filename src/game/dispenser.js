@@ -8,7 +8,10 @@ export class Dispenser {
     this.lastSpawnTime = 0;
     this.spawnInterval = 1000; // 1 second between spawns
     this.isDeterministic = options.isDeterministic ?? true; // Default to deterministic mode
-    this.id = Math.random().toString(36).substr(2, 9); // Generate unique ID
+    this.random = options.random ?? Math.random; // Seeded PRNG for reproducible jitter
+    this.pendingSpawns = []; // Sequencer triggers waiting for the next update
+    this.onCollision = options.onCollision ?? null; // Passed on to spawned balls
+    this.id = options.id ?? Math.random().toString(36).substr(2, 9); // Generate unique ID
     this.isSequenced = options.isSequenced ?? false; // Whether this dispenser follows the sequencer
     
     // Create visual mesh for dispenser
@@ -35,20 +38,29 @@ export class Dispenser {
     this.mesh.userData.dispenser = this;
     this.mesh.userData.id = this.id;
     
-    // Listen for sequencer triggers
-    this.setupSequencerListener();
+    // Listen for sequencer triggers (headless runs queue spawns themselves)
+    if (options.listenForTriggers ?? true) {
+      this.setupSequencerListener();
+    }
   }
   
   setupSequencerListener() {
-    window.addEventListener('dispenser-trigger', (event) => {
+    this.onSequencerTrigger = (event) => {
       const { dispenserId, time } = event.detail;
       if (dispenserId === this.id && this.isSequenced) {
         this.spawnBallAtTime(time);
       }
-    });
+    };
+    window.addEventListener('dispenser-trigger', this.onSequencerTrigger);
   }
   
   update(currentTime) {
+    // Release sequencer triggers on the game loop so spawns line up with physics steps
+    if (this.pendingSpawns.length > 0) {
+      this.lastSpawnTime = this.pendingSpawns.shift() * 1000; // Convert to milliseconds
+      return this.spawnBall();
+    }
+    
     // Only spawn balls automatically if not in sequenced mode
     if (!this.isSequenced && currentTime - this.lastSpawnTime >= this.spawnInterval) {
       const ball = this.spawnBall();
@@ -59,13 +71,8 @@ export class Dispenser {
   }
   
   spawnBallAtTime(time) {
-    const ball = this.spawnBall();
-    if (ball) {
-      // Schedule the ball spawn using Tone.js timing
-      this.lastSpawnTime = time * 1000; // Convert to milliseconds
-      return ball;
-    }
-    return null;
+    // Queue the spawn; update() hands the ball to the game loop
+    this.pendingSpawns.push(time);
   }
   
   spawnBall() {
@@ -75,12 +82,15 @@ export class Dispenser {
     
     // Add slight randomness to prevent perfect stacking only if not deterministic
     if (!this.isDeterministic) {
-      spawnPosition.x += (Math.random() * 0.1 - 0.05);
-      spawnPosition.z += (Math.random() * 0.1 - 0.05);
+      spawnPosition.x += (this.random() * 0.1 - 0.05);
+      spawnPosition.z += (this.random() * 0.1 - 0.05);
     }
     
     const ball = new Ball(spawnPosition, 0.1, this.world, {
-      isDeterministic: this.isDeterministic
+      isDeterministic: this.isDeterministic,
+      random: this.random,
+      onCollision: this.onCollision,
+      dispenserId: this.id
     });
     
     // Ensure the ball is visible
@@ -108,6 +118,11 @@ export class Dispenser {
   }
   
   dispose(scene) {
+    // Stop listening so a disposed dispenser never spawns into the world again
+    if (this.onSequencerTrigger) {
+      window.removeEventListener('dispenser-trigger', this.onSequencerTrigger);
+    }
+    
     scene.remove(this.mesh);
     this.mesh.geometry.dispose();
     this.mesh.material.dispose();
@@ -11,12 +11,38 @@ import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPa
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { DispenserSequencer } from '../core/sequencer/DispenserSequencer.js';
+import { METRONOME_SOUNDS } from '../core/sequencer/Metronome.js';
+import {
+  BEAT_UNITS,
+  DEFAULT_TIME_SIGNATURE,
+  MAX_STEPS,
+  MIN_STEPS,
+  RESOLUTIONS,
+  describeTimeSignature,
+  getBarSteps
+} from '../core/sequencer/timeSignature.js';
 import { PatternEditor } from '../ui/PatternEditor.js';
 import { VisualConfig } from '../core/config/visualConfig.js';
+import { SCENE_FORMAT_VERSION, parseScene } from '../core/scene/sceneSerializer.js';
+import { CommandHistory } from '../core/history/CommandHistory.js';
+import { createSeededRandom, randomSeed } from '../core/random/seededRandom.js';
+import { getAvailableInstruments, getCurrentInstrumentType, setInstrumentType } from '../../utils/synthManager.js';
+import { NOTE_NAMES, SCALE_MODES, getKey, setKey } from '../../utils/scaleEngine.js';
+import { parseTuningFile } from '../../utils/tuning.js';
+import { LengthQuantizationSettings, QuantizationSettings, getQuantizationSettings, quantizeLength } from '../../utils/midiSequencer.js';
+import { DEFAULT_EFFECTS, getEffectsSettings, setEffectsSettings } from '../../utils/effectsChain.js';
+import { EffectsPanel } from '../ui/effects-panel.js';
+import { MidiPanel } from '../ui/midi-panel.js';
+import { MixerPanel } from '../ui/mixer-panel.js';
+import { PatchPanel } from '../ui/patch-panel.js';
+import { MidiInput, describeMidiTarget } from '../core/audio/midiInput.js';
+import { resetStrips, setMasterVolume } from '../../utils/mixer.js';
+import { updateListener } from '../../utils/spatialAudio.js';
 
 export class Game {
-  constructor(canvas) {
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
+    this.options = options;
     this.balls = [];
     this.walls = [];
     this.dispensers = [];
@@ -25,6 +51,8 @@ export class Game {
     this.wallEnd = new THREE.Vector3();
     this.currentWallMesh = null;
     this.hoveredWall = null;
+    this.lengthQuantization = LengthQuantizationSettings.OFF;
+    this.history = new CommandHistory();
     
     // Initialize systems
     this.initScene();
@@ -129,7 +157,10 @@ export class Game {
   }
   
   initPhysics() {
-    this.physics = new PhysicsWorld();
+    // The same seed with fixed stepping replays a scene identically
+    this.seed = this.options.seed ?? randomSeed();
+    this.random = createSeededRandom(this.seed);
+    this.physics = new PhysicsWorld({ fixedStep: this.options.fixedStep ?? false });
   }
   
   initAudio() {
@@ -140,8 +171,8 @@ export class Game {
     
     // Listen for ball collisions
     window.addEventListener('ballCollision', (event) => {
-      const { velocity } = event.detail;
-      this.audio.playCollisionSound(velocity);
+      const { velocity, note, instrument, position, wallId, dispenserId } = event.detail;
+      this.audio.playCollisionSound(velocity, note, instrument, position, wallId, dispenserId);
     });
   }
   
@@ -162,6 +193,9 @@ export class Game {
         this.endpointControls.hide();
         this.contextualMenu.hide();
       }
+      
+      // MIDI bindings for dispensers follow the selection
+      this.midiPanel?.refresh();
     });
     
     // Initialize contextual menu
@@ -171,47 +205,72 @@ export class Game {
         const selection = this.selectionManager.getSelection();
         if (selection.object) {
           if (selection.type === 'wall') {
-            this.deleteWall(selection.object);
+            this.removeWall(selection.object);
           } else if (selection.type === 'dispenser') {
-            const dispenser = selection.object;
-            const index = this.dispensers.indexOf(dispenser);
-            if (index > -1) {
-              dispenser.dispose(this.scene);
-              this.dispensers.splice(index, 1);
-              this.sequencer.removeDispenser(dispenser.id);
-            }
+            this.removeDispenser(selection.object);
           }
         }
       },
       onChangeMaterial: () => {
         // TODO: Implement material change
+      },
+      onChangeInstrument: (instrument) => {
+        const selection = this.selectionManager.getSelection();
+        if (selection.type === 'wall' && selection.object) {
+          this.setWallInstrument(selection.object, instrument);
+        }
+      }
+    });
+    
+    this.effectsPanel = new EffectsPanel();
+    this.mixerPanel = new MixerPanel(this.audio, () => this.dispensers);
+    this.patchPanel = new PatchPanel();
+    window.addEventListener('effects-change', () => this.notifySceneChange('effects'));
+    
+    // MIDI controllers can trigger dispensers and drive the sequencer
+    this.midiInput = new MidiInput();
+    this.midiInput.setCallbacks({
+      onTriggerDispenser: (id) => this.triggerDispenser(id),
+      onSetTempo: (bpm) => this.setTempo(bpm),
+      onSetVolume: (volume) => setMasterVolume(volume),
+      onToggleStep: (id, step) => {
+        const dispenser = this.findDispenser(id);
+        if (!dispenser) return;
+        this.toggleStep(dispenser, step);
+        if (this.patternEditor.currentDispenser === dispenser) {
+          this.patternEditor.updateButtons();
+        }
+      },
+      onLearn: (target, binding) => {
+        this.midiPanel.refresh();
+        const announcer = document.getElementById('announcer');
+        if (announcer) {
+          const source = binding.note !== undefined ? `note ${binding.note}` : `CC ${binding.control}`;
+          announcer.textContent = `${describeMidiTarget(target)} bound to ${source}`;
+        }
       }
     });
+    this.midiPanel = new MidiPanel(this.audio.midiOutput, this.midiInput, () => {
+      const { object, type } = this.selectionManager.getSelection();
+      return type === 'dispenser' ? object : null;
+    }, (dispenserId) => this.sequencer.getPatternLength(dispenserId));
     
     // Initialize endpoint controls
     this.endpointControls = new EndpointControls();
     this.endpointControls.setCallbacks({
-      onEndpointsChanged: (wall) => {
-        // Wall geometry is updated automatically
+      onEndpointsChanged: (wall, previous) => {
+        // Wall geometry is updated automatically, we only record the move
+        this.recordEndpointMove(wall, previous);
+      },
+      onDragEnd: () => {
+        // Each drag is one undo step
+        this.history.seal();
       }
     });
     
     // Add endpoint controls to scene
     this.scene.add(this.endpointControls.startControl);
     this.scene.add(this.endpointControls.endControl);
-    
-    // Add dispenser context menu
-    this.contextualMenu.addMenuItem('Delete', () => {
-      const selected = this.selectionManager.getSelected();
-      if (selected && selected.type === 'dispenser') {
-        const dispenser = selected.object;
-        const index = this.dispensers.indexOf(dispenser);
-        if (index > -1) {
-          dispenser.dispose(this.scene);
-          this.dispensers.splice(index, 1);
-        }
-      }
-    });
   }
   
   initInput() {
@@ -231,6 +290,9 @@ export class Game {
       if (!this.audioInitialized) {
         await this.audio.start();
         this.audioInitialized = true;
+        if (this.midiInput.enabled) {
+          await this.midiInput.init();
+        }
         
         // Remove the event listeners after initialization
         this.canvas.removeEventListener('mousedown', initAudioOnInteraction);
@@ -241,6 +303,9 @@ export class Game {
     this.canvas.addEventListener('mousedown', initAudioOnInteraction);
     this.canvas.addEventListener('touchstart', initAudioOnInteraction);
     
+    // Undo/redo shortcuts
+    window.addEventListener('keydown', this.onKeyDown.bind(this));
+    
     // Window resize handling
     window.addEventListener('resize', this.onWindowResize.bind(this));
   }
@@ -248,16 +313,61 @@ export class Game {
   initSequencer() {
     this.sequencer = new DispenserSequencer();
     this.patternEditor = new PatternEditor(this.sequencer);
+    this.patternEditor.setCallbacks({
+      onToggleStep: (dispenser, step) => this.toggleStep(dispenser, step),
+      onSetLength: (dispenser, length) => this.setPatternLength(dispenser, length)
+    });
     
     // Add sequencer controls to UI
     const controls = document.createElement('div');
     controls.className = 'sequencer-controls';
+    const key = getKey();
     controls.innerHTML = `
       <button id="play-pause">Play</button>
       <input type="range" id="tempo" min="60" max="200" value="120">
       <span id="tempo-display">120 BPM</span>
+      <label><input type="checkbox" id="metronome-toggle"> Metronome</label>
+      <select id="metronome-sound" aria-label="Metronome sound">
+        ${Object.entries(METRONOME_SOUNDS).map(([id, sound]) => `<option value="${id}">${sound.name}</option>`).join('')}
+      </select>
+      <input type="range" id="metronome-volume" min="0" max="100" aria-label="Metronome volume">
+      <label><input type="checkbox" id="count-in"> Count-in</label>
+      <select id="time-beats" aria-label="Beats per bar">
+        ${Array.from({ length: 16 }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+      </select>
+      <select id="time-beat-unit" aria-label="Beat unit">
+        ${BEAT_UNITS.map(unit => `<option value="${unit}">/${unit}</option>`).join('')}
+      </select>
+      <select id="step-resolution" aria-label="Step resolution">
+        ${Object.entries(RESOLUTIONS).map(([resolution, { name }]) => `<option value="${resolution}">${name}</option>`).join('')}
+      </select>
+      <input type="number" id="pattern-steps" min="${MIN_STEPS}" max="${MAX_STEPS}" aria-label="Pattern length in steps" title="Pattern length in steps">
+      <select id="key-root" aria-label="Key root note">
+        ${NOTE_NAMES.map(root => `<option value="${root}">${root}</option>`).join('')}
+      </select>
+      <select id="key-mode" aria-label="Scale mode">
+        ${Object.entries(SCALE_MODES).map(([id, mode]) => `<option value="${id}">${mode.name}</option>`).join('')}
+      </select>
+      <select id="key-octave" aria-label="Lowest octave">
+        ${[2, 3, 4, 5].map(octave => `<option value="${octave}">Octave ${octave}</option>`).join('')}
+      </select>
+      <select id="key-octaves" aria-label="Octave range">
+        ${[1, 2, 3, 4].map(octaves => `<option value="${octaves}">${octaves} oct</option>`).join('')}
+      </select>
+      <select id="key-tuning" aria-label="Tuning"></select>
+      <button id="load-tuning" title="Load a Scala (.scl, .kbm) or JSON tuning">Load tuning</button>
+      <input type="file" id="tuning-file" accept=".scl,.kbm,.json" hidden>
+      <label><input type="checkbox" id="snap-length"> Snap to scale</label>
+      <select id="timing-quantize" aria-label="Collision timing quantization">
+        ${Object.values(QuantizationSettings)
+          .map(settings => `<option value="${settings.id}">${settings.name}</option>`).join('')}
+      </select>
+      <input type="range" id="quantize-strength" min="0" max="100" value="100" aria-label="Quantization strength">
+      <span id="quantize-strength-display">100%</span>
     `;
     document.body.appendChild(controls);
+    this.updateKeyControls(key);
+    this.updateTimeSignatureControls(this.sequencer.getTimeSignature());
     
     // Set up control handlers
     const playPauseBtn = document.getElementById('play-pause');
@@ -269,18 +379,219 @@ export class Game {
         this.sequencer.stop();
         playPauseBtn.textContent = 'Play';
       } else {
-        this.sequencer.start();
+        this.sequencer.start({ countIn: this.sequencer.metronome.getSettings().countIn });
         playPauseBtn.textContent = 'Stop';
       }
     });
     
+    // Metronome settings are remembered between sessions
+    const metronome = this.sequencer.metronome;
+    const metronomeSettings = metronome.getSettings();
+    const metronomeToggle = document.getElementById('metronome-toggle');
+    const metronomeSound = document.getElementById('metronome-sound');
+    const metronomeVolume = document.getElementById('metronome-volume');
+    const countInToggle = document.getElementById('count-in');
+    metronomeToggle.checked = metronomeSettings.enabled;
+    metronomeSound.value = metronomeSettings.sound;
+    metronomeVolume.value = Math.round(metronomeSettings.volume * 100);
+    countInToggle.checked = metronomeSettings.countIn;
+    metronomeToggle.addEventListener('change', () => metronome.setSettings({ enabled: metronomeToggle.checked }));
+    metronomeSound.addEventListener('change', () => metronome.setSettings({ sound: metronomeSound.value }));
+    metronomeVolume.addEventListener('change', () => metronome.setSettings({ volume: parseInt(metronomeVolume.value) / 100 }));
+    countInToggle.addEventListener('change', () => metronome.setSettings({ countIn: countInToggle.checked }));
+    
+    // Count the beats in for screen readers too
+    window.addEventListener('sequencer-count-in', (event) => {
+      const { beat } = event.detail;
+      const announcer = document.getElementById('announcer');
+      if (announcer && beat !== null) {
+        announcer.textContent = `Count-in ${beat + 1}`;
+      }
+    });
+    
+    // A new meter or grid resizes patterns to one bar; the step count can then differ
+    const changeTimeSignature = (changes) => {
+      const announcer = document.getElementById('announcer');
+      try {
+        const timeSignature = this.changeTimeSignature(changes);
+        if (announcer) {
+          announcer.textContent = `Time signature ${describeTimeSignature(timeSignature)}`;
+        }
+      } catch (error) {
+        console.warn("Could not change time signature:", error);
+        this.updateTimeSignatureControls(this.sequencer.getTimeSignature());
+        if (announcer) {
+          announcer.textContent = error.message;
+        }
+      }
+    };
+    const changeMeter = (field, value) => {
+      const next = { ...this.sequencer.getTimeSignature(), [field]: value };
+      changeTimeSignature({ ...next, steps: Math.min(getBarSteps(next), MAX_STEPS) });
+    };
+    document.getElementById('time-beats').addEventListener('change', (e) => {
+      changeMeter('beats', parseInt(e.target.value));
+    });
+    document.getElementById('time-beat-unit').addEventListener('change', (e) => {
+      changeMeter('beatUnit', parseInt(e.target.value));
+    });
+    document.getElementById('step-resolution').addEventListener('change', (e) => {
+      changeMeter('resolution', parseInt(e.target.value));
+    });
+    document.getElementById('pattern-steps').addEventListener('change', (e) => {
+      changeTimeSignature({ steps: Number(e.target.value) });
+    });
+    
     tempoSlider.addEventListener('input', (e) => {
-      const bpm = parseInt(e.target.value);
-      this.sequencer.setTempo(bpm);
-      tempoDisplay.textContent = `${bpm} BPM`;
+      this.setTempo(parseInt(e.target.value));
+    });
+    
+    // Changing the key retunes every wall through the key-change event
+    document.getElementById('key-root').addEventListener('change', (e) => {
+      setKey({ root: e.target.value });
+    });
+    document.getElementById('key-mode').addEventListener('change', (e) => {
+      setKey({ mode: e.target.value });
+    });
+    document.getElementById('key-octave').addEventListener('change', (e) => {
+      setKey({ octave: parseInt(e.target.value) });
+    });
+    document.getElementById('key-octaves').addEventListener('change', (e) => {
+      setKey({ octaves: parseInt(e.target.value) });
+    });
+    
+    // Tunings replace 12-TET; a .kbm file maps the loaded .scl scale
+    document.getElementById('key-tuning').addEventListener('change', (e) => {
+      if (!e.target.value) setKey({ tuning: null });
+    });
+    const tuningFile = document.getElementById('tuning-file');
+    document.getElementById('load-tuning').addEventListener('click', () => tuningFile.click());
+    tuningFile.addEventListener('change', async () => {
+      const file = tuningFile.files[0];
+      if (!file) return;
+      
+      try {
+        setKey({ tuning: parseTuningFile(file.name, await file.text(), getKey().tuning) });
+      } catch (error) {
+        console.warn("Could not load tuning:", error);
+        const announcer = document.getElementById('announcer');
+        if (announcer) {
+          announcer.textContent = `Could not load tuning: ${error.message}`;
+        }
+      }
+      
+      // Allow loading the same file again
+      tuningFile.value = '';
+    });
+    
+    document.getElementById('snap-length').addEventListener('change', (e) => {
+      this.setLengthQuantization(e.target.checked ? LengthQuantizationSettings.SCALE : LengthQuantizationSettings.OFF);
+    });
+    const timingSelect = document.getElementById('timing-quantize');
+    const strengthSlider = document.getElementById('quantize-strength');
+    const updateTimingQuantization = () => {
+      const strength = parseInt(strengthSlider.value);
+      document.getElementById('quantize-strength-display').textContent = `${strength}%`;
+      this.audio.setTimingQuantization(getQuantizationSettings(timingSelect.value), strength / 100);
+    };
+    timingSelect.addEventListener('change', updateTimingQuantization);
+    strengthSlider.addEventListener('input', updateTimingQuantization);
+    
+    window.addEventListener('key-change', (event) => {
+      const { key } = event.detail;
+      this.walls.forEach(wall => wall.retune());
+      this.updateKeyControls(key);
+      this.notifySceneChange('key');
+      
+      const announcer = document.getElementById('announcer');
+      if (announcer) {
+        announcer.textContent = key.tuning
+          ? `Tuning changed to ${key.tuning.name} from ${key.root}`
+          : `Key changed to ${key.root} ${SCALE_MODES[key.mode].name}`;
+      }
     });
   }
   
+  // Snap wall lengths to scale degrees while drawing and dragging endpoints
+  setLengthQuantization(settings) {
+    this.lengthQuantization = settings;
+    this.endpointControls.setLengthQuantization(settings);
+  }
+  
+  updateKeyControls(key) {
+    ['root', 'mode', 'octave', 'octaves'].forEach(field => {
+      const select = document.getElementById(`key-${field}`);
+      if (select) select.value = key[field];
+    });
+    
+    // A tuning brings its own scale degrees, so the mode doesn't apply
+    const modeSelect = document.getElementById('key-mode');
+    if (modeSelect) modeSelect.disabled = Boolean(key.tuning);
+    
+    const tuningSelect = document.getElementById('key-tuning');
+    if (tuningSelect) {
+      tuningSelect.innerHTML = '<option value="">Equal temperament</option>'
+        + (key.tuning ? '<option value="tuned"></option>' : '');
+      if (key.tuning) {
+        // Set as text, since tuning names come from files
+        tuningSelect.options[1].textContent = key.tuning.name;
+      }
+      tuningSelect.value = key.tuning ? 'tuned' : '';
+    }
+  }
+  
+  updateTimeSignatureControls(timeSignature) {
+    const fields = {
+      'time-beats': timeSignature.beats,
+      'time-beat-unit': timeSignature.beatUnit,
+      'step-resolution': timeSignature.resolution,
+      'pattern-steps': timeSignature.steps
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const control = document.getElementById(id);
+      if (control) control.value = value;
+    });
+  }
+  
+  // Change the meter, grid or pattern length and lay the editors out to match
+  setTimeSignature(changes) {
+    const timeSignature = this.sequencer.setTimeSignature(changes);
+    this.notifySceneChange('time-signature');
+    this.updateTimeSignatureControls(timeSignature);
+    this.patternEditor.updateButtons();
+    this.midiPanel.refresh();
+    return timeSignature;
+  }
+  
+  // Time signature changes from the controls are recorded in the undo history
+  changeTimeSignature(changes) {
+    const previous = this.sequencer.getTimeSignature();
+    const lengths = this.sequencer.getPatternLengths();
+    const timeSignature = this.setTimeSignature(changes);
+    
+    this.history.record({
+      label: 'Change time signature',
+      undo: () => {
+        this.setTimeSignature(previous);
+        // Dispensers that had their own lengths get them back too
+        Object.entries(lengths).forEach(([id, length]) => this.sequencer.setPatternLength(id, length));
+      },
+      redo: () => this.setTimeSignature(timeSignature)
+    });
+    return timeSignature;
+  }
+  
+  setTempo(bpm) {
+    this.sequencer.setTempo(bpm);
+    this.notifySceneChange('tempo');
+    
+    // Keep the sequencer controls in sync when tempo changes from code
+    const tempoSlider = document.getElementById('tempo');
+    const tempoDisplay = document.getElementById('tempo-display');
+    if (tempoSlider) tempoSlider.value = bpm;
+    if (tempoDisplay) tempoDisplay.textContent = `${bpm} BPM`;
+  }
+  
   onPointerDown(event) {
     const intersection = this.getIntersectionPoint(event);
     if (!intersection) return;
@@ -311,6 +622,7 @@ export class Game {
           this.selectionManager.deselect();
         } else {
           this.selectionManager.select(wall, 'wall');
+          this.contextualMenu.showInstrumentPicker(getAvailableInstruments(), wall.instrument);
           this.contextualMenu.toggle(wall.mesh.position, wall.mesh);
         }
         return;
@@ -324,6 +636,7 @@ export class Game {
           this.patternEditor.hide();
         } else {
           this.selectionManager.select(dispenser, 'dispenser');
+          this.contextualMenu.hideInstrumentPicker();
           this.contextualMenu.toggle(dispenser.mesh.position, dispenser.mesh);
           // Add dispenser to sequencer when selected
           this.sequencer.addDispenser(dispenser.id);
@@ -342,6 +655,12 @@ export class Game {
       return;
     }
     
+    // Handle right click to create dispenser
+    if (event.button === 2) {
+      this.placeDispenser(intersection);
+      return;
+    }
+    
     // Handle empty space click
     if (!wallIntersects.length && !dispenserIntersects.length) {
       this.selectionManager.deselect();
@@ -350,14 +669,6 @@ export class Game {
       return;
     }
     
-    // Handle right click to create dispenser
-    if (event.button === 2) {
-      const dispenser = new Dispenser(intersection, this.physics);
-      this.dispensers.push(dispenser);
-      this.scene.add(dispenser.mesh);
-      return;
-    }
-    
     // Drop ball on regular click
     this.createBall(intersection);
   }
@@ -419,7 +730,13 @@ export class Game {
     
     const intersection = this.getIntersectionPoint(event);
     if (intersection) {
+      const direction = new THREE.Vector3().subVectors(intersection, this.wallStart);
+      const length = direction.length();
       this.wallEnd.copy(intersection);
+      if (length > 0) {
+        const snapped = quantizeLength(length, this.lengthQuantization);
+        this.wallEnd.copy(this.wallStart).addScaledVector(direction, snapped / length);
+      }
       this.updateWallPreview();
     }
   }
@@ -431,7 +748,7 @@ export class Game {
     if (this.isDrawing) {
       this.isDrawing = false;
       if (this.wallStart.distanceTo(this.wallEnd) > 0.2) {
-        this.createWall(this.wallStart, this.wallEnd);
+        this.drawWall(this.wallStart, this.wallEnd);
       }
       if (this.currentWallMesh) {
         this.scene.remove(this.currentWallMesh);
@@ -448,6 +765,21 @@ export class Game {
     }
   }
   
+  onKeyDown(event) {
+    // Leave form fields their own undo behaviour
+    if (event.target.closest && event.target.closest('input, textarea, select')) return;
+    if (!(event.ctrlKey || event.metaKey)) return;
+    
+    const key = event.key.toLowerCase();
+    if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      this.redo();
+    } else if (key === 'z') {
+      event.preventDefault();
+      this.undo();
+    }
+  }
+  
   onWindowResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
@@ -470,7 +802,7 @@ export class Game {
   }
   
   createBall(position) {
-    const ball = new Ball(position, 0.1, this.physics);
+    const ball = new Ball(position, 0.1, this.physics, { random: this.random });
     this.balls.push(ball);
     this.scene.add(ball.mesh);
     
@@ -480,10 +812,12 @@ export class Game {
     });
   }
   
-  createWall(start, end) {
-    const wall = new Wall(start, end, this.physics);
+  createWall(start, end, options = {}) {
+    const wall = new Wall(start, end, this.physics, options);
     this.walls.push(wall);
     this.scene.add(wall.mesh);
+    this.notifySceneChange('wall-created');
+    return wall;
   }
   
   deleteWall(wall) {
@@ -492,6 +826,325 @@ export class Game {
       wall.dispose(this.scene, this.physics);
       this.walls.splice(index, 1);
       this.selectionManager.deselect();
+      this.notifySceneChange('wall-deleted');
+    }
+  }
+  
+  createDispenser(position, options = {}) {
+    const dispenser = new Dispenser(position, this.physics, {
+      random: this.random,
+      ...options
+    });
+    this.dispensers.push(dispenser);
+    this.scene.add(dispenser.mesh);
+    this.notifySceneChange('dispenser-created');
+    return dispenser;
+  }
+  
+  deleteDispenser(dispenser) {
+    const index = this.dispensers.indexOf(dispenser);
+    if (index !== -1) {
+      dispenser.dispose(this.scene);
+      this.dispensers.splice(index, 1);
+      this.sequencer.removeDispenser(dispenser.id);
+      if (this.selectionManager.isSelected(dispenser)) {
+        this.selectionManager.deselect();
+        this.patternEditor.hide();
+      }
+      this.notifySceneChange('dispenser-deleted');
+    }
+  }
+  
+  // Spawn a ball from a dispenser right away, e.g. from a MIDI pad
+  triggerDispenser(id) {
+    const dispenser = this.findDispenser(id);
+    if (!dispenser) return;
+    
+    const ball = dispenser.spawnBall();
+    this.balls.push(ball);
+    this.scene.add(ball.mesh);
+  }
+  
+  // Let listeners such as autosave know the composition changed
+  notifySceneChange(reason) {
+    window.dispatchEvent(new CustomEvent('scene-change', {
+      detail: { reason }
+    }));
+  }
+  
+  // Remove every ball, wall and dispenser from the scene
+  clearScene() {
+    this.selectionManager.deselect();
+    this.contextualMenu.hide();
+    this.patternEditor.hide();
+    
+    this.balls.forEach(ball => ball.dispose(this.scene, this.physics));
+    this.balls = [];
+    
+    this.walls.forEach(wall => wall.dispose(this.scene, this.physics));
+    this.walls = [];
+    
+    this.dispensers.forEach(dispenser => dispenser.dispose(this.scene));
+    this.dispensers = [];
+    this.sequencer.clear();
+    // Strips of the dispensers just removed would otherwise linger in the mixer
+    resetStrips();
+    this.notifySceneChange('cleared');
+  }
+  
+  findWall(id) {
+    return this.walls.find(wall => wall.id === id);
+  }
+  
+  findDispenser(id) {
+    return this.dispensers.find(dispenser => dispenser.id === id);
+  }
+  
+  serializeWall(wall) {
+    const data = {
+      id: wall.id,
+      start: { x: wall.start.x, y: wall.start.y, z: wall.start.z },
+      end: { x: wall.end.x, y: wall.end.y, z: wall.end.z }
+    };
+    // Walls on the global instrument leave the field out
+    if (wall.instrument) {
+      data.instrument = wall.instrument;
+    }
+    return data;
+  }
+  
+  restoreWall({ id, start, end, instrument }) {
+    return this.createWall(
+      new THREE.Vector3(start.x, start.y, start.z),
+      new THREE.Vector3(end.x, end.y, end.z),
+      { id, instrument }
+    );
+  }
+  
+  serializeDispenser(dispenser) {
+    const { x, y, z } = dispenser.position;
+    const saved = this.sequencer.getSavedPattern(dispenser.id);
+    const data = {
+      id: dispenser.id,
+      position: { x, y, z },
+      pattern: saved?.pattern ?? null
+    };
+    // Patterns that loop before their last kept step say where
+    if (saved && saved.length < saved.pattern.length) {
+      data.length = saved.length;
+    }
+    return data;
+  }
+  
+  restoreDispenser({ id, position, pattern, length }) {
+    const dispenser = this.createDispenser(
+      new THREE.Vector3(position.x, position.y, position.z),
+      { id }
+    );
+    if (pattern) {
+      this.sequencer.setPattern(id, pattern, length);
+      dispenser.setSequenced(true);
+    }
+    return dispenser;
+  }
+  
+  // Capture the composition (not transient balls) as versioned scene data
+  serialize() {
+    return {
+      version: SCENE_FORMAT_VERSION,
+      tempo: this.sequencer.bpm,
+      instrument: getCurrentInstrumentType(),
+      key: getKey(),
+      effects: getEffectsSettings(),
+      timeSignature: this.sequencer.getTimeSignature(),
+      walls: this.walls.map(wall => this.serializeWall(wall)),
+      dispensers: this.dispensers.map(dispenser => this.serializeDispenser(dispenser))
+    };
+  }
+  
+  // Replace the current composition with a saved scene (JSON text or object)
+  loadScene(json) {
+    // Parse first so a bad file leaves the current scene untouched
+    const scene = parseScene(json);
+    
+    this.applyScene(scene);
+    this.history.clear();
+    return scene;
+  }
+  
+  applyScene(scene) {
+    // Also resets the mixer strips, which belong to the scene being replaced
+    this.clearScene();
+    this.setTempo(scene.tempo);
+    setInstrumentType(scene.instrument);
+    // Scenes in 12-TET have no tuning, so clear any the last scene loaded
+    setKey({ tuning: null, ...scene.key });
+    setEffectsSettings(scene.effects ?? DEFAULT_EFFECTS);
+    // Before the patterns, so they load at the scene's length
+    this.setTimeSignature(scene.timeSignature ?? DEFAULT_TIME_SIGNATURE);
+    
+    scene.walls.forEach(wall => this.restoreWall(wall));
+    scene.dispensers.forEach(dispenser => this.restoreDispenser(dispenser));
+  }
+  
+  // Editing actions below are recorded in the undo history
+  
+  drawWall(start, end) {
+    const wall = this.createWall(start, end);
+    const data = this.serializeWall(wall);
+    
+    this.history.record({
+      label: 'Draw wall',
+      undo: () => this.deleteWall(this.findWall(data.id)),
+      redo: () => this.restoreWall(data)
+    });
+    return wall;
+  }
+  
+  removeWall(wall) {
+    const data = this.serializeWall(wall);
+    this.deleteWall(wall);
+    
+    this.history.record({
+      label: 'Delete wall',
+      undo: () => this.restoreWall(data),
+      redo: () => this.deleteWall(this.findWall(data.id))
+    });
+  }
+  
+  recordEndpointMove(wall, previous) {
+    const { id } = wall;
+    const next = { start: wall.start.clone(), end: wall.end.clone() };
+    
+    // Every pointer move of one drag shares a key, so the whole drag undoes at once
+    this.history.record({
+      label: 'Move wall endpoint',
+      coalesceKey: `endpoints:${id}`,
+      undo: () => this.findWall(id)?.setEndpoints(previous.start, previous.end),
+      redo: () => this.findWall(id)?.setEndpoints(next.start, next.end)
+    });
+    this.notifySceneChange('wall-moved');
+  }
+  
+  setWallInstrument(wall, instrument) {
+    const { id } = wall;
+    const previous = wall.instrument;
+    if (previous === instrument) return;
+    
+    wall.setInstrument(instrument);
+    this.history.record({
+      label: 'Change wall instrument',
+      undo: () => this.findWall(id)?.setInstrument(previous),
+      redo: () => this.findWall(id)?.setInstrument(instrument)
+    });
+    this.notifySceneChange('wall-instrument');
+    
+    const announcer = document.getElementById('announcer');
+    if (announcer) {
+      announcer.textContent = `Wall plays ${instrument ?? 'the global instrument'}`;
+    }
+  }
+  
+  placeDispenser(position) {
+    const dispenser = this.createDispenser(position);
+    const data = this.serializeDispenser(dispenser);
+    
+    this.history.record({
+      label: 'Place dispenser',
+      undo: () => this.deleteDispenser(this.findDispenser(data.id)),
+      redo: () => this.restoreDispenser(data)
+    });
+    return dispenser;
+  }
+  
+  removeDispenser(dispenser) {
+    const data = this.serializeDispenser(dispenser);
+    this.deleteDispenser(dispenser);
+    
+    this.history.record({
+      label: 'Delete dispenser',
+      undo: () => this.restoreDispenser(data),
+      redo: () => this.deleteDispenser(this.findDispenser(data.id))
+    });
+  }
+  
+  toggleStep(dispenser, step) {
+    const { id } = dispenser;
+    this.sequencer.toggleStep(id, step);
+    
+    // Toggling is its own inverse
+    this.history.record({
+      label: 'Toggle step',
+      undo: () => this.sequencer.toggleStep(id, step),
+      redo: () => this.sequencer.toggleStep(id, step)
+    });
+  }
+  
+  setPatternLength(dispenser, length) {
+    const { id } = dispenser;
+    const previous = this.sequencer.getPatternLength(id);
+    if (length === previous) return;
+    this.sequencer.setPatternLength(id, length);
+    this.midiPanel.refresh();
+    
+    // Shorter patterns keep their later steps, so undo brings them back
+    this.history.record({
+      label: 'Change pattern length',
+      undo: () => this.sequencer.setPatternLength(id, previous),
+      redo: () => this.sequencer.setPatternLength(id, length)
+    });
+    
+    const announcer = document.getElementById('announcer');
+    if (announcer) {
+      announcer.textContent = `Pattern length ${length} ${length === 1 ? 'step' : 'steps'}`;
+    }
+  }
+  
+  clearAll() {
+    const snapshot = this.serialize();
+    this.clearScene();
+    
+    this.history.record({
+      label: 'Clear all',
+      undo: () => this.applyScene(snapshot),
+      redo: () => this.clearScene()
+    });
+  }
+  
+  undo() {
+    const command = this.history.undo();
+    if (command) {
+      this.notifySceneChange('undo');
+      this.syncAfterHistory(`Undo ${command.label.toLowerCase()}`);
+    }
+  }
+  
+  redo() {
+    const command = this.history.redo();
+    if (command) {
+      this.notifySceneChange('redo');
+      this.syncAfterHistory(`Redo ${command.label.toLowerCase()}`);
+    }
+  }
+  
+  // Drop selections of objects that undo/redo removed and refresh the editors
+  syncAfterHistory(message) {
+    const { object, type } = this.selectionManager.getSelection();
+    const stillExists = type === 'wall'
+      ? this.walls.includes(object)
+      : this.dispensers.includes(object);
+    
+    if (object && !stillExists) {
+      this.selectionManager.deselect();
+      this.patternEditor.hide();
+    } else {
+      this.endpointControls.update();
+      this.patternEditor.updateButtons();
+    }
+    
+    const announcer = document.getElementById('announcer');
+    if (announcer) {
+      announcer.textContent = message;
     }
   }
   
@@ -523,19 +1176,10 @@ export class Game {
     this.scene.add(this.currentWallMesh);
   }
   
-  animate() {
-    requestAnimationFrame(this.animate.bind(this));
-    
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000;
-    this.lastTime = currentTime;
-    
-    // Update physics
-    this.physics.step(deltaTime);
-    
+  updateObjects(currentTime) {
     // Update balls and remove any that are out of bounds
     this.balls = this.balls.filter(ball => {
-      const shouldRemove = ball.update();
+      const shouldRemove = ball.update(currentTime);
       if (shouldRemove) {
         ball.dispose(this.scene, this.physics);
         return false;
@@ -551,12 +1195,32 @@ export class Game {
         this.scene.add(ball.mesh);
       }
     });
+  }
+  
+  animate() {
+    requestAnimationFrame(this.animate.bind(this));
+    
+    const currentTime = performance.now();
+    const deltaTime = (currentTime - this.lastTime) / 1000;
+    this.lastTime = currentTime;
+    
+    // Update physics; in fixed-step mode game objects advance with every
+    // physics step on simulated time instead of once per frame
+    if (this.physics.fixedStep) {
+      this.physics.step(deltaTime, (time) => this.updateObjects(time * 1000));
+    } else {
+      this.physics.step(deltaTime);
+      this.updateObjects(currentTime);
+    }
     
     // Update wall preview if drawing
     if (this.isDrawing) {
       this.updateWallPreview();
     }
     
+    // Keep the HRTF listener at the camera
+    updateListener(this.camera);
+    
     // Render scene with post-processing
     this.composer.render();
   }
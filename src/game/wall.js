@@ -1,12 +1,15 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
 import { VisualConfig } from '../core/config/visualConfig.js';
+import { getDegreeForLength, getScaleNotes, mapLengthToScaleNote } from '../../utils/scaleEngine.js';
 
 export class Wall {
-  constructor(start, end, world) {
+  constructor(start, end, world, options = {}) {
     this.start = start.clone();
     this.end = end.clone();
     this.world = world;
+    this.id = options.id ?? Math.random().toString(36).substr(2, 9); // Generate unique ID
+    this.instrument = options.instrument ?? null; // null plays the global instrument
     
     // Calculate wall properties
     const direction = new THREE.Vector3().subVectors(end, start);
@@ -32,8 +35,10 @@ export class Wall {
     
     // Store note information with the wall body
     this.body.userData = {
+      id: this.id,
       note: this.getNoteForLength(length),
       length: length,
+      instrument: this.instrument,
       isWall: true,
       restitution: 0.95
     };
@@ -63,6 +68,10 @@ export class Wall {
     // Store original color for hover effect
     this.originalColor = material.color.clone();
     this.originalEmissiveIntensity = config.emissiveIntensity;
+    
+    // Color the wall by its scale degree
+    this.retune();
+    this.setInstrument(this.instrument);
   }
   
   updateStart(newStart) {
@@ -75,6 +84,12 @@ export class Wall {
     this.updateGeometry();
   }
   
+  setEndpoints(newStart, newEnd) {
+    this.start.copy(newStart);
+    this.end.copy(newEnd);
+    this.updateGeometry();
+  }
+  
   updateGeometry() {
     // Calculate new properties
     const direction = new THREE.Vector3().subVectors(this.end, this.start);
@@ -91,7 +106,6 @@ export class Wall {
     
     // Update user data
     this.body.userData.length = length;
-    this.body.userData.note = this.getNoteForLength(length);
     
     // Update visual mesh
     const geometry = new THREE.BoxGeometry(length, 0.2, 0.2);
@@ -100,10 +114,32 @@ export class Wall {
     this.mesh.position.copy(center);
     this.mesh.rotation.z = angle;
     
-    // Update material color
+    // Update note and color for the new length
+    this.retune();
+  }
+  
+  // Re-evaluate note and color, e.g. after the global key changes
+  retune() {
+    const length = this.body.userData.length;
+    this.body.userData.note = this.getNoteForLength(length);
+    
     const newColor = this.getColorForLength(length);
     this.mesh.material.color.set(newColor);
     this.originalColor = newColor.clone();
+    if (!this.isHighlighted) {
+      this.mesh.material.emissive = newColor.clone();
+    }
+  }
+  
+  // Play through a specific instrument, or null for the global one
+  setInstrument(instrument) {
+    this.instrument = instrument ?? null;
+    this.body.userData.instrument = this.instrument;
+    
+    // Show the instrument through the wall's surface finish
+    const finish = VisualConfig.wall.instruments[this.instrument] ?? VisualConfig.wall.base;
+    this.mesh.material.roughness = finish.roughness;
+    this.mesh.material.metalness = finish.metalness;
   }
   
   highlight(isHighlighted) {
@@ -116,21 +152,15 @@ export class Wall {
   }
   
   getNoteForLength(length) {
-    // Map length to musical note (C4 to C5)
-    const minLength = 0.2;
-    const maxLength = 3.0;
-    const normalizedLength = (length - minLength) / (maxLength - minLength);
-    const noteIndex = Math.floor(normalizedLength * 12); // 12 notes in an octave
-    const notes = ['C4', 'C#4', 'D4', 'D#4', 'E4', 'F4', 'F#4', 'G4', 'G#4', 'A4', 'A#4', 'B4', 'C5'];
-    return notes[Math.min(noteIndex, notes.length - 1)];
+    // Share the sequencer's length-to-note mapping so walls sound what they claim
+    return mapLengthToScaleNote(length);
   }
   
   getColorForLength(length) {
-    // Map length to color (blue to red)
-    const minLength = 0.2;
-    const maxLength = 3.0;
-    const normalizedLength = (length - minLength) / (maxLength - minLength);
-    const hue = 0.6 - normalizedLength * 0.6; // 0.6 is blue, 0 is red
+    // Map scale degree to color (blue for the lowest note to red for the highest)
+    const noteCount = getScaleNotes().length;
+    const degree = getDegreeForLength(length, noteCount);
+    const hue = 0.6 - (degree / Math.max(noteCount - 1, 1)) * 0.6; // 0.6 is blue, 0 is red
     return new THREE.Color().setHSL(hue, 0.8, 0.5);
   }
   
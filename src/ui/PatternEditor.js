@@ -1,29 +1,46 @@
+import * as THREE from 'three';
+import { MAX_STEPS, MIN_STEPS, getBarSteps, getBeatAtStep } from '../core/sequencer/timeSignature.js';
+
+// Rows never grow wider than this many steps, so long bars wrap
+const MAX_COLUMNS = 16;
+
 export class PatternEditor {
   constructor(sequencer) {
     this.sequencer = sequencer;
+    this.onToggleStep = null;
+    this.onSetLength = null;
     this.container = document.createElement('div');
     this.container.className = 'pattern-editor';
     this.container.style.display = 'none';
     document.body.appendChild(this.container);
     
-    // Create step buttons
+    // Each pattern can loop at its own length
+    const lengthLabel = document.createElement('label');
+    lengthLabel.className = 'pattern-length';
+    lengthLabel.textContent = 'Steps ';
+    this.lengthInput = document.createElement('input');
+    this.lengthInput.type = 'number';
+    this.lengthInput.min = MIN_STEPS;
+    this.lengthInput.max = MAX_STEPS;
+    this.lengthInput.setAttribute('aria-label', 'Pattern length in steps');
+    this.lengthInput.addEventListener('change', () => this.setLength(Number(this.lengthInput.value)));
+    lengthLabel.appendChild(this.lengthInput);
+    this.container.appendChild(lengthLabel);
+    
+    // Step buttons are made by layout(), to fit the pattern's length
     this.stepButtons = [];
-    for (let i = 0; i < 16; i++) {
-      const button = document.createElement('button');
-      button.className = 'step-button';
-      button.setAttribute('aria-label', `Step ${i + 1}`);
-      this.stepButtons.push(button);
-      this.container.appendChild(button);
-    }
+    this.layoutKey = null;
     
     // Create current step indicator
     this.currentStepIndicator = document.createElement('div');
     this.currentStepIndicator.className = 'current-step';
     this.container.appendChild(this.currentStepIndicator);
+    this.layout();
     
-    // Listen for sequencer step changes
+    // Listen for sequencer step changes, following the shown pattern's own playhead
     window.addEventListener('sequencer-step', (event) => {
-      this.updateCurrentStep(event.detail.step);
+      const { step, playheads } = event.detail;
+      this.updateCurrentStep(playheads?.[this.currentDispenser?.id] ?? step);
     });
   }
   
@@ -32,6 +49,7 @@ export class PatternEditor {
     
     this.currentDispenser = dispenser;
     this.container.style.display = 'grid';
+    this.layout();
     
     // Position editor below the dispenser in screen space
     const vector = new THREE.Vector3();
@@ -46,14 +64,67 @@ export class PatternEditor {
     
     // Update button states
     this.updateButtons();
+  }
+  
+  // Make a button per step of the shown pattern, a bar to a row, rebuilding
+  // only when its length or the time signature has changed
+  layout() {
+    const timeSignature = this.sequencer.getTimeSignature();
+    const steps = this.currentDispenser
+      ? this.sequencer.getPatternLength(this.currentDispenser.id)
+      : timeSignature.steps;
+    this.lengthInput.value = steps;
+    const layoutKey = JSON.stringify({ ...timeSignature, steps });
+    if (layoutKey === this.layoutKey) return;
+    this.layoutKey = layoutKey;
     
-    // Set up click handlers
-    this.stepButtons.forEach((button, step) => {
-      button.onclick = () => {
-        this.sequencer.toggleStep(dispenser.id, step);
-        this.updateButtons();
-      };
-    });
+    this.stepButtons.forEach(button => button.remove());
+    this.stepButtons = [];
+    for (let step = 0; step < steps; step++) {
+      const button = document.createElement('button');
+      button.className = 'step-button';
+      // Beats stand out so the meter can be read at a glance
+      button.classList.toggle('beat', getBeatAtStep(timeSignature, step) !== null);
+      button.setAttribute('aria-label', `Step ${step + 1}`);
+      button.onclick = () => this.toggle(step);
+      this.stepButtons.push(button);
+      this.container.insertBefore(button, this.currentStepIndicator);
+    }
+    
+    const columns = Math.min(steps, getBarSteps(timeSignature), MAX_COLUMNS);
+    this.container.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+  }
+  
+  toggle(step) {
+    const dispenser = this.currentDispenser;
+    if (!dispenser) return;
+    
+    if (this.onToggleStep) {
+      this.onToggleStep(dispenser, step);
+    } else {
+      this.sequencer.toggleStep(dispenser.id, step);
+    }
+    this.updateButtons();
+  }
+  
+  setLength(length) {
+    const dispenser = this.currentDispenser;
+    if (!dispenser) return;
+    
+    try {
+      if (this.onSetLength) {
+        this.onSetLength(dispenser, length);
+      } else {
+        this.sequencer.setPatternLength(dispenser.id, length);
+      }
+    } catch (error) {
+      console.warn("Could not change pattern length:", error);
+      const announcer = document.getElementById('announcer');
+      if (announcer) {
+        announcer.textContent = error.message;
+      }
+    }
+    this.updateButtons();
   }
   
   hide() {
@@ -64,17 +135,23 @@ export class PatternEditor {
   updateButtons() {
     if (!this.currentDispenser) return;
     
+    this.layout();
     this.stepButtons.forEach((button, step) => {
       button.classList.toggle('active', 
         this.sequencer.isStepActive(this.currentDispenser.id, step));
     });
   }
   
+  setCallbacks({ onToggleStep, onSetLength }) {
+    this.onToggleStep = onToggleStep;
+    this.onSetLength = onSetLength;
+  }
+  
   updateCurrentStep(step) {
-    // Move the current step indicator
-    const buttonWidth = this.stepButtons[0].offsetWidth;
-    const buttonSpacing = parseInt(getComputedStyle(this.container).gap);
-    this.currentStepIndicator.style.left = 
-      `${step * (buttonWidth + buttonSpacing)}px`;
+    // Move the current step indicator above the step's button, which may be on any row
+    const button = this.stepButtons[step];
+    if (!button) return;
+    this.currentStepIndicator.style.left = `${button.offsetLeft}px`;
+    this.currentStepIndicator.style.top = `${button.offsetTop - 5}px`;
   }
 } 
\ No newline at end of file
@@ -31,6 +31,8 @@ export class ContextualMenu {
       this.hide();
     });
     
+    this.createInstrumentPicker();
+    
     // Add keyboard navigation
     this.menu.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -85,6 +87,56 @@ export class ContextualMenu {
     this.menu.appendChild(item);
   }
   
+  // Instrument select, only shown for walls (see showInstrumentPicker)
+  createInstrumentPicker() {
+    this.instrumentLabel = document.createElement('label');
+    this.instrumentLabel.textContent = 'Instrument';
+    this.instrumentLabel.style.cssText = `
+      display: none;
+      padding: 8px 12px;
+      font-size: 14px;
+    `;
+    
+    this.instrumentPicker = document.createElement('select');
+    this.instrumentPicker.style.cssText = `
+      display: block;
+      width: 100%;
+      margin-top: 4px;
+    `;
+    this.instrumentPicker.addEventListener('change', () => {
+      if (this.onChangeInstrument) {
+        this.onChangeInstrument(this.instrumentPicker.value || null);
+      }
+    });
+    
+    this.instrumentLabel.appendChild(this.instrumentPicker);
+    this.menu.appendChild(this.instrumentLabel);
+  }
+  
+  /**
+   * Show the instrument picker for the next menu
+   * @param {string[]} instruments - Instrument names to offer
+   * @param {string|null} current - The wall's instrument, or null for the global one
+   */
+  showInstrumentPicker(instruments, current) {
+    const options = [{ value: '', label: 'Global instrument' }]
+      .concat(instruments.map(name => ({ value: name, label: name.charAt(0).toUpperCase() + name.slice(1) })));
+    
+    this.instrumentPicker.innerHTML = '';
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.instrumentPicker.appendChild(option);
+    });
+    this.instrumentPicker.value = current ?? '';
+    this.instrumentLabel.style.display = 'block';
+  }
+  
+  hideInstrumentPicker() {
+    this.instrumentLabel.style.display = 'none';
+  }
+  
   toggle(position, object) {
     if (this.isVisible) {
       this.hide();
@@ -136,8 +188,9 @@ export class ContextualMenu {
     }
   }
   
-  setCallbacks({ onDelete, onChangeMaterial }) {
+  setCallbacks({ onDelete, onChangeMaterial, onChangeInstrument }) {
     this.onDelete = onDelete;
     this.onChangeMaterial = onChangeMaterial;
+    this.onChangeInstrument = onChangeInstrument;
   }
 } 
\ No newline at end of file
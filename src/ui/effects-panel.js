@@ -0,0 +1,95 @@
+import {
+  FILTER_TYPES,
+  getEffectsSettings,
+  getSend,
+  setSend,
+  updateEffects
+} from '../../utils/effectsChain.js';
+import { getAvailableInstruments, getCurrentInstrumentType } from '../../utils/synthManager.js';
+import { PAN_MODES, getSpatialSettings, setSpatialSettings } from '../../utils/spatialAudio.js';
+import { VELOCITY_CURVES, getVelocitySettings, setVelocitySettings } from '../../utils/velocityCurve.js';
+import { SettingsPanel } from './settings-panel.js';
+
+// Sliders shown in the panel: [section, setting, label, min, max, step]
+const EFFECT_SLIDERS = [
+  ['reverb', 'decay', 'Reverb decay (s)', 0.1, 10, 0.1],
+  ['delay', 'delayTime', 'Delay time (s)', 0.01, 1, 0.01],
+  ['delay', 'feedback', 'Delay feedback', 0, 0.95, 0.05],
+  ['chorus', 'wet', 'Chorus mix', 0, 1, 0.05],
+  ['filter', 'frequency', 'Filter cutoff (Hz)', 20, 20000, 10],
+  ['filter', 'Q', 'Filter resonance', 0, 20, 0.1],
+  ['compressor', 'threshold', 'Compressor threshold (dB)', -60, 0, 1],
+  ['compressor', 'ratio', 'Compressor ratio', 1, 20, 0.5],
+  ['limiter', 'threshold', 'Limiter ceiling (dB)', -60, 0, 0.5]
+];
+
+// Sliders for how impact speed maps to dynamics: [setting, label, min, max, step]
+const VELOCITY_SLIDERS = [
+  ['gate', 'Noise gate (impact speed)', 0, 2, 0.05],
+  ['minImpact', 'Quietest at impact speed', 0, 5, 0.1],
+  ['maxImpact', 'Loudest at impact speed', 1, 20, 0.5],
+  ['fixedVelocity', 'Fixed curve level', 0.05, 1, 0.05]
+];
+
+export class EffectsPanel extends SettingsPanel {
+  constructor() {
+    super('Effects');
+
+    // Redraw when settings change elsewhere, e.g. a scene is loaded
+    window.addEventListener('effects-change', () => this.refresh());
+  }
+
+  show() {
+    this.sendInstrument = this.sendInstrument ?? getCurrentInstrumentType();
+    super.show();
+  }
+
+  render() {
+    const settings = getEffectsSettings();
+    const send = getSend(this.sendInstrument);
+    this.clear();
+
+    this.addCheckbox('Chorus', settings.chorus.enabled, (enabled) => updateEffects({ chorus: { enabled } }));
+    this.addCheckbox('Filter', settings.filter.enabled, (enabled) => updateEffects({ filter: { enabled } }));
+    this.addSelect('Filter type', FILTER_TYPES, settings.filter.type, (type) => updateEffects({ filter: { type } }));
+
+    EFFECT_SLIDERS.forEach(([section, key, label, min, max, step]) => {
+      this.addSlider(label, settings[section][key], min, max, step, (value) => {
+        updateEffects({ [section]: { [key]: value } });
+      });
+    });
+
+    // Sends are per instrument
+    this.addSelect('Sends for', getAvailableInstruments(), this.sendInstrument, (instrument) => {
+      this.sendInstrument = instrument;
+      this.render();
+    });
+    this.addSlider('Reverb send', send.reverb, 0, 1, 0.05, (reverb) => setSend(this.sendInstrument, { reverb }));
+    this.addSlider('Delay send', send.delay, 0, 1, 0.05, (delay) => setSend(this.sendInstrument, { delay }));
+
+    // Panning of collision notes by where they happen
+    const spatial = getSpatialSettings();
+    this.addSelect('Panning', Object.values(PAN_MODES), spatial.mode, (mode) => setSpatialSettings({ mode }));
+    this.addSlider('Stereo width', spatial.width, 0, 1, 0.05, (width) => setSpatialSettings({ width }));
+
+    // Dynamics of collision notes and flashes
+    const velocity = getVelocitySettings();
+    this.addSelect('Velocity curve', Object.values(VELOCITY_CURVES), velocity.curve, (curve) => this.setVelocity({ curve }));
+    VELOCITY_SLIDERS.forEach(([key, label, min, max, step]) => {
+      this.addSlider(label, velocity[key], min, max, step, (value) => this.setVelocity({ [key]: value }));
+    });
+  }
+
+  setVelocity(changes) {
+    try {
+      setVelocitySettings(changes);
+    } catch (e) {
+      // e.g. the quietest speed dragged above the loudest; put the slider back
+      const announcer = document.getElementById('announcer');
+      if (announcer) {
+        announcer.textContent = e.message;
+      }
+      this.render();
+    }
+  }
+}
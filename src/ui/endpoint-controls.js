@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { LengthQuantizationSettings, quantizeLength } from '../../utils/midiSequencer.js';
 
 export class EndpointControls {
   constructor() {
@@ -7,6 +8,8 @@ export class EndpointControls {
     this.isDragging = false;
     this.activeControl = null;
     this.onEndpointsChanged = null;
+    this.onDragEnd = null;
+    this.lengthQuantization = LengthQuantizationSettings.OFF;
   }
   
   createControl() {
@@ -55,6 +58,13 @@ export class EndpointControls {
     }
   }
   
+  // Move the controls back onto the current wall's endpoints
+  update() {
+    if (!this.currentWall) return;
+    this.startControl.position.copy(this.currentWall.start);
+    this.endControl.position.copy(this.currentWall.end);
+  }
+  
   hide() {
     this.startControl.visible = false;
     this.endControl.visible = false;
@@ -86,6 +96,21 @@ export class EndpointControls {
     raycaster.ray.intersectPlane(plane, intersection);
     
     if (intersection) {
+      // Slide the dragged end along the wall so its length lands on a scale degree
+      const anchor = this.activeControl === this.startControl ? this.currentWall.end : this.currentWall.start;
+      const direction = new THREE.Vector3().subVectors(intersection, anchor);
+      const length = direction.length();
+      if (length > 0) {
+        const snapped = quantizeLength(length, this.lengthQuantization);
+        intersection.copy(anchor).addScaledVector(direction, snapped / length);
+      }
+      
+      // Remember where the wall was so the move can be undone
+      const previous = {
+        start: this.currentWall.start.clone(),
+        end: this.currentWall.end.clone()
+      };
+      
       // Update control position
       this.activeControl.position.copy(intersection);
       
@@ -98,7 +123,7 @@ export class EndpointControls {
       
       // Notify change
       if (this.onEndpointsChanged) {
-        this.onEndpointsChanged(this.currentWall);
+        this.onEndpointsChanged(this.currentWall, previous);
       }
       
       // Play movement sound
@@ -113,6 +138,10 @@ export class EndpointControls {
       this.isDragging = false;
       this.activeControl = null;
       
+      if (this.onDragEnd) {
+        this.onDragEnd(this.currentWall);
+      }
+      
       // Play release sound
       if (window.playNote) {
         window.playNote('G4', '32n', null, 0.1);
@@ -120,7 +149,12 @@ export class EndpointControls {
     }
   }
   
-  setCallbacks({ onEndpointsChanged }) {
+  setLengthQuantization(settings) {
+    this.lengthQuantization = settings;
+  }
+  
+  setCallbacks({ onEndpointsChanged, onDragEnd }) {
     this.onEndpointsChanged = onEndpointsChanged;
+    this.onDragEnd = onDragEnd;
   }
 } 
\ No newline at end of file
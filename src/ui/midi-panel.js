@@ -0,0 +1,163 @@
+import { MIDI_CHANNEL_MODES, MIDI_OUTPUT_MODES } from '../core/audio/midiOutput.js';
+import { MIDI_TARGETS, describeMidiTarget, isSameMidiTarget } from '../core/audio/midiInput.js';
+import { SettingsPanel } from './settings-panel.js';
+
+const OUTPUT_MODE_LABELS = [
+  [MIDI_OUTPUT_MODES.OFF, 'Synths only'],
+  [MIDI_OUTPUT_MODES.MIDI, 'MIDI only'],
+  [MIDI_OUTPUT_MODES.BOTH, 'Synths and MIDI']
+];
+
+const CHANNEL_MODE_LABELS = [
+  [MIDI_CHANNEL_MODES.SINGLE, 'One channel'],
+  [MIDI_CHANNEL_MODES.WALL, 'A channel per wall'],
+  [MIDI_CHANNEL_MODES.INSTRUMENT, 'A channel per instrument']
+];
+
+const UNAVAILABLE = 'MIDI is not available in this browser';
+
+function announce(text) {
+  const announcer = document.getElementById('announcer');
+  if (announcer) {
+    announcer.textContent = text;
+  }
+}
+
+export class MidiPanel extends SettingsPanel {
+  /**
+   * @param {MidiOutput} midiOutput - Where collision notes go
+   * @param {MidiInput} midiInput - Controller bindings
+   * @param {Function} getSelectedDispenser - Returns the selected dispenser, or null
+   * @param {Function} getStepCount - Returns a dispenser's pattern length, given its id
+   */
+  constructor(midiOutput, midiInput, getSelectedDispenser, getStepCount) {
+    // Beside the effects panel, so both can be open
+    super('MIDI', { top: '60px', right: '300px' });
+    this.midiOutput = midiOutput;
+    this.midiInput = midiInput;
+    this.getSelectedDispenser = getSelectedDispenser;
+    this.getStepCount = getStepCount;
+    this.outputUnavailable = false;
+    this.inputUnavailable = false;
+    this.learnStep = 0;
+
+    window.addEventListener('midi-ports-change', () => this.refresh());
+  }
+
+  hide() {
+    // Learning stops with the panel, so a stray key press doesn't bind later
+    this.midiInput.cancelLearn();
+    super.hide();
+  }
+
+  async setMode(mode) {
+    this.midiOutput.setSettings({ mode });
+
+    // Access is only requested once MIDI is turned on
+    if (mode !== MIDI_OUTPUT_MODES.OFF) {
+      this.outputUnavailable = !(await this.midiOutput.init());
+    }
+    this.refresh();
+    announce(this.outputUnavailable
+      ? UNAVAILABLE
+      : `Collision notes: ${OUTPUT_MODE_LABELS.find(([id]) => id === mode)[1]}`);
+  }
+
+  async setInputEnabled(enabled) {
+    const listening = await this.midiInput.setEnabled(enabled);
+    this.inputUnavailable = enabled && !listening;
+    this.refresh();
+    announce(this.inputUnavailable
+      ? UNAVAILABLE
+      : `MIDI controllers ${enabled ? 'connected' : 'disconnected'}`);
+  }
+
+  render() {
+    this.clear();
+    this.renderOutput();
+    this.renderInput();
+  }
+
+  renderOutput() {
+    const settings = this.midiOutput.getSettings();
+    this.addSelect('Collision notes', OUTPUT_MODE_LABELS, settings.mode, (mode) => this.setMode(mode));
+    if (settings.mode === MIDI_OUTPUT_MODES.OFF) return;
+
+    if (this.outputUnavailable) {
+      this.addNote(`${UNAVAILABLE}, so the synths keep playing.`);
+      return;
+    }
+
+    const outputs = this.midiOutput.getOutputs();
+    if (outputs.length === 0) {
+      this.addNote('No MIDI output found. Connect a device or a virtual port.');
+      return;
+    }
+
+    this.addSelect('Output port', outputs.map(({ id, name }) => [id, name]), settings.outputId, (outputId) => {
+      this.midiOutput.setSettings({ outputId });
+    });
+    this.addSelect('Channels', CHANNEL_MODE_LABELS, settings.channelMode, (channelMode) => {
+      this.midiOutput.setSettings({ channelMode });
+      this.render();
+    });
+    if (settings.channelMode === MIDI_CHANNEL_MODES.SINGLE) {
+      const channels = Array.from({ length: 16 }, (_, channel) => [channel, `Channel ${channel + 1}`]);
+      this.addSelect('Channel', channels, settings.channel, (channel) => {
+        this.midiOutput.setSettings({ channel: parseInt(channel) });
+      });
+    }
+  }
+
+  renderInput() {
+    this.addHeading('Controllers');
+    this.addCheckbox('Listen to MIDI controllers', this.midiInput.enabled, (enabled) => this.setInputEnabled(enabled));
+    if (!this.midiInput.enabled) return;
+
+    if (this.inputUnavailable) {
+      this.addNote(UNAVAILABLE);
+      return;
+    }
+
+    this.addLearnButton({ type: MIDI_TARGETS.TEMPO });
+    this.addLearnButton({ type: MIDI_TARGETS.VOLUME });
+
+    // Dispenser bindings apply to the selected dispenser
+    const dispenser = this.getSelectedDispenser();
+    if (!dispenser) {
+      this.addNote('Select a dispenser to bind a pad to it or to its steps.');
+      return;
+    }
+
+    this.addLearnButton({ type: MIDI_TARGETS.DISPENSER, dispenserId: dispenser.id });
+    const steps = Array.from({ length: this.getStepCount(dispenser.id) }, (_, step) => [step, `Step ${step + 1}`]);
+    // Patterns may have shrunk since the step was picked
+    this.learnStep = Math.min(this.learnStep, steps.length - 1);
+    this.addSelect('Step to bind', steps, this.learnStep, (step) => {
+      this.learnStep = parseInt(step);
+      this.render();
+    });
+    this.addLearnButton({ type: MIDI_TARGETS.STEP, dispenserId: dispenser.id, step: this.learnStep });
+  }
+
+  // Shows a target's binding, with a button to learn a new one
+  addLearnButton(target) {
+    const binding = this.midiInput.getBinding(target);
+    const bound = binding
+      ? (binding.note !== undefined ? `Note ${binding.note}` : `CC ${binding.control}`)
+      : 'Unbound';
+    const learning = this.midiInput.isLearning && isSameMidiTarget(this.midiInput.learnTarget, target);
+    const label = describeMidiTarget(target);
+
+    this.addButton(`${label[0].toUpperCase()}${label.slice(1)}: ${bound}`, learning ? 'Waiting… (cancel)' : 'Learn', () => {
+      if (learning) {
+        this.midiInput.cancelLearn();
+      } else {
+        this.midiInput.startLearn(target);
+        const source = target.type === MIDI_TARGETS.DISPENSER ? 'a key or pad' : 'a knob, fader or button';
+        announce(`Press ${source} to bind to ${label}`);
+      }
+      this.render();
+    });
+  }
+}
@@ -0,0 +1,149 @@
+import {
+  STRIP_TYPES,
+  getStrip,
+  setStrip,
+  getMasterVolume,
+  setMasterVolume,
+  getMasterLevel
+} from '../../utils/mixer.js';
+import {
+  VOICE_STEALING,
+  getAvailableInstruments,
+  getVoiceSettings,
+  setVoiceSettings
+} from '../../utils/synthManager.js';
+import { SettingsPanel } from './settings-panel.js';
+
+// Meter range in decibels; anything quieter shows as empty
+const METER_FLOOR = -60;
+
+// Most voices an instrument can sound at once
+const MAX_VOICE_LIMIT = 32;
+
+export class MixerPanel extends SettingsPanel {
+  /**
+   * @param {AudioManager} audio - Muted as a whole by the master mute
+   * @param {Function} getDispensers - Returns the scene's dispensers
+   */
+  constructor(audio, getDispensers) {
+    // Beside the MIDI panel, so all three can be open
+    super('Mixer', { top: '60px', right: '580px' });
+    this.audio = audio;
+    this.getDispensers = getDispensers;
+    this.meter = null;
+    this.meterFrame = null;
+
+    // Redraw when levels change elsewhere, e.g. a MIDI fader or the sound toggle,
+    // and when dispensers come and go; scene changes also fire on every wall
+    // drag, so those alone don't rebuild the panel
+    this.dispenserIds = '';
+    window.addEventListener('mixer-change', () => this.refresh());
+    window.addEventListener('scene-change', () => {
+      if (this.getDispenserIds() !== this.dispenserIds) this.refresh();
+    });
+  }
+
+  show() {
+    super.show();
+    this.updateMeter();
+  }
+
+  hide() {
+    cancelAnimationFrame(this.meterFrame);
+    this.meterFrame = null;
+    super.hide();
+  }
+
+  // Follow the master level while the panel is open
+  updateMeter() {
+    // Metering starts the audio context, so wait for the first user gesture
+    if (this.meter && this.audio.isInitialized) {
+      const level = getMasterLevel();
+      this.meter.value = Number.isFinite(level) ? Math.max(METER_FLOOR, level) : METER_FLOOR;
+    }
+    this.meterFrame = requestAnimationFrame(() => this.updateMeter());
+  }
+
+  getDispenserIds() {
+    return this.getDispensers().map(({ id }) => id).join(',');
+  }
+
+  render() {
+    this.dispenserIds = this.getDispenserIds();
+    this.clear();
+
+    this.addSlider('Master volume', getMasterVolume(), 0, 1, 0.05, (volume) => setMasterVolume(volume));
+    this.meter = document.createElement('meter');
+    Object.assign(this.meter, { min: METER_FLOOR, max: 0, low: -12, high: -3, optimum: -20, value: METER_FLOOR });
+    this.addRow('Master level', this.meter);
+    this.addCheckbox('Mute everything', this.audio.isMuted, (muted) => this.audio.setMuted(muted));
+
+    // Each instrument gets this many voices; a note past the limit cuts one off
+    const voices = getVoiceSettings();
+    this.addHeading('Polyphony');
+    this.addSlider(`Voices per instrument (${voices.maxVoices})`, voices.maxVoices, 1, MAX_VOICE_LIMIT, 1, (maxVoices) => {
+      setVoiceSettings({ maxVoices });
+      this.render();
+    });
+    this.addSelect('When all voices are busy, cut off', [
+      [VOICE_STEALING.OLDEST, 'The oldest note'],
+      [VOICE_STEALING.QUIETEST, 'The quietest note']
+    ], voices.stealing, (stealing) => setVoiceSettings({ stealing }));
+
+    this.addHeading('Instruments');
+    getAvailableInstruments().forEach(instrument => {
+      this.addStrip(STRIP_TYPES.INSTRUMENT, instrument, instrument);
+    });
+
+    this.addHeading('Dispensers');
+    const dispensers = this.getDispensers();
+    if (dispensers.length === 0) {
+      this.addNote('Add a dispenser to mix its balls separately.');
+    }
+    dispensers.forEach((dispenser, index) => {
+      this.addStrip(STRIP_TYPES.DISPENSER, dispenser.id, `Dispenser ${index + 1}`);
+    });
+  }
+
+  // A channel strip: volume slider with mute (M) and solo (S) toggles
+  addStrip(type, id, label) {
+    const strip = getStrip(type, id);
+    const row = document.createElement('div');
+    row.setAttribute('role', 'group');
+    row.setAttribute('aria-label', label);
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin: 4px 0;
+    `;
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.cssText = `
+      flex: 0 0 90px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    `;
+    row.appendChild(name);
+
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min: 0, max: 1, step: 0.05, value: strip.volume });
+    slider.setAttribute('aria-label', `${label} volume`);
+    slider.style.flex = '1';
+    slider.addEventListener('change', () => setStrip(type, id, { volume: parseFloat(slider.value) }));
+    row.appendChild(slider);
+
+    [['mute', 'M'], ['solo', 'S']].forEach(([key, text]) => {
+      const toggle = document.createElement('label');
+      const checkbox = document.createElement('input');
+      Object.assign(checkbox, { type: 'checkbox', checked: strip[key] });
+      checkbox.setAttribute('aria-label', `${key === 'mute' ? 'Mute' : 'Solo'} ${label}`);
+      checkbox.addEventListener('change', () => setStrip(type, id, { [key]: checkbox.checked }));
+      toggle.append(checkbox, text);
+      row.appendChild(toggle);
+    });
+
+    this.panel.appendChild(row);
+  }
+}
@@ -0,0 +1,151 @@
+import { FILTER_TYPES } from '../../utils/effectsChain.js';
+import {
+  DEFAULT_PATCH,
+  OSCILLATOR_TYPES,
+  PATCH_RANGES,
+  normalizePatch,
+  parsePatch,
+  serializePatch
+} from '../../utils/synthPatch.js';
+import {
+  INSTRUMENT_PREFABS,
+  deleteCustomInstrument,
+  getCustomInstrument,
+  getCustomInstrumentNames,
+  getInstrumentSettings,
+  isCustomInstrument,
+  previewPatch,
+  saveCustomInstrument
+} from '../../utils/synthManager.js';
+import { SettingsPanel } from './settings-panel.js';
+
+// Sliders shown in the panel: [path, label, step]; ranges come from PATCH_RANGES
+const PATCH_SLIDERS = [
+  ['envelope.attack', 'Attack (s)', 0.001],
+  ['envelope.decay', 'Decay (s)', 0.01],
+  ['envelope.sustain', 'Sustain', 0.01],
+  ['envelope.release', 'Release (s)', 0.01],
+  ['volume', 'Volume (dB)', 1],
+  ['detune', 'Detune (cents)', 1],
+  ['filter.frequency', 'Filter cutoff (Hz)', 10],
+  ['filter.Q', 'Filter resonance', 0.1]
+];
+
+function announce(text) {
+  const announcer = document.getElementById('announcer');
+  if (announcer) {
+    announcer.textContent = text;
+  }
+}
+
+const readPath = (patch, path) => path.split('.').reduce((value, key) => value[key], patch);
+
+export class PatchPanel extends SettingsPanel {
+  constructor() {
+    // Left of the screen, clear of the other panels
+    super('Patches', { top: '60px', left: '20px' });
+    this.name = '';
+    this.patch = normalizePatch(DEFAULT_PATCH);
+
+    this.patchFile = document.createElement('input');
+    Object.assign(this.patchFile, { type: 'file', accept: '.json,application/json', hidden: true });
+    this.patchFile.addEventListener('change', () => this.importFile());
+    document.body.appendChild(this.patchFile);
+  }
+
+  render() {
+    this.clear();
+
+    // Editing starts from a copy of any synth instrument
+    const sources = Object.keys(INSTRUMENT_PREFABS).concat(getCustomInstrumentNames());
+    this.addSelect('Start from', [['', 'Choose an instrument…'], ...sources], '', (name) => this.load(name));
+
+    this.addSelect('Oscillator', OSCILLATOR_TYPES, this.patch.oscillator.type, (type) => this.update('oscillator.type', type));
+    PATCH_SLIDERS.forEach(([path, label, step]) => {
+      const [, min, max] = PATCH_RANGES.find(([range]) => range === path);
+      this.addSlider(label, readPath(this.patch, path), min, max, step, (value) => this.update(path, value));
+    });
+    this.addSelect('Filter type', FILTER_TYPES, this.patch.filter.type, (type) => this.update('filter.type', type));
+    this.addButton('Preview', 'Play', () => previewPatch(this.patch));
+
+    this.addHeading('Save');
+    this.addTextInput('Instrument name', this.name, (name) => {
+      this.name = name;
+      this.render();
+    });
+    this.addButton('', isCustomInstrument(this.name.trim()) ? 'Update instrument' : 'Save instrument', () => this.save());
+    if (isCustomInstrument(this.name.trim())) {
+      this.addButton('', 'Delete instrument', () => {
+        deleteCustomInstrument(this.name.trim());
+        announce(`${this.name.trim()} deleted`);
+        this.render();
+      });
+    }
+
+    this.addHeading('Share');
+    this.addButton('', 'Export patch (JSON)', () => this.exportFile());
+    this.addButton('', 'Import patch (JSON)', () => this.patchFile.click());
+  }
+
+  load(name) {
+    if (!name) return;
+    const custom = getCustomInstrument(name);
+    this.patch = normalizePatch(custom ?? getInstrumentSettings(name));
+    // Prefabs are copied under a new name; custom instruments are edited in place
+    this.name = custom ? name : `My ${name}`;
+    this.render();
+    previewPatch(this.patch);
+  }
+
+  // Change one setting and hear it straight away
+  update(path, value) {
+    const [section, key] = path.split('.');
+    const next = JSON.parse(JSON.stringify(this.patch));
+    if (key) {
+      next[section][key] = value;
+    } else {
+      next[section] = value;
+    }
+    this.patch = normalizePatch(next);
+    previewPatch(this.patch);
+  }
+
+  save() {
+    try {
+      this.name = saveCustomInstrument(this.name, this.patch);
+      announce(`${this.name} saved; walls can now play it`);
+    } catch (e) {
+      announce(e.message);
+    }
+    this.render();
+  }
+
+  exportFile() {
+    const name = this.name.trim() || 'patch';
+    const url = URL.createObjectURL(new Blob([serializePatch(name, this.patch)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async importFile() {
+    const file = this.patchFile.files[0];
+    if (!file) return;
+
+    try {
+      const { name, patch } = parsePatch(await file.text());
+      this.name = saveCustomInstrument(name, patch);
+      this.patch = patch;
+      announce(`${this.name} imported`);
+    } catch (e) {
+      console.warn("Could not import patch:", e);
+      announce('Could not import patch file');
+    }
+
+    // Allow importing the same file again
+    this.patchFile.value = '';
+    this.render();
+  }
+}
@@ -0,0 +1,139 @@
+// Base for floating settings panels: subclasses fill the panel in render()
+// with the add* helpers and call it again whenever their settings change
+export class SettingsPanel {
+  constructor(title, position = { top: '60px', right: '20px' }) {
+    this.title = title;
+    this.panel = document.createElement('div');
+    this.panel.className = `${title.toLowerCase()}-panel`;
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-label', title);
+    this.panel.style.cssText = `
+      position: fixed;
+      background: rgba(0, 0, 0, 0.8);
+      border-radius: 8px;
+      padding: 10px 14px;
+      color: white;
+      z-index: 1000;
+      display: none;
+      width: 260px;
+      font-size: 13px;
+      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+    `;
+    Object.assign(this.panel.style, position);
+    document.body.appendChild(this.panel);
+    this.isVisible = false;
+  }
+
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    this.render();
+    this.panel.style.display = 'block';
+    this.isVisible = true;
+
+    const announcer = document.getElementById('announcer');
+    if (announcer) {
+      announcer.textContent = `${this.title} panel opened`;
+    }
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+    this.isVisible = false;
+  }
+
+  // Redraw only while open; closed panels render when shown
+  refresh() {
+    if (this.isVisible) this.render();
+  }
+
+  render() {
+    this.clear();
+  }
+
+  clear() {
+    this.panel.innerHTML = `<h3 style="margin: 0 0 8px">${this.title}</h3>`;
+  }
+
+  addRow(label, control) {
+    const row = document.createElement('label');
+    row.textContent = label;
+    row.style.cssText = `
+      display: block;
+      margin: 6px 0;
+    `;
+    control.style.display = 'block';
+    control.style.width = '100%';
+    row.appendChild(control);
+    this.panel.appendChild(row);
+  }
+
+  addSlider(label, value, min, max, step, onChange) {
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min, max, step, value });
+    // Setting changes re-render the panel, so only commit once the drag ends
+    slider.addEventListener('change', () => onChange(parseFloat(slider.value)));
+    this.addRow(label, slider);
+  }
+
+  addCheckbox(label, checked, onChange) {
+    const checkbox = document.createElement('input');
+    Object.assign(checkbox, { type: 'checkbox', checked });
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    this.addRow(label, checkbox);
+    checkbox.style.width = 'auto';
+  }
+
+  // Options are values, or [value, label] pairs
+  addSelect(label, options, value, onChange) {
+    const select = document.createElement('select');
+    options.forEach(option => {
+      const [optionValue, optionLabel] = Array.isArray(option) ? option : [option, option];
+      const element = document.createElement('option');
+      element.value = optionValue;
+      element.textContent = optionLabel;
+      select.appendChild(element);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    this.addRow(label, select);
+  }
+
+  addTextInput(label, value, onChange) {
+    const input = document.createElement('input');
+    Object.assign(input, { type: 'text', value });
+    input.addEventListener('change', () => onChange(input.value));
+    this.addRow(label, input);
+  }
+
+  addButton(label, text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    this.addRow(label, button);
+  }
+
+  addHeading(text) {
+    const heading = document.createElement('h4');
+    heading.textContent = text;
+    heading.style.margin = '10px 0 4px';
+    this.panel.appendChild(heading);
+  }
+
+  addNote(text) {
+    const note = document.createElement('p');
+    note.textContent = text;
+    note.style.cssText = `
+      margin: 6px 0;
+      opacity: 0.8;
+    `;
+    this.panel.appendChild(note);
+  }
+}
@@ -1,33 +1,75 @@
-import { describe, it, expect, vi } from 'vitest';
-
-// Mock Tone.js
-vi.mock('tone', () => {
-  return {
-    Synth: vi.fn().mockImplementation(() => ({
-      toDestination: vi.fn().mockReturnThis(),
-      triggerAttackRelease: vi.fn(),
-      dispose: vi.fn(),
-      oscillator: { type: 'sine' },
-      envelope: { attack: 0.1, decay: 0.2, sustain: 0.5, release: 0.8 },
-      volume: { value: -10 }
-    })),
-    start: vi.fn().mockResolvedValue(true),
-    context: { state: 'running' },
-    Transport: {
-      start: vi.fn(),
-      stop: vi.fn(),
-      cancel: vi.fn()
-    },
-    Sequence: vi.fn().mockImplementation(() => ({
-      start: vi.fn()
-    })),
-    now: vi.fn().mockReturnValue(0)
-  };
-});
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import {
+  DEFAULT_PATCH,
+  normalizePatch,
+  getPatchSynthOptions,
+  serializePatch,
+  parsePatch
+} from '../utils/synthPatch.js';
+import {
+  saveCustomInstrument,
+  deleteCustomInstrument,
+  getCustomInstrument,
+  getAvailableInstruments,
+  getInstrumentSettings,
+  playNote
+} from '../utils/synthManager.js';
 
 describe('SynthCustomizer Component', () => {
   it('SynthCustomizer placeholder test', () => {
     // A simple placeholder test that doesn't use JSX
     expect(true).toBe(true);
   });
+});
+
+describe('Synth Patches', () => {
+  beforeEach(() => {
+    deleteCustomInstrument('Bell');
+  });
+
+  it('should fill in defaults and reject out-of-range values', () => {
+    const patch = normalizePatch({ envelope: { attack: 0.5 }, detune: -50 });
+    expect(patch.envelope).toEqual({ ...DEFAULT_PATCH.envelope, attack: 0.5 });
+    expect(patch.filter).toEqual(DEFAULT_PATCH.filter);
+    expect(patch.detune).toBe(-50);
+
+    expect(() => normalizePatch({ oscillator: { type: 'noise' } })).toThrow(/Unknown oscillator type/);
+    expect(() => normalizePatch({ envelope: { sustain: 2 } })).toThrow(/envelope.sustain/);
+    expect(() => normalizePatch({ filter: { frequency: 5 } })).toThrow(/filter.frequency/);
+  });
+
+  it('should hold the filter cutoff where the patch puts it', () => {
+    const options = getPatchSynthOptions(normalizePatch({ filter: { type: 'highpass', frequency: 800, Q: 4 } }));
+    expect(options.filter).toEqual({ type: 'highpass', Q: 4 });
+    expect(options.filterEnvelope).toEqual({ baseFrequency: 800, octaves: 0 });
+  });
+
+  it('should round-trip patches through JSON and reject other files', () => {
+    const patch = normalizePatch({ oscillator: { type: 'square' }, volume: -6 });
+    expect(parsePatch(serializePatch('Bell', patch))).toEqual({ name: 'Bell', patch });
+
+    expect(() => parsePatch('{"effects": {}}')).toThrow(/name and a patch/);
+    expect(() => parsePatch('not json')).toThrow();
+  });
+
+  it('should save named instruments that walls can play', () => {
+    expect(saveCustomInstrument('  Bell ', { oscillator: { type: 'triangle' } })).toBe('Bell');
+    expect(getAvailableInstruments()).toContain('Bell');
+    expect(getCustomInstrument('Bell').oscillator.type).toBe('triangle');
+    expect(JSON.parse(localStorage.getItem('customInstruments')).Bell.oscillator.type).toBe('triangle');
+
+    // Custom instruments play on filtered voices
+    const voice = playNote('C4', '8n', undefined, 1, 'Bell');
+    expect(Tone.MonoSynth).toHaveBeenCalled();
+    expect(voice.source.set).toHaveBeenCalledWith(getInstrumentSettings('Bell'));
+
+    expect(deleteCustomInstrument('Bell')).toBe(true);
+    expect(getAvailableInstruments()).not.toContain('Bell');
+  });
+
+  it('should not let custom instruments replace built-in ones', () => {
+    expect(() => saveCustomInstrument('marimba', DEFAULT_PATCH)).toThrow(/already a built-in/);
+    expect(() => saveCustomInstrument('   ', DEFAULT_PATCH)).toThrow(/need a name/);
+  });
 }); 
\ No newline at end of file
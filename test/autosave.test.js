@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AutosaveManager } from '../src/core/scene/AutosaveManager.js';
+
+// Minimal in-memory stand-in for localStorage
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+describe('Autosave Manager', () => {
+  let storage;
+  let scene;
+  let autosave;
+
+  const wall = (id) => ({ id, start: { x: 0, y: 0, z: 0 }, end: { x: 1, y: 0, z: 0 } });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    storage = createStorage();
+    scene = { version: 1, tempo: 120, instrument: 'marimba', walls: [], dispensers: [] };
+    autosave = new AutosaveManager(() => structuredClone(scene), {
+      storage,
+      interval: 10000,
+      debounce: 500,
+      ringSize: 3
+    });
+  });
+
+  afterEach(() => {
+    autosave.stop();
+    vi.useRealTimers();
+  });
+
+  it('should save shortly after a scene-change event', () => {
+    autosave.start();
+    scene.walls.push(wall('a'));
+
+    window.dispatchEvent(new CustomEvent('scene-change'));
+    expect(autosave.getSnapshots()).toHaveLength(0);
+
+    vi.advanceTimersByTime(500);
+    expect(autosave.getSnapshots()).toHaveLength(1);
+    expect(autosave.getSnapshots()[0].scene.walls[0].id).toBe('a');
+  });
+
+  it('should save periodically', () => {
+    autosave.start();
+    scene.walls.push(wall('a'));
+
+    vi.advanceTimersByTime(10000);
+    expect(autosave.getSnapshots()).toHaveLength(1);
+  });
+
+  it('should skip snapshots identical to the newest one', () => {
+    expect(autosave.save()).toBe(true);
+    expect(autosave.save()).toBe(false);
+    expect(autosave.getSnapshots()).toHaveLength(1);
+  });
+
+  it('should keep only the configured number of snapshots', () => {
+    ['a', 'b', 'c', 'd'].forEach(id => {
+      scene.walls.push(wall(id));
+      autosave.save();
+    });
+
+    const snapshots = autosave.getSnapshots();
+    expect(snapshots).toHaveLength(3);
+    expect(snapshots[0].scene.walls).toHaveLength(4);
+    expect(snapshots[2].scene.walls).toHaveLength(2);
+  });
+
+  it('should offer unsaved, non-empty sessions for recovery', () => {
+    autosave.save();
+    expect(autosave.getRecoverableSnapshot()).toBeNull();
+
+    scene.walls.push(wall('a'));
+    autosave.save();
+    expect(autosave.getRecoverableSnapshot().scene.walls).toHaveLength(1);
+
+    autosave.markClean();
+    expect(autosave.getRecoverableSnapshot()).toBeNull();
+  });
+
+  it('should roll back to the previous snapshot', () => {
+    scene.walls.push(wall('a'));
+    autosave.save();
+    scene.walls.push(wall('b'));
+
+    const snapshot = autosave.rollback();
+    expect(snapshot.scene.walls).toHaveLength(1);
+    expect(autosave.getSnapshots()).toHaveLength(1);
+
+    // The game loads the snapshot, so nothing earlier is left
+    scene = snapshot.scene;
+    expect(autosave.rollback()).toBeNull();
+  });
+
+  it('should ignore corrupt storage', () => {
+    storage.setItem('bounceAutosave', '{ broken');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(autosave.getSnapshots()).toEqual([]);
+    expect(autosave.save()).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../utils/synthManager.js', () => ({
+  playNote: vi.fn(),
+  playNoteForLength: vi.fn()
+}));
+
+import { AudioManager } from '../src/core/audio/audio-manager.js';
+import { Wall } from '../src/game/wall.js';
+import * as Tone from 'tone';
+import { playNote } from '../utils/synthManager.js';
+import { STRIP_TYPES, setStrip, resetStrips } from '../utils/mixer.js';
+import { mapLengthToNote, MAJOR_SCALE_NOTES, QuantizationSettings } from '../utils/midiSequencer.js';
+
+describe('Collision Audio', () => {
+  let audio;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    audio = new AudioManager();
+    audio.isInitialized = true;
+    Tone.Transport.state = 'stopped';
+    // Well into the session, so grid delays are measured from a later now
+    Tone.now.mockReturnValue(10);
+  });
+
+  it('should play the wall note with velocity-scaled dynamics', () => {
+    audio.playCollisionSound(4, 'E4');
+    expect(playNote).toHaveBeenCalledWith('E4', '16n', undefined, 0.5, null, null);
+
+    audio.playCollisionSound(-20, 'G4');
+    expect(playNote).toHaveBeenLastCalledWith('G4', '16n', undefined, 1, null, null);
+  });
+
+  it("should play through the wall's own instrument", () => {
+    audio.playCollisionSound(8, 'C5', 'glockenspiel', null);
+    expect(playNote).toHaveBeenCalledWith('C5', '16n', undefined, 1, 'glockenspiel', null);
+  });
+
+  it('should pass the collision position on for panning', () => {
+    const position = { x: -4, y: 1, z: 0 };
+    audio.playCollisionSound(8, 'C5', null, position);
+    expect(playNote).toHaveBeenCalledWith('C5', '16n', undefined, 1, null, position);
+  });
+
+  it('should delay notes onto the transport grid when quantizing', () => {
+    Tone.Transport.state = 'started';
+    Tone.Transport.seconds = 1.1;
+
+    audio.setTimingQuantization(QuantizationSettings.QUARTER, 1);
+    audio.playCollisionSound(4, 'E4');
+    expect(playNote.mock.calls[0][2]).toBeCloseTo(10.4);
+
+    audio.setTimingQuantization(QuantizationSettings.QUARTER, 0.5);
+    audio.playCollisionSound(4, 'E4');
+    expect(playNote.mock.calls[1][2]).toBeCloseTo(10.2);
+  });
+
+  it('should keep note durations when quantizing timing', () => {
+    Tone.Transport.state = 'started';
+    Tone.Transport.seconds = 1.1;
+
+    audio.setTimingQuantization(QuantizationSettings.EIGHTH_TRIPLET, 1);
+    audio.playCollisionSound(4, 'E4');
+    expect(playNote.mock.calls[0][1]).toBe('16n');
+  });
+
+  it('should play immediately while the transport is stopped', () => {
+    audio.setTimingQuantization(QuantizationSettings.EIGHTH, 1);
+    audio.playCollisionSound(4, 'E4');
+    expect(playNote).toHaveBeenCalledWith('E4', '16n', undefined, 0.5, null, null);
+  });
+
+  it('should skip rolling contacts below the noise gate', () => {
+    audio.playCollisionSound(0.05, 'E4');
+    expect(playNote).not.toHaveBeenCalled();
+  });
+
+  it('should stay silent when muted', () => {
+    audio.toggleMute();
+    audio.playCollisionSound(4, 'E4');
+    expect(playNote).not.toHaveBeenCalled();
+    expect(Tone.Destination.mute).toBe(true);
+  });
+
+  it("should scale notes by their dispenser's mixer strip", () => {
+    setStrip(STRIP_TYPES.DISPENSER, 'left', { volume: 0.5 });
+    audio.playCollisionSound(8, 'C5', null, null, null, 'left');
+    expect(playNote).toHaveBeenCalledWith('C5', '16n', undefined, 0.5, null, null);
+
+    setStrip(STRIP_TYPES.DISPENSER, 'right', { solo: true });
+    audio.playCollisionSound(8, 'C5', null, null, null, 'left');
+    expect(playNote).toHaveBeenCalledTimes(1);
+    resetStrips();
+  });
+
+  it('should map wall lengths with the same scale as the sequencer', () => {
+    [0.2, 0.7, 1.5, 2.4, 3.0, 5.0].forEach(length => {
+      const note = Wall.prototype.getNoteForLength(length);
+      expect(note).toBe(mapLengthToNote(length));
+      expect(MAJOR_SCALE_NOTES).toContain(note);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CommandHistory } from '../src/core/history/CommandHistory.js';
+
+describe('Command History', () => {
+  let history;
+  let value;
+
+  // Build a command that sets `value` and remembers the previous one
+  function setValue(next, coalesceKey) {
+    const previous = value;
+    value = next;
+    history.record({
+      label: 'Set value',
+      coalesceKey,
+      undo: () => { value = previous; },
+      redo: () => { value = next; }
+    });
+  }
+
+  beforeEach(() => {
+    history = new CommandHistory();
+    value = 0;
+  });
+
+  it('should undo and redo recorded commands in order', () => {
+    setValue(1);
+    setValue(2);
+
+    history.undo();
+    expect(value).toBe(1);
+    history.undo();
+    expect(value).toBe(0);
+
+    history.redo();
+    expect(value).toBe(1);
+    history.redo();
+    expect(value).toBe(2);
+  });
+
+  it('should clear the redo stack when a new command is recorded', () => {
+    setValue(1);
+    history.undo();
+    setValue(5);
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo()).toBeNull();
+    expect(value).toBe(5);
+  });
+
+  it('should coalesce commands sharing a key into a single step', () => {
+    setValue(1, 'drag');
+    setValue(2, 'drag');
+    setValue(3, 'drag');
+
+    expect(history.undoStack).toHaveLength(1);
+
+    history.undo();
+    expect(value).toBe(0);
+    history.redo();
+    expect(value).toBe(3);
+  });
+
+  it('should start a new step after sealing', () => {
+    setValue(1, 'drag');
+    setValue(2, 'drag');
+    history.seal();
+    setValue(3, 'drag');
+
+    expect(history.undoStack).toHaveLength(2);
+
+    history.undo();
+    expect(value).toBe(2);
+  });
+
+  it('should not coalesce commands with different keys', () => {
+    setValue(1, 'drag:a');
+    setValue(2, 'drag:b');
+
+    expect(history.undoStack).toHaveLength(2);
+  });
+
+  it('should drop the oldest commands past the limit', () => {
+    history = new CommandHistory(2);
+    setValue(1);
+    setValue(2);
+    setValue(3);
+
+    expect(history.undoStack).toHaveLength(2);
+    history.undo();
+    history.undo();
+    expect(history.canUndo()).toBe(false);
+    expect(value).toBe(1);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Run real physics instead of the global mocks from test/setup.js
+vi.unmock('three');
+vi.unmock('cannon-es');
+
+import * as THREE from 'three';
+import { PhysicsWorld } from '../src/core/physics/world.js';
+import { Wall } from '../src/game/wall.js';
+import { Dispenser } from '../src/game/dispenser.js';
+import { createSeededRandom } from '../src/core/random/seededRandom.js';
+
+// Play a small scene the way Game.animate does in fixed-step mode and log collisions
+function runScene(seed, frameTimes) {
+  const physics = new PhysicsWorld({ fixedStep: true });
+  const random = createSeededRandom(seed);
+
+  new Wall(new THREE.Vector3(-2, 0, 0), new THREE.Vector3(1, -0.5, 0), physics);
+  new Wall(new THREE.Vector3(2, -2, 0), new THREE.Vector3(-1, -2.6, 0), physics);
+  new Wall(new THREE.Vector3(-2, -4, 0), new THREE.Vector3(2, -4, 0), physics);
+
+  // Non-deterministic jitter on, driven by the seeded generator
+  const dispenser = new Dispenser(new THREE.Vector3(-1, 2, 0), physics, {
+    isDeterministic: false,
+    random
+  });
+  dispenser.spawnInterval = 400;
+
+  let balls = [];
+  const log = [];
+  const onCollision = (event) => {
+    const { velocity, position } = event.detail;
+    log.push([physics.stepCount, velocity, position.x, position.y].map(v => v.toFixed(6)).join(','));
+  };
+  window.addEventListener('ballCollision', onCollision);
+
+  frameTimes.forEach(dt => {
+    physics.step(dt, (time) => {
+      const now = time * 1000;
+      balls = balls.filter(ball => !ball.update(now));
+      const ball = dispenser.update(now);
+      if (ball) balls.push(ball);
+    });
+  });
+
+  window.removeEventListener('ballCollision', onCollision);
+  dispenser.dispose(new THREE.Scene());
+  return log;
+}
+
+// Irregular frame durations adding up to the same simulated time
+function frames(count, jitter) {
+  return Array.from({ length: count }, (_, i) => 1 / 60 + (i % 2 ? jitter : -jitter));
+}
+
+describe('Deterministic Simulation', () => {
+  it('should produce the same sequence from the same seeded PRNG', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const sequence = () => [a(), a(), a()];
+
+    expect(sequence()).toEqual([b(), b(), b()]);
+    expect(a()).toBeGreaterThanOrEqual(0);
+    expect(a()).toBeLessThan(1);
+  });
+
+  it('should advance whole fixed steps regardless of frame timing', () => {
+    const physics = new PhysicsWorld({ fixedStep: true });
+    physics.step(0.01);
+    expect(physics.stepCount).toBe(0);
+    physics.step(0.01);
+    expect(physics.stepCount).toBe(1);
+    physics.step(0.5);
+    expect(physics.time).toBeCloseTo(physics.stepCount / 60, 10);
+  });
+
+  it('should catch up on at most a quarter second after a long frame', () => {
+    const physics = new PhysicsWorld({ fixedStep: true });
+    const onFixedStep = vi.fn();
+    physics.step(30, onFixedStep);
+
+    // A backgrounded tab runs 15 steps, not 1800
+    expect(physics.stepCount).toBeLessThanOrEqual(15);
+    expect(physics.stepCount).toBeGreaterThanOrEqual(14);
+    expect(onFixedStep).toHaveBeenCalledTimes(physics.stepCount);
+
+    // Runners that want every step can lift the limit
+    const headless = new PhysicsWorld({ fixedStep: true, maxFrameTime: Infinity });
+    headless.step(2);
+    expect(headless.stepCount).toBeGreaterThanOrEqual(119);
+  });
+
+  it('should replay identical collision events for the same scene and seed', () => {
+    const first = runScene(1234, frames(240, 0.004));
+    const second = runScene(1234, frames(240, 0.007));
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(second).toEqual(first);
+  });
+
+  it('should vary the collision events with the seed', () => {
+    const first = runScene(1234, frames(240, 0));
+    const other = runScene(99, frames(240, 0));
+
+    expect(other).not.toEqual(first);
+  });
+});
@@ -4,18 +4,6 @@ import * as CANNON from 'cannon-es';
 import { Dispenser } from '../src/game/dispenser.js';
 import { Ball } from '../src/game/ball.js';
 
-// Mock Tone.js
-vi.mock('tone', () => ({
-  Tone: {
-    context: { state: 'running' },
-    start: vi.fn(),
-    Transport: { 
-      bpm: { value: 120 },
-      scheduleRepeat: vi.fn()
-    }
-  }
-}));
-
 // Helper function to extract just the position data from balls for easier testing
 function getBallPositions(balls) {
   return balls.map(ball => ({
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import {
+  DEFAULT_EFFECTS,
+  DEFAULT_SEND,
+  normalizeEffectsSettings,
+  getEffectsSettings,
+  setEffectsSettings,
+  updateEffects,
+  getInstrumentOutput,
+  getMasterInput,
+  getSend,
+  setSend
+} from '../utils/effectsChain.js';
+
+// The most recently created node of a Tone class
+const latest = (ToneClass) => ToneClass.mock.results.at(-1).value;
+
+describe('Effects Chain', () => {
+  beforeEach(() => {
+    setEffectsSettings(DEFAULT_EFFECTS);
+  });
+
+  it('should fill in defaults and reject out-of-range values', () => {
+    const effects = normalizeEffectsSettings({ reverb: { decay: 4 } });
+    expect(effects.reverb).toEqual({ decay: 4, preDelay: DEFAULT_EFFECTS.reverb.preDelay });
+    expect(effects.limiter).toEqual(DEFAULT_EFFECTS.limiter);
+
+    expect(() => normalizeEffectsSettings({ delay: { feedback: 1.5 } })).toThrow(/delay.feedback/);
+    expect(() => normalizeEffectsSettings({ filter: { type: 'comb' } })).toThrow(/Unknown filter type/);
+    expect(() => normalizeEffectsSettings({ sends: { marimba: { reverb: 'lots' } } })).toThrow(/sends.marimba/);
+  });
+
+  it('should give each instrument one bus feeding the master and both sends', () => {
+    const marimba = getInstrumentOutput('marimba');
+    expect(getInstrumentOutput('marimba')).toBe(marimba);
+    expect(getInstrumentOutput('kalimba')).not.toBe(marimba);
+
+    // Dry path plus the two send gains
+    expect(marimba.connect).toHaveBeenCalledWith(getMasterInput());
+    expect(marimba.connect).toHaveBeenCalledTimes(3);
+  });
+
+  it('should end the master chain in a limiter', () => {
+    getMasterInput();
+    expect(latest(Tone.Limiter).toDestination).toHaveBeenCalled();
+    expect(latest(Tone.Compressor).connect).toHaveBeenCalledWith(latest(Tone.Limiter));
+  });
+
+  it('should apply send levels per instrument', () => {
+    getInstrumentOutput('glockenspiel');
+    const [reverbSend, delaySend] = Tone.Gain.mock.results.slice(-2).map(result => result.value);
+
+    setSend('glockenspiel', { delay: 0.6 });
+
+    expect(getSend('glockenspiel')).toEqual({ reverb: DEFAULT_SEND.reverb, delay: 0.6 });
+    expect(getSend('marimba')).toEqual(DEFAULT_SEND);
+    expect(reverbSend.set).toHaveBeenLastCalledWith({ gain: DEFAULT_SEND.reverb });
+    expect(delaySend.set).toHaveBeenLastCalledWith({ gain: 0.6 });
+  });
+
+  it('should update settings at runtime and announce changes', () => {
+    const listener = vi.fn();
+    window.addEventListener('effects-change', listener);
+    getMasterInput();
+
+    updateEffects({ reverb: { decay: 6 } });
+
+    expect(getEffectsSettings().reverb.decay).toBe(6);
+    expect(getEffectsSettings().delay).toEqual(DEFAULT_EFFECTS.delay);
+    expect(latest(Tone.Reverb).set).toHaveBeenLastCalledWith({ decay: 6, preDelay: 0.01 });
+    expect(listener).toHaveBeenCalled();
+    window.removeEventListener('effects-change', listener);
+  });
+
+  it('should route around the filter while it is disabled', () => {
+    const master = getMasterInput();
+    expect(master.connect).toHaveBeenLastCalledWith(latest(Tone.Chorus));
+
+    updateEffects({ filter: { enabled: true } });
+    expect(master.connect).toHaveBeenLastCalledWith(latest(Tone.Filter));
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Walls and dispensers are built on the real libraries, only the renderer is left out
+vi.unmock('three');
+vi.unmock('cannon-es');
+vi.mock('three/examples/jsm/postprocessing/UnrealBloomPass.js', () => ({ UnrealBloomPass: vi.fn() }));
+vi.mock('three/examples/jsm/postprocessing/EffectComposer.js', () => ({ EffectComposer: vi.fn() }));
+vi.mock('three/examples/jsm/postprocessing/RenderPass.js', () => ({ RenderPass: vi.fn() }));
+
+import * as THREE from 'three';
+import { Game } from '../src/game/game.js';
+import { PhysicsWorld } from '../src/core/physics/world.js';
+import { CommandHistory } from '../src/core/history/CommandHistory.js';
+import { DispenserSequencer } from '../src/core/sequencer/DispenserSequencer.js';
+import { createSeededRandom } from '../src/core/random/seededRandom.js';
+import { STRIP_TYPES, DEFAULT_STRIP, getStrip, setStrip } from '../utils/mixer.js';
+
+const point = (x, y) => new THREE.Vector3(x, y, 0);
+const positions = (objects, key) => objects.map(object => object[key].toArray());
+
+// A Game without the renderer, audio or DOM panels: its own create, restore and
+// history methods run on a real scene, physics world and sequencer
+function createGame() {
+  const game = Object.create(Game.prototype);
+  let selection = { object: null, type: null };
+  Object.assign(game, {
+    scene: new THREE.Scene(),
+    physics: new PhysicsWorld(),
+    random: createSeededRandom(0),
+    history: new CommandHistory(),
+    sequencer: new DispenserSequencer(),
+    balls: [],
+    walls: [],
+    dispensers: [],
+    selectionManager: {
+      getSelection: () => selection,
+      select: (object, type) => { selection = { object, type }; },
+      deselect: vi.fn(() => { selection = { object: null, type: null }; }),
+      isSelected: (object) => selection.object === object
+    },
+    contextualMenu: { hide: vi.fn() },
+    patternEditor: { hide: vi.fn(), updateButtons: vi.fn() },
+    endpointControls: { update: vi.fn() },
+    midiPanel: { refresh: vi.fn() }
+  });
+  return game;
+}
+
+describe('Game History', () => {
+  let game;
+
+  beforeEach(() => {
+    localStorage.clear();
+    game = createGame();
+  });
+
+  it('should undo a whole endpoint drag in one step', () => {
+    const wall = game.drawWall(point(0, 0), point(1, 0));
+
+    // Each pointer move records the drag so far from where it started
+    const previous = { start: point(0, 0), end: point(1, 0) };
+    [2, 3, 4].forEach(x => {
+      wall.setEndpoints(point(0, 0), point(x, 0));
+      game.recordEndpointMove(wall, previous);
+    });
+    game.history.seal();
+
+    game.undo();
+    expect(wall.end.x).toBe(1);
+    expect(game.walls).toContain(wall);
+
+    game.redo();
+    expect(wall.end.x).toBe(4);
+
+    // The undo before the drag removes the wall itself
+    game.undo();
+    game.undo();
+    expect(game.walls).toHaveLength(0);
+    expect(game.scene.children).not.toContain(wall.mesh);
+    expect(game.physics.world.bodies).not.toContain(wall.body);
+
+    // Redrawing it builds a new wall where it was first drawn
+    game.redo();
+    const [redrawn] = game.walls;
+    expect(redrawn).not.toBe(wall);
+    expect(redrawn.id).toBe(wall.id);
+    expect(positions(game.walls, 'end')).toEqual([[1, 0, 0]]);
+    expect(game.scene.children).toContain(redrawn.mesh);
+    expect(game.physics.world.bodies).toContain(redrawn.body);
+  });
+
+  it('should start a new step for the next drag', () => {
+    const wall = game.drawWall(point(0, 0), point(1, 0));
+    wall.setEndpoints(point(0, 0), point(2, 0));
+    game.recordEndpointMove(wall, { start: point(0, 0), end: point(1, 0) });
+    game.history.seal();
+    wall.setEndpoints(point(0, 0), point(3, 0));
+    game.recordEndpointMove(wall, { start: point(0, 0), end: point(2, 0) });
+    game.history.seal();
+
+    game.undo();
+    expect(wall.end.x).toBe(2);
+  });
+
+  it('should bring back every wall, dispenser and pattern after clear all', () => {
+    game.drawWall(point(0, 0), point(1, 0));
+    game.setWallInstrument(game.drawWall(point(0, 1), point(1, 1)), 'kalimba');
+    const dispenser = game.placeDispenser(point(0, 3));
+    game.sequencer.addDispenser(dispenser.id);
+    game.toggleStep(dispenser, 3);
+
+    const wallIds = game.walls.map(({ id }) => id);
+
+    game.clearAll();
+    expect(game.walls).toHaveLength(0);
+    expect(game.dispensers).toHaveLength(0);
+    expect(game.scene.children).toHaveLength(0);
+    expect(game.sequencer.getPattern(dispenser.id)).toBeNull();
+
+    game.undo();
+    expect(game.walls.map(({ id }) => id)).toEqual(wallIds);
+    expect(positions(game.walls, 'start')).toEqual([[0, 0, 0], [0, 1, 0]]);
+    expect(positions(game.walls, 'end')).toEqual([[1, 0, 0], [1, 1, 0]]);
+    expect(game.walls.map(wall => wall.instrument)).toEqual([null, 'kalimba']);
+    expect(game.walls[1].body.userData.instrument).toBe('kalimba');
+    expect(game.dispensers.map(({ id }) => id)).toEqual([dispenser.id]);
+    expect(positions(game.dispensers, 'position')).toEqual([[0, 3, 0]]);
+    expect(game.dispensers[0].isSequenced).toBe(true);
+    expect(game.scene.children).toHaveLength(3);
+    expect(game.sequencer.isStepActive(dispenser.id, 3)).toBe(true);
+
+    game.redo();
+    expect(game.walls).toHaveLength(0);
+    expect(game.dispensers).toHaveLength(0);
+    expect(game.scene.children).toHaveLength(0);
+  });
+
+  it('should put a deleted wall back with its endpoints and instrument', () => {
+    const wall = game.drawWall(point(-1, 2), point(2, 2));
+    game.setWallInstrument(wall, 'kalimba');
+    game.removeWall(wall);
+    expect(game.walls).toHaveLength(0);
+    expect(game.physics.world.bodies).not.toContain(wall.body);
+
+    game.undo();
+    expect(game.walls.map(({ id }) => id)).toEqual([wall.id]);
+    expect(positions(game.walls, 'start')).toEqual([[-1, 2, 0]]);
+    expect(positions(game.walls, 'end')).toEqual([[2, 2, 0]]);
+    expect(game.walls[0].instrument).toBe('kalimba');
+    expect(game.physics.world.bodies).toContain(game.walls[0].body);
+
+    game.redo();
+    expect(game.walls).toHaveLength(0);
+  });
+
+  it('should forget the mixer strips of dispensers a cleared scene removed', () => {
+    const dispenser = game.placeDispenser(point(0, 3));
+    setStrip(STRIP_TYPES.DISPENSER, dispenser.id, { volume: 0.2 });
+
+    game.clearAll();
+    expect(getStrip(STRIP_TYPES.DISPENSER, dispenser.id)).toEqual(DEFAULT_STRIP);
+
+    // Undo applies the saved scene, which starts from a clean mixer too
+    setStrip(STRIP_TYPES.DISPENSER, dispenser.id, { mute: true });
+    game.undo();
+    expect(getStrip(STRIP_TYPES.DISPENSER, dispenser.id)).toEqual(DEFAULT_STRIP);
+  });
+
+  it('should undo step toggles and pattern lengths', () => {
+    const dispenser = game.placeDispenser(point(0, 3));
+    game.sequencer.addDispenser(dispenser.id);
+    game.toggleStep(dispenser, 10);
+    game.setPatternLength(dispenser, 8);
+
+    game.undo();
+    expect(game.sequencer.getPatternLength(dispenser.id)).toBe(16);
+    expect(game.sequencer.isStepActive(dispenser.id, 10)).toBe(true);
+    game.undo();
+    expect(game.sequencer.isStepActive(dispenser.id, 10)).toBe(false);
+  });
+
+  it('should undo time signature changes and keep dispensers their own lengths', () => {
+    const following = game.placeDispenser(point(0, 3));
+    const own = game.placeDispenser(point(1, 3));
+    game.sequencer.addDispenser(following.id);
+    game.sequencer.addDispenser(own.id);
+    game.setPatternLength(own, 5);
+
+    game.changeTimeSignature({ beats: 3, steps: 12 });
+    expect(game.sequencer.getPatternLengths()).toEqual({ [following.id]: 12, [own.id]: 5 });
+
+    game.undo();
+    expect(game.sequencer.getTimeSignature().beats).toBe(4);
+    expect(game.sequencer.getPatternLengths()).toEqual({ [following.id]: 16, [own.id]: 5 });
+    game.redo();
+    expect(game.sequencer.getPatternLengths()).toEqual({ [following.id]: 12, [own.id]: 5 });
+  });
+
+  it('should restore the steps past a pattern length after deleting its dispenser', () => {
+    const dispenser = game.placeDispenser(point(0, 3));
+    game.sequencer.addDispenser(dispenser.id);
+    game.toggleStep(dispenser, 10);
+    game.setPatternLength(dispenser, 4);
+    game.removeDispenser(dispenser);
+    expect(game.dispensers).toHaveLength(0);
+
+    game.undo();
+    expect(game.dispensers.map(({ id }) => id)).toEqual([dispenser.id]);
+    expect(positions(game.dispensers, 'position')).toEqual([[0, 3, 0]]);
+    game.sequencer.setPatternLength(dispenser.id, 16);
+    expect(game.sequencer.isStepActive(dispenser.id, 10)).toBe(true);
+  });
+
+  it('should refresh the editors and announce what undo did', () => {
+    const announcer = document.createElement('div');
+    announcer.id = 'announcer';
+    document.body.appendChild(announcer);
+    const wall = game.drawWall(point(0, 0), point(1, 0));
+    game.selectionManager.select(wall, 'wall');
+    game.setWallInstrument(wall, 'kalimba');
+
+    game.undo();
+    announcer.remove();
+    expect(wall.instrument).toBeNull();
+    expect(game.selectionManager.getSelection().object).toBe(wall);
+    expect(game.endpointControls.update).toHaveBeenCalled();
+    expect(game.patternEditor.updateButtons).toHaveBeenCalled();
+    expect(announcer.textContent).toBe('Undo change wall instrument');
+  });
+});
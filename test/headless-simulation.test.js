@@ -0,0 +1,125 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// The headless runner works on the real libraries, no rendering involved
+vi.unmock('three');
+vi.unmock('cannon-es');
+
+import { HeadlessSimulation } from '../src/core/simulation/HeadlessSimulation.js';
+
+describe('Headless Simulation', () => {
+  const pattern = new Array(16).fill(false);
+  pattern[0] = true;
+  pattern[8] = true;
+
+  const scene = {
+    version: 1,
+    tempo: 120,
+    instrument: 'marimba',
+    walls: [
+      { id: 'ramp', start: { x: -2, y: 0, z: 0 }, end: { x: 1, y: -0.5, z: 0 } },
+      { id: 'floor', start: { x: -3, y: -3, z: 0 }, end: { x: 3, y: -3, z: 0 } }
+    ],
+    dispensers: [
+      { id: 'seq', position: { x: -1, y: 2, z: 0 }, pattern },
+      { id: 'free', position: { x: 2, y: 2, z: 0 }, pattern: null }
+    ]
+  };
+
+  it('should record timestamped collisions with wall id, note, velocity and position', () => {
+    const collisions = new HeadlessSimulation(scene).run(4);
+
+    expect(collisions.length).toBeGreaterThan(0);
+    collisions.forEach(collision => {
+      expect(['ramp', 'floor']).toContain(collision.wallId);
+      expect(typeof collision.note).toBe('string');
+      expect(Number.isFinite(collision.velocity)).toBe(true);
+      expect(collision.position).toEqual({
+        x: expect.any(Number),
+        y: expect.any(Number),
+        z: expect.any(Number)
+      });
+    });
+
+    const times = collisions.map(c => c.time);
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+    expect(times[times.length - 1]).toBeLessThanOrEqual(4);
+  });
+
+  it('should trigger sequenced dispensers on their pattern steps', () => {
+    const simulation = new HeadlessSimulation(scene);
+    simulation.run(1.9);
+
+    // At 120 BPM a 16-step bar lasts 2 seconds, steps 0 and 8 are active
+    const triggers = simulation.triggers.filter(t => t.dispenserId === 'seq');
+    expect(triggers.map(t => t.step)).toEqual([0, 8]);
+    expect(triggers[1].time).toBeCloseTo(1, 5);
+  });
+
+  it('should step through patterns on the scene time signature', () => {
+    // Nine steps of triplet eighths: each a sixth of a second at 120 BPM
+    const timeSignature = { beats: 3, beatUnit: 4, resolution: 12, steps: 9 };
+    const simulation = new HeadlessSimulation({
+      ...scene,
+      timeSignature,
+      dispensers: [{ ...scene.dispensers[0], pattern: pattern.slice(0, 9) }]
+    });
+    simulation.run(2.9);
+
+    const triggers = simulation.triggers.filter(t => t.dispenserId === 'seq');
+    expect(triggers.map(t => t.step)).toEqual([0, 8, 0, 8]);
+    expect(triggers[1].time).toBeCloseTo(8 / 6, 5);
+    expect(triggers[2].time).toBeCloseTo(1.5, 5);
+  });
+
+  it('should loop each pattern at its own length', () => {
+    const fiveSteps = [true, false, false, false, false];
+    const simulation = new HeadlessSimulation({
+      ...scene,
+      dispensers: [scene.dispensers[0], { id: 'five', position: { x: 2, y: 2, z: 0 }, pattern: fiveSteps }]
+    });
+    simulation.run(1.9);
+
+    // Over one 16-step bar the 5-step pattern comes round on steps 0, 5, 10 and 15
+    const times = simulation.triggers.filter(t => t.dispenserId === 'five').map(t => t.time);
+    expect(times).toEqual([0, 0.625, 1.25, 1.875]);
+  });
+
+  it('should loop at a saved length shorter than the pattern', () => {
+    const simulation = new HeadlessSimulation({
+      ...scene,
+      dispensers: [{ ...scene.dispensers[0], length: 8 }]
+    });
+    simulation.run(1.9);
+
+    // Step 8 is kept past the end, so only step 0 plays, every 8 steps
+    const triggers = simulation.triggers.filter(t => t.dispenserId === 'seq');
+    expect(triggers.map(t => t.step)).toEqual([0, 0]);
+    expect(triggers[1].time).toBeCloseTo(1, 5);
+  });
+
+  it('should produce the same collisions for the same scene and seed', () => {
+    const options = { seed: 7, isDeterministic: false };
+    const first = new HeadlessSimulation(scene, options).run(3);
+    const second = new HeadlessSimulation(scene, options).run(3);
+
+    expect(second).toEqual(first);
+  });
+
+  it('should continue where the previous run stopped', () => {
+    const simulation = new HeadlessSimulation(scene);
+    simulation.run(1.5);
+    const collisions = simulation.run(1.5);
+
+    expect(collisions).toEqual(new HeadlessSimulation(scene).run(3));
+  });
+
+  it('should not dispatch global collision events', () => {
+    const listener = vi.fn();
+    window.addEventListener('ballCollision', listener);
+
+    new HeadlessSimulation(scene).run(3);
+
+    window.removeEventListener('ballCollision', listener);
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
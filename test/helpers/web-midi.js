@@ -0,0 +1,8 @@
+import { vi } from 'vitest';
+
+// A navigator whose requestMIDIAccess grants the given input and output ports
+export function createMidiNavigator({ inputs = [], outputs = [] } = {}) {
+  const byId = (ports) => new Map(ports.map(port => [port.id, port]));
+  const access = { inputs: byId(inputs), outputs: byId(outputs), onstatechange: null };
+  return { access, requestMIDIAccess: vi.fn().mockResolvedValue(access) };
+}
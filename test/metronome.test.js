@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import { Metronome, DEFAULT_METRONOME_SETTINGS } from '../src/core/sequencer/Metronome.js';
+import { DispenserSequencer } from '../src/core/sequencer/DispenserSequencer.js';
+
+// Notes the metronome played, as [note, velocity]
+const clicks = (metronome) => metronome.synth?.triggerAttackRelease.mock.calls.map(([note, , , velocity]) => [note, velocity]) ?? [];
+
+describe('Metronome', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('should click on each beat with an accented downbeat', () => {
+    const metronome = new Metronome();
+    metronome.setSettings({ enabled: true });
+    for (let step = 0; step < 16; step++) {
+      metronome.tick(step * 0.125, step);
+    }
+
+    expect(clicks(metronome)).toEqual([['C7', 1], ['G6', 0.6], ['G6', 0.6], ['G6', 0.6]]);
+  });
+
+  it('should stay quiet when off, except for the count-in', () => {
+    const metronome = new Metronome();
+    expect(metronome.tick(0, 0)).toBe(false);
+    expect(metronome.tick(0, 0, true)).toBe(true);
+  });
+
+  it('should switch sounds, set its own volume and remember its settings', () => {
+    const metronome = new Metronome();
+    metronome.setSettings({ enabled: true, sound: 'woodblock', volume: 0.1 });
+    metronome.tick(0, 0);
+
+    expect(Tone.MembraneSynth).toHaveBeenCalled();
+    expect(metronome.synth.volume.value).toBeCloseTo(-20);
+    expect(new Metronome().getSettings()).toEqual({ ...DEFAULT_METRONOME_SETTINGS, enabled: true, sound: 'woodblock', volume: 0.1 });
+
+    expect(() => metronome.setSettings({ sound: 'cowbell' })).toThrow(/Unknown metronome sound/);
+    expect(() => metronome.setSettings({ volume: 2 })).toThrow(/volume/);
+  });
+
+  it('should hold the pattern back for a one-bar count-in', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.addDispenser('left');
+    sequencer.toggleStep('left', 0);
+    const triggers = vi.fn();
+    window.addEventListener('dispenser-trigger', triggers);
+
+    sequencer.start({ countIn: true });
+    for (let step = 0; step < 16; step++) {
+      sequencer.tick(step * 0.125);
+    }
+    expect(triggers).not.toHaveBeenCalled();
+    expect(clicks(sequencer.metronome)).toHaveLength(4);
+    expect(sequencer.isCountingIn).toBe(false);
+
+    sequencer.tick(2);
+    window.removeEventListener('dispenser-trigger', triggers);
+    expect(triggers).toHaveBeenCalledTimes(1);
+    expect(triggers.mock.calls[0][0].detail.time).toBe(2);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Scene export runs the real physics
+vi.unmock('three');
+vi.unmock('cannon-es');
+
+import {
+  DRUM_CHANNEL,
+  encodeVariableLength,
+  encodeMidiFile,
+  secondsToTicks
+} from '../utils/midiFile.js';
+import { MIDI_TRACK_MODES, createSceneMidi } from '../src/core/audio/midiExport.js';
+import { HeadlessSimulation } from '../src/core/simulation/HeadlessSimulation.js';
+
+// Minimal SMF reader: tempo plus each track's name and note-ons
+function readMidiFile(bytes) {
+  const view = new DataView(bytes.buffer);
+  const text = (offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+  const readVariableLength = (state) => {
+    let value = 0;
+    let byte;
+    do {
+      byte = bytes[state.offset++];
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+
+  const file = {
+    format: view.getUint16(8),
+    ppq: view.getUint16(12),
+    tracks: []
+  };
+  let offset = 14;
+  for (let i = 0; i < view.getUint16(10); i++) {
+    expect(text(offset, 4)).toBe('MTrk');
+    const end = offset + 8 + view.getUint32(offset + 4);
+    const state = { offset: offset + 8 };
+    const track = { name: null, notes: [] };
+    let tick = 0;
+
+    while (state.offset < end) {
+      tick += readVariableLength(state);
+      const status = bytes[state.offset++];
+      if (status === 0xff) {
+        const type = bytes[state.offset++];
+        const length = readVariableLength(state);
+        if (type === 0x03) track.name = text(state.offset, length);
+        if (type === 0x51) file.tempo = (bytes[state.offset] << 16) | (bytes[state.offset + 1] << 8) | bytes[state.offset + 2];
+        state.offset += length;
+      } else if ((status & 0xf0) === 0xc0) {
+        track.program = bytes[state.offset++];
+      } else {
+        const [midi, velocity] = [bytes[state.offset++], bytes[state.offset++]];
+        if ((status & 0xf0) === 0x90) {
+          track.notes.push({ tick, channel: status & 0x0f, midi, velocity });
+        }
+      }
+    }
+    file.tracks.push(track);
+    offset = end;
+  }
+  return file;
+}
+
+describe('MIDI File', () => {
+  it('should encode variable-length quantities', () => {
+    expect(encodeVariableLength(0)).toEqual([0x00]);
+    expect(encodeVariableLength(0x7f)).toEqual([0x7f]);
+    expect(encodeVariableLength(0x80)).toEqual([0x81, 0x00]);
+    expect(encodeVariableLength(0x0fffffff)).toEqual([0xff, 0xff, 0xff, 0x7f]);
+  });
+
+  it('should convert seconds to ticks at the tempo', () => {
+    expect(secondsToTicks(0.5, 120, 480)).toBe(480);
+    expect(secondsToTicks(1, 90, 480)).toBe(720);
+  });
+
+  it('should write a tempo track and timed notes per track', () => {
+    const bytes = encodeMidiFile({
+      bpm: 120,
+      tracks: [{
+        name: 'Lead',
+        channel: 2,
+        program: 12,
+        notes: [
+          { time: 0, duration: 0.25, midi: 60, velocity: 100 },
+          { time: 0.5, duration: 0.25, midi: 64, velocity: 80 }
+        ]
+      }]
+    });
+
+    expect(String.fromCharCode(...bytes.slice(0, 4))).toBe('MThd');
+    const file = readMidiFile(bytes);
+    expect(file.format).toBe(1);
+    expect(file.tempo).toBe(500000);
+    expect(file.tracks).toHaveLength(2);
+    expect(file.tracks[1]).toMatchObject({ name: 'Lead', program: 12 });
+    expect(file.tracks[1].notes).toEqual([
+      { tick: 0, channel: 2, midi: 60, velocity: 100 },
+      { tick: 480, channel: 2, midi: 64, velocity: 80 }
+    ]);
+  });
+
+  it('should reject notes and channels outside the MIDI range', () => {
+    const note = { time: 0, duration: 0.1, midi: 60, velocity: 100 };
+    expect(() => encodeMidiFile({ bpm: 120, tracks: [{ channel: 16, notes: [note] }] })).toThrow(/channel/);
+    expect(() => encodeMidiFile({ bpm: 120, tracks: [{ notes: [{ ...note, velocity: 0 }] }] })).toThrow(/Invalid MIDI note/);
+    expect(() => encodeMidiFile({ bpm: 0, tracks: [] })).toThrow(/tempo/);
+  });
+});
+
+describe('Scene MIDI export', () => {
+  const pattern = new Array(16).fill(false);
+  pattern[0] = true;
+  pattern[8] = true;
+
+  const scene = {
+    version: 1,
+    tempo: 120,
+    instrument: 'marimba',
+    walls: [
+      { id: 'ramp', start: { x: -2, y: 0, z: 0 }, end: { x: 1, y: -0.5, z: 0 }, instrument: 'vibraphone' },
+      { id: 'floor', start: { x: -3, y: -3, z: 0 }, end: { x: 3, y: -3, z: 0 } }
+    ],
+    dispensers: [
+      { id: 'left', position: { x: -1, y: 2, z: 0 }, pattern },
+      { id: 'right', position: { x: 2.5, y: 2, z: 0 }, pattern }
+    ]
+  };
+
+  it('should write collisions per wall and triggers on the drum channel', () => {
+    const file = readMidiFile(createSceneMidi(scene, { bars: 2 }));
+    const names = file.tracks.map(track => track.name);
+
+    // Tempo comes from the scene the simulation played, not the transport
+    expect(file.tempo).toBe(500000);
+    expect(names).toContain('Wall ramp');
+    expect(names).toContain('Wall floor');
+
+    const triggers = file.tracks.find(track => track.name === 'Dispenser triggers');
+    // Two triggers a bar from each dispenser, each on its own drum
+    expect(triggers.notes).toHaveLength(8);
+    expect(new Set(triggers.notes.map(note => note.midi)).size).toBe(2);
+    triggers.notes.forEach(note => expect(note.channel).toBe(DRUM_CHANNEL));
+
+    const ramp = file.tracks.find(track => track.name === 'Wall ramp');
+    expect(ramp.program).toBe(11);
+    expect(ramp.notes.length).toBeGreaterThan(0);
+    ramp.notes.forEach(note => {
+      expect(note.channel).not.toBe(DRUM_CHANNEL);
+      expect(note.velocity).toBeGreaterThan(0);
+    });
+  });
+
+  it('should group collisions by instrument on request', () => {
+    const file = readMidiFile(createSceneMidi(scene, { bars: 2, trackBy: MIDI_TRACK_MODES.INSTRUMENT }));
+    const names = file.tracks.map(track => track.name);
+    expect(names).toEqual(expect.arrayContaining(['vibraphone', 'marimba', 'Dispenser triggers']));
+  });
+
+  it('should skip notes above MIDI range and cap trigger drums at the top note', () => {
+    const dispensers = Array.from({ length: 100 }, (_, i) => ({ id: `d${i}`, position: { x: 0, y: 2, z: 0 }, pattern }));
+    const hit = { wallId: 'floor', instrument: 'marimba', velocity: 5, position: { x: 0, y: -3, z: 0 } };
+    const run = vi.spyOn(HeadlessSimulation.prototype, 'run').mockImplementation(function () {
+      this.triggers = [{ time: 0, step: 0, dispenserId: 'd0' }, { time: 0.5, step: 4, dispenserId: 'd99' }];
+      // B9 is MIDI 131 and 20 kHz is 135; G9 is 127, the top note
+      return [
+        { ...hit, time: 0, note: 'G9' },
+        { ...hit, time: 0.1, note: 'B9' },
+        { ...hit, time: 0.2, note: 20000 }
+      ];
+    });
+
+    const file = readMidiFile(createSceneMidi({ ...scene, dispensers }, { bars: 1 }));
+    run.mockRestore();
+
+    expect(file.tracks.find(track => track.name === 'Wall floor').notes.map(note => note.midi)).toEqual([127]);
+    expect(file.tracks.find(track => track.name === 'Dispenser triggers').notes.map(note => note.midi)).toEqual([36, 127]);
+  });
+
+  it('should reject unknown track modes', () => {
+    expect(() => createSceneMidi(scene, { trackBy: 'channel' })).toThrow(/Unknown MIDI track mode/);
+  });
+});
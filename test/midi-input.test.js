@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MidiInput, MIDI_TARGETS, MIDI_TEMPO_RANGE } from '../src/core/audio/midiInput.js';
+import { createMidiNavigator } from './helpers/web-midi.js';
+
+describe('MIDI Input', () => {
+  let input;
+  let midi;
+  let callbacks;
+
+  // Send raw MIDI bytes from the controller
+  const send = (...data) => input.onmidimessage({ data });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    input = { id: 'pads', name: 'Pad Controller', onmidimessage: null };
+    midi = new MidiInput({ navigator: createMidiNavigator({ inputs: [input] }) });
+    callbacks = {
+      onTriggerDispenser: vi.fn(),
+      onSetTempo: vi.fn(),
+      onSetVolume: vi.fn(),
+      onToggleStep: vi.fn(),
+      onLearn: vi.fn()
+    };
+    midi.setCallbacks(callbacks);
+    await midi.setEnabled(true);
+  });
+
+  it('should degrade cleanly without Web MIDI', async () => {
+    const offline = new MidiInput({ navigator: {} });
+    expect(await offline.setEnabled(true)).toBe(false);
+  });
+
+  it('should learn a note and trigger its dispenser', () => {
+    midi.startLearn({ type: MIDI_TARGETS.DISPENSER, dispenserId: 'left' });
+    send(0x90, 36, 100);
+
+    expect(callbacks.onLearn).toHaveBeenCalledWith({ type: MIDI_TARGETS.DISPENSER, dispenserId: 'left' }, { note: 36 });
+    expect(callbacks.onTriggerDispenser).not.toHaveBeenCalled();
+    expect(midi.isLearning).toBe(false);
+
+    send(0x99, 36, 127);
+    expect(callbacks.onTriggerDispenser).toHaveBeenCalledWith('left', 1);
+
+    // Note-off, and note-on at velocity 0, don't spawn
+    send(0x89, 36, 0);
+    send(0x99, 36, 0);
+    expect(callbacks.onTriggerDispenser).toHaveBeenCalledTimes(1);
+  });
+
+  it('should map learned CCs to tempo and master volume', () => {
+    midi.startLearn({ type: MIDI_TARGETS.TEMPO });
+    send(0xb0, 20, 10);
+    midi.startLearn({ type: MIDI_TARGETS.VOLUME });
+    send(0xb0, 7, 10);
+
+    send(0xb0, 20, 127);
+    expect(callbacks.onSetTempo).toHaveBeenLastCalledWith(MIDI_TEMPO_RANGE.max);
+    send(0xb0, 20, 0);
+    expect(callbacks.onSetTempo).toHaveBeenLastCalledWith(MIDI_TEMPO_RANGE.min);
+
+    send(0xb0, 7, 127);
+    expect(callbacks.onSetVolume).toHaveBeenLastCalledWith(1);
+  });
+
+  it('should toggle a step once per button press', () => {
+    midi.startLearn({ type: MIDI_TARGETS.STEP, dispenserId: 'left', step: 4 });
+    send(0xb0, 64, 127);
+    send(0xb0, 64, 0);
+
+    send(0xb0, 64, 127);
+    send(0xb0, 64, 127);
+    send(0xb0, 64, 0);
+    expect(callbacks.onToggleStep).toHaveBeenCalledTimes(1);
+    expect(callbacks.onToggleStep).toHaveBeenCalledWith('left', 4);
+  });
+
+  it('should move a target to its newly learned control and remember bindings', () => {
+    const tempo = { type: MIDI_TARGETS.TEMPO };
+    midi.startLearn(tempo);
+    send(0xb0, 20, 0);
+    midi.startLearn(tempo);
+    send(0xb0, 21, 0);
+
+    expect(midi.getBinding(tempo)).toEqual({ control: 21 });
+    expect(new MidiInput({ navigator: createMidiNavigator() }).getBinding(tempo)).toEqual({ control: 21 });
+
+    send(0xb0, 20, 127);
+    expect(callbacks.onSetTempo).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown targets and stop listening when disabled', async () => {
+    expect(() => midi.startLearn({ type: 'pitch-bend' })).toThrow(/Unknown MIDI target/);
+
+    await midi.setEnabled(false);
+    expect(input.onmidimessage).toBeNull();
+  });
+});
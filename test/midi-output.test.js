@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../utils/synthManager.js', () => ({
+  playNote: vi.fn()
+}));
+
+import { MidiOutput, MIDI_OUTPUT_MODES, MIDI_CHANNEL_MODES } from '../src/core/audio/midiOutput.js';
+import { AudioManager } from '../src/core/audio/audio-manager.js';
+import { DRUM_CHANNEL } from '../utils/midiFile.js';
+import { playNote } from '../utils/synthManager.js';
+import { createMidiNavigator } from './helpers/web-midi.js';
+
+const createPort = (id, name) => ({ id, name, send: vi.fn(), clear: vi.fn() });
+
+// Note-on and note-off messages sent to a port, without the all-notes-off
+const noteMessages = (port) => port.send.mock.calls.filter(([data]) => (data[0] & 0xf0) !== 0xb0);
+
+describe('MIDI Output', () => {
+  let port;
+  let midi;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    port = createPort('synth', 'Hardware Synth');
+    midi = new MidiOutput({ navigator: createMidiNavigator({ outputs: [port] }) });
+    await midi.init();
+  });
+
+  it('should stay inactive and leave the synths playing without Web MIDI', async () => {
+    const offline = new MidiOutput({ navigator: {} });
+    expect(await offline.init()).toBe(false);
+    offline.setSettings({ mode: MIDI_OUTPUT_MODES.MIDI });
+
+    expect(offline.isActive).toBe(false);
+    expect(offline.playsSynths).toBe(true);
+    expect(() => offline.playNote('C4')).not.toThrow();
+  });
+
+  it('should degrade cleanly when access is refused', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const refused = new MidiOutput({
+      navigator: { requestMIDIAccess: vi.fn().mockRejectedValue(new Error('SecurityError')) }
+    });
+
+    expect(await refused.init()).toBe(false);
+    expect(refused.isAvailable).toBe(false);
+  });
+
+  it('should send timed note-on and note-off with velocity from impact', () => {
+    vi.spyOn(performance, 'now').mockReturnValue(1000);
+    midi.setSettings({ mode: MIDI_OUTPUT_MODES.MIDI, channel: 3 });
+
+    midi.playNote('C4', { velocity: 0.5, duration: 0.25, delay: 0.1 });
+
+    expect(noteMessages(port)).toEqual([
+      [[0x93, 60, 64], 1100],
+      [[0x83, 60, 0], 1350]
+    ]);
+  });
+
+  it('should give each wall its own channel, skipping drums', () => {
+    midi.setSettings({ mode: MIDI_OUTPUT_MODES.BOTH, channelMode: MIDI_CHANNEL_MODES.WALL });
+
+    const channels = Array.from({ length: 12 }, (_, i) => midi.getChannel(`wall-${i}`, 'marimba'));
+    expect(new Set(channels).size).toBe(12);
+    expect(channels).not.toContain(DRUM_CHANNEL);
+    expect(midi.getChannel('wall-0', 'kalimba')).toBe(channels[0]);
+  });
+
+  it('should share a channel per instrument', () => {
+    midi.setSettings({ mode: MIDI_OUTPUT_MODES.BOTH, channelMode: MIDI_CHANNEL_MODES.INSTRUMENT });
+    expect(midi.getChannel('a', 'marimba')).toBe(midi.getChannel('b', 'marimba'));
+    expect(midi.getChannel('c', 'kalimba')).not.toBe(midi.getChannel('a', 'marimba'));
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => midi.setSettings({ mode: 'loud' })).toThrow(/Unknown MIDI output mode/);
+    expect(() => midi.setSettings({ channel: 16 })).toThrow(/MIDI channel/);
+    expect(midi.getSettings().mode).toBe(MIDI_OUTPUT_MODES.OFF);
+  });
+
+  it('should silence the old port when switching ports', async () => {
+    const other = createPort('soft', 'Soft Synth');
+    const navigator = createMidiNavigator({ outputs: [port, other] });
+    const switching = new MidiOutput({ navigator });
+    await switching.init();
+
+    switching.setSettings({ mode: MIDI_OUTPUT_MODES.MIDI, outputId: 'soft' });
+    expect(port.clear).toHaveBeenCalled();
+    expect(port.send).toHaveBeenCalledWith([0xb0, 123, 0]);
+    expect(switching.getSettings().outputId).toBe('soft');
+
+    // Unplugging the chosen port falls back to another one
+    navigator.access.outputs.delete('soft');
+    navigator.access.onstatechange();
+    expect(switching.getSettings().outputId).toBe('synth');
+  });
+
+  it('should play collisions on MIDI instead of the synths in MIDI-only mode', () => {
+    const audio = new AudioManager();
+    audio.isInitialized = true;
+    audio.midiOutput = midi;
+
+    midi.setSettings({ mode: MIDI_OUTPUT_MODES.MIDI });
+    audio.playCollisionSound(8, 'E4', null, null, 'ramp');
+    expect(playNote).not.toHaveBeenCalled();
+    expect(noteMessages(port)[0][0]).toEqual([0x90, 64, 127]);
+
+    midi.setSettings({ mode: MIDI_OUTPUT_MODES.BOTH });
+    audio.playCollisionSound(8, 'E4', null, null, 'ramp');
+    expect(playNote).toHaveBeenCalled();
+    expect(noteMessages(port)).toHaveLength(4);
+  });
+});
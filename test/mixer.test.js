@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import { getInstrumentOutput } from '../utils/effectsChain.js';
+import {
+  STRIP_TYPES,
+  getStrip,
+  setStrip,
+  getStripLevel,
+  setMasterVolume,
+  getMasterVolume,
+  getMasterLevel,
+  setMuted,
+  isMuted,
+  resetStrips
+} from '../utils/mixer.js';
+import { MixerPanel } from '../src/ui/mixer-panel.js';
+
+const { INSTRUMENT, DISPENSER } = STRIP_TYPES;
+
+describe('Mixer', () => {
+  beforeEach(() => {
+    resetStrips();
+    setMuted(false);
+  });
+
+  it('should set the master volume in decibels and reject bad levels', () => {
+    expect(setMasterVolume(0.1)).toBe(0.1);
+    expect(Tone.Destination.volume.value).toBeCloseTo(-20);
+    expect(getMasterVolume()).toBe(0.1);
+
+    expect(() => setMasterVolume(2)).toThrow(/Master volume/);
+    expect(() => setStrip(DISPENSER, 'left', { volume: -1 })).toThrow(/Strip volume/);
+    expect(() => getStrip('bus', 'left')).toThrow(/Unknown mixer strip type/);
+  });
+
+  it('should mute the Tone destination and announce it', () => {
+    const listener = vi.fn();
+    window.addEventListener('mixer-change', listener);
+    setMuted(true);
+    window.removeEventListener('mixer-change', listener);
+
+    expect(isMuted()).toBe(true);
+    expect(Tone.Destination.mute).toBe(true);
+    expect(listener.mock.calls[0][0].detail.muted).toBe(true);
+  });
+
+  it('should silence muted strips and everything but soloed strips of a type', () => {
+    setStrip(DISPENSER, 'left', { volume: 0.5 });
+    expect(getStripLevel(DISPENSER, 'left')).toBe(0.5);
+    expect(getStripLevel(DISPENSER, 'unknown')).toBe(1);
+
+    setStrip(DISPENSER, 'right', { solo: true });
+    expect(getStripLevel(DISPENSER, 'left')).toBe(0);
+    expect(getStripLevel(DISPENSER, 'right')).toBe(1);
+
+    // Solos don't reach across types
+    expect(getStripLevel(INSTRUMENT, 'marimba')).toBe(1);
+
+    setStrip(DISPENSER, 'right', { mute: true });
+    expect(getStripLevel(DISPENSER, 'right')).toBe(0);
+  });
+
+  it('should drive the instrument buses, including ones created later', () => {
+    const marimba = getInstrumentOutput('marimba');
+    setStrip(INSTRUMENT, 'marimba', { volume: 0.25 });
+    expect(marimba.set).toHaveBeenLastCalledWith({ gain: 0.25 });
+
+    setStrip(INSTRUMENT, 'kalimba', { solo: true });
+    expect(marimba.set).toHaveBeenLastCalledWith({ gain: 0 });
+
+    const kalimba = getInstrumentOutput('kalimba');
+    expect(kalimba.set).toHaveBeenCalledWith({ gain: 1 });
+
+    resetStrips();
+    expect(marimba.set).toHaveBeenLastCalledWith({ gain: 1 });
+  });
+
+  it('should meter the master output once asked', () => {
+    expect(getMasterLevel()).toBe(-12);
+    getMasterLevel();
+    expect(Tone.Meter).toHaveBeenCalledTimes(1);
+    expect(Tone.Destination.chain).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only rebuild the panel when dispensers come or go', () => {
+    const dispensers = [{ id: 'a' }];
+    const panel = new MixerPanel({ isMuted: false, isInitialized: false, setMuted: vi.fn() }, () => dispensers);
+    panel.isVisible = true;
+    panel.render();
+    const render = vi.spyOn(panel, 'render');
+
+    // e.g. every move of a wall endpoint drag
+    window.dispatchEvent(new CustomEvent('scene-change', { detail: { reason: 'wall-moved' } }));
+    expect(render).not.toHaveBeenCalled();
+
+    dispensers.push({ id: 'b' });
+    window.dispatchEvent(new CustomEvent('scene-change', { detail: { reason: 'dispenser-created' } }));
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(panel.panel.textContent).toContain('Dispenser 2');
+  });
+});
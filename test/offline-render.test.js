@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// The simulation runs on the real physics; only the audio is faked
+vi.unmock('three');
+vi.unmock('cannon-es');
+
+import * as Tone from 'tone';
+import { renderScene, encodeWav, getBarDuration } from '../src/core/audio/offlineRender.js';
+
+// Audio written by the fake synths during a render
+const output = { data: null, sampleRate: 0 };
+
+// Each synth adds a tone to the output where its note plays
+const createSynth = Tone.Synth.getMockImplementation();
+Tone.Synth.mockImplementation(() => ({
+  ...createSynth(),
+  triggerAttackRelease: vi.fn((note, duration, time, velocity) => {
+    const start = Math.round(time * output.sampleRate);
+    const end = Math.min(output.data.length, start + Math.round(duration * output.sampleRate));
+    for (let i = start; i < end; i++) {
+      output.data[i] += velocity * Math.sin(i / 4);
+    }
+  })
+}));
+
+// Stands in for Tone.Offline, which needs a browser
+async function render(callback, duration, channels, sampleRate) {
+  output.data = new Float32Array(Math.round(duration * sampleRate));
+  output.sampleRate = sampleRate;
+  await callback();
+  return {
+    numberOfChannels: channels,
+    sampleRate,
+    length: output.data.length,
+    getChannelData: () => output.data
+  };
+}
+
+describe('Offline Render', () => {
+  const pattern = new Array(16).fill(false);
+  pattern[0] = true;
+  pattern[8] = true;
+
+  const scene = {
+    version: 1,
+    tempo: 120,
+    instrument: 'marimba',
+    walls: [
+      { id: 'floor', start: { x: -3, y: -3, z: 0 }, end: { x: 3, y: -3, z: 0 } }
+    ],
+    dispensers: [
+      { id: 'seq', position: { x: 0, y: 2, z: 0 }, pattern }
+    ]
+  };
+
+  const sampleRate = 8000;
+
+  it('should render the requested bars at the scene tempo', async () => {
+    const buffer = await renderScene(scene, { bars: 2, sampleRate, render });
+
+    expect(getBarDuration(120)).toBe(2);
+    expect(buffer.length).toBe(2 * 2 * sampleRate);
+    expect(buffer.numberOfChannels).toBe(2);
+  });
+
+  it('should render the collision notes', async () => {
+    const buffer = await renderScene(scene, { bars: 2, sampleRate, render });
+    const peak = buffer.getChannelData(0).reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+    expect(peak).toBeGreaterThan(0);
+  });
+
+  it('should render silence when nothing collides', async () => {
+    const buffer = await renderScene({ ...scene, walls: [] }, { bars: 1, sampleRate, render });
+    expect(buffer.getChannelData(0).every(sample => sample === 0)).toBe(true);
+  });
+
+  it('should reject invalid bar counts', async () => {
+    await expect(renderScene(scene, { bars: 0, render })).rejects.toThrow(/positive integer/);
+  });
+
+  it('should encode 16-bit stereo WAV files', async () => {
+    const buffer = await renderScene(scene, { bars: 1, sampleRate, render });
+    const view = new DataView(encodeWav(buffer));
+    const text = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+
+    expect(text(0)).toBe('RIFF');
+    expect(text(8)).toBe('WAVE');
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(sampleRate);
+    expect(view.getUint32(40, true)).toBe(buffer.length * 2 * 2);
+    expect(view.byteLength).toBe(44 + buffer.length * 2 * 2);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  LengthQuantizationSettings,
+  QuantizationSettings,
+  getQuantizationSettings,
+  quantizeLength,
+  getGridDuration,
+  quantizeTime,
+  mapLengthToNote
+} from '../utils/midiSequencer.js';
+import { DEFAULT_KEY, setKey } from '../utils/scaleEngine.js';
+
+describe('Quantization', () => {
+  afterEach(() => {
+    setKey(DEFAULT_KEY);
+  });
+
+  describe('Length', () => {
+    it('should leave lengths alone when quantization is off', () => {
+      expect(quantizeLength(1.234)).toBe(1.234);
+    });
+
+    it('should snap lengths to the middle of their scale degree', () => {
+      // 15 notes over 0.2-3.0 gives bands 0.18667 long
+      const band = 2.8 / 15;
+      expect(quantizeLength(0.21, LengthQuantizationSettings.SCALE)).toBeCloseTo(0.2 + band / 2);
+      expect(quantizeLength(1.0, LengthQuantizationSettings.SCALE)).toBeCloseTo(0.2 + 4.5 * band);
+    });
+
+    it('should keep the note of the unsnapped length', () => {
+      [0.25, 0.9, 1.6, 2.2, 2.99].forEach(length => {
+        const snapped = quantizeLength(length, LengthQuantizationSettings.SCALE);
+        expect(mapLengthToNote(snapped)).toBe(mapLengthToNote(length));
+      });
+    });
+
+    it('should follow the number of notes in the current key', () => {
+      setKey({ mode: 'pentatonic', octaves: 1 });
+      expect(quantizeLength(0.21, LengthQuantizationSettings.SCALE)).toBeCloseTo(0.2 + 2.8 / 6 / 2);
+    });
+
+    it('should keep the drawn lengths under timing quantization', () => {
+      Object.values(QuantizationSettings).forEach(settings => {
+        [0.21, 1.0, 2.99].forEach(length => {
+          expect(quantizeLength(length, settings)).toBe(length);
+        });
+      });
+    });
+
+    it('should not snap lengths outside the mapped range', () => {
+      expect(quantizeLength(0.1, LengthQuantizationSettings.SCALE)).toBe(0.1);
+      expect(quantizeLength(4, LengthQuantizationSettings.SCALE)).toBe(4);
+    });
+  });
+
+  describe('Timing', () => {
+    it('should size the grid from the tempo', () => {
+      expect(getGridDuration(QuantizationSettings.QUARTER, 120)).toBeCloseTo(0.5);
+      expect(getGridDuration(QuantizationSettings.SIXTEENTH, 120)).toBeCloseTo(0.125);
+      expect(getGridDuration(QuantizationSettings.EIGHTH_TRIPLET, 120)).toBeCloseTo(1 / 6);
+      expect(getGridDuration(QuantizationSettings.NONE, 120)).toBe(0);
+    });
+
+    it('should push times onto the next grid line', () => {
+      expect(quantizeTime(1.1, 0.5)).toBeCloseTo(1.5);
+      expect(quantizeTime(1.5, 0.5)).toBeCloseTo(1.5);
+    });
+
+    it('should move partway for strengths below 100%', () => {
+      expect(quantizeTime(1.1, 0.5, 0.5)).toBeCloseTo(1.3);
+      expect(quantizeTime(1.1, 0.5, 0)).toBeCloseTo(1.1);
+    });
+
+    it('should never move times earlier', () => {
+      expect(quantizeTime(1.49, 0.5, 2)).toBeCloseTo(1.5);
+      expect(quantizeTime(1.2, 0.5, -1)).toBeCloseTo(1.2);
+    });
+
+    it('should look up settings by id, keeping the original ids', () => {
+      expect(getQuantizationSettings('eighth')).toBe(QuantizationSettings.EIGHTH);
+      expect(getQuantizationSettings('sixteenthTriplet').subdivision).toBe('16t');
+      expect(getQuantizationSettings('bogus')).toBe(QuantizationSettings.NONE);
+    });
+  });
+});
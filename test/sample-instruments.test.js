@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import {
+  SAMPLE_STATUS,
+  registerSampleInstrument,
+  unregisterSampleInstrument,
+  getSampleInstrumentNames,
+  registerDroppedSamples,
+  loadSampleManifest,
+  parseNoteFromFileName,
+  getInstrumentNameFromFile
+} from '../utils/sampleInstruments.js';
+import {
+  playNote,
+  setInstrumentType,
+  getAvailableInstruments,
+  saveCustomInstrument,
+  deleteCustomInstrument,
+  INSTRUMENT_PREFABS
+} from '../utils/synthManager.js';
+
+// The options the most recent Tone.Sampler was created with
+const lastSamplerOptions = () => Tone.Sampler.mock.results.at(-1).value.options;
+
+describe('Sample Instruments', () => {
+  beforeEach(() => {
+    getSampleInstrumentNames().forEach(unregisterSampleInstrument);
+    setInstrumentType('marimba');
+  });
+
+  it('should read notes from sample file names', () => {
+    expect(parseNoteFromFileName('C4.wav')).toBe('C4');
+    expect(parseNoteFromFileName('piano-F#3.mp3')).toBe('F#3');
+    expect(parseNoteFromFileName('piano_Cs5.ogg')).toBe('C#5');
+    expect(parseNoteFromFileName('Bb2.flac')).toBe('A#2');
+    expect(parseNoteFromFileName('kick.wav')).toBeNull();
+  });
+
+  it('should name dropped instruments after their files', () => {
+    expect(getInstrumentNameFromFile('piano-C4.wav')).toBe('piano');
+    expect(getInstrumentNameFromFile('A#3.wav')).toBe('samples');
+  });
+
+  it('should play through the sampler once loaded', async () => {
+    const instrument = registerSampleInstrument('piano', { urls: { C4: 'C4.mp3' }, baseUrl: '/samples/piano/' });
+    expect(instrument.status).toBe(SAMPLE_STATUS.LOADING);
+
+    lastSamplerOptions().onload();
+    expect(await instrument.loaded).toBe(true);
+
+    expect(playNote('E4', '16n', 1, 0.6, 'piano')).toBe(instrument.voice);
+    expect(instrument.sampler.triggerAttackRelease).toHaveBeenCalledWith('E4', 0.125, 1, 0.6);
+    expect(getAvailableInstruments()).toContain('piano');
+  });
+
+  it('should fall back to the oscillator prefab while loading and after failing', async () => {
+    const instrument = registerSampleInstrument('strings', { urls: { C4: 'missing.mp3' }, fallback: 'vibraphone' });
+
+    const loadingVoice = playNote('C4', '16n', 2, 0.7, 'strings');
+    expect(loadingVoice).not.toBe(instrument.voice);
+    expect(loadingVoice.source.set).toHaveBeenCalledWith(INSTRUMENT_PREFABS.vibraphone);
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    lastSamplerOptions().onerror(new Error('404'));
+    expect(await instrument.loaded).toBe(false);
+    expect(instrument.status).toBe(SAMPLE_STATUS.FAILED);
+    expect(playNote('C4', '16n', 3, 0.7, 'strings')).not.toBe(instrument.voice);
+  });
+
+  it('should be usable as the global instrument', () => {
+    const instrument = registerSampleInstrument('harp', { urls: { A4: 'A4.mp3' } });
+    lastSamplerOptions().onload();
+
+    expect(setInstrumentType('harp')).toBe(true);
+    expect(playNote('A4', '16n', 1)).toBe(instrument.voice);
+  });
+
+  it('should register instruments from a manifest', async () => {
+    const fetchFn = vi.fn().mockResolvedValue({
+      ok: true,
+      headers: new Headers({ 'content-type': 'application/json' }),
+      json: async () => ({
+        instruments: {
+          celesta: { baseUrl: '/samples/celesta/', urls: { C5: 'C5.mp3' } },
+          marimba: { urls: { C4: 'C4.mp3' } },
+          broken: { urls: {} }
+        }
+      })
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await loadSampleManifest('/samples/manifest.json', fetchFn)).toEqual(['celesta']);
+    expect(fetchFn).toHaveBeenCalledWith('/samples/manifest.json');
+    expect(lastSamplerOptions().baseUrl).toBe('/samples/celesta/');
+    expect(getAvailableInstruments()).toContain('celesta');
+  });
+
+  it('should treat a missing manifest as no samples, without warning', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const notFound = vi.fn().mockResolvedValue({ ok: false, status: 404, headers: new Headers() });
+    // The dev server serves the page for files it doesn't have
+    const page = vi.fn().mockResolvedValue({
+      ok: true,
+      headers: new Headers({ 'content-type': 'text/html' }),
+      json: async () => { throw new SyntaxError('Unexpected token <'); }
+    });
+
+    expect(await loadSampleManifest('/samples/manifest.json', notFound)).toEqual([]);
+    expect(await loadSampleManifest('/samples/manifest.json', page)).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+    expect(getSampleInstrumentNames()).toEqual([]);
+  });
+
+  it('should not let dropped samples take a prefab or custom instrument name', () => {
+    const files = [new File([''], 'C4.wav', { type: 'audio/wav' })];
+    URL.createObjectURL = vi.fn(() => 'blob:sample');
+    saveCustomInstrument('bells', {});
+
+    expect(() => registerDroppedSamples('marimba', files)).toThrow(/already/);
+    expect(() => registerDroppedSamples('bells', files)).toThrow(/already/);
+    expect(getSampleInstrumentNames()).toEqual([]);
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+    deleteCustomInstrument('bells');
+  });
+
+  it('should free dropped files once their instrument is replaced or removed', () => {
+    let count = 0;
+    URL.createObjectURL = vi.fn(() => `blob:sample-${count++}`);
+    URL.revokeObjectURL = vi.fn();
+    const files = ['C4.wav', 'G4.wav', 'notes.txt'].map(name => new File([''], name));
+
+    registerDroppedSamples('drops', files);
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(2);
+
+    registerDroppedSamples('drops', files.slice(0, 1));
+    expect(URL.revokeObjectURL.mock.calls.map(([url]) => url)).toEqual(['blob:sample-0', 'blob:sample-1']);
+
+    unregisterSampleInstrument('drops');
+    expect(URL.revokeObjectURL).toHaveBeenLastCalledWith('blob:sample-2');
+  });
+});
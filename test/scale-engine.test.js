@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_KEY,
+  buildScale,
+  noteToMidi,
+  midiToNote,
+  noteToFrequency,
+  mapLengthToScaleNote,
+  getKey,
+  getScaleNotes,
+  setKey
+} from '../utils/scaleEngine.js';
+
+describe('Scale Engine', () => {
+  afterEach(() => {
+    setKey(DEFAULT_KEY);
+  });
+
+  it('should build C major over two octaves by default', () => {
+    expect(buildScale(DEFAULT_KEY)).toEqual([
+      'C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4',
+      'C5', 'D5', 'E5', 'F5', 'G5', 'A5', 'B5',
+      'C6'
+    ]);
+  });
+
+  it('should build other roots and modes', () => {
+    expect(buildScale({ root: 'A', mode: 'minor', octave: 3, octaves: 1 }))
+      .toEqual(['A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G4', 'A4']);
+    expect(buildScale({ root: 'F#', mode: 'pentatonic', octaves: 1 }))
+      .toEqual(['F#4', 'G#4', 'A#4', 'C#5', 'D#5', 'F#5']);
+  });
+
+  it('should reject unknown roots and modes', () => {
+    expect(() => buildScale({ root: 'H' })).toThrow(/Unknown root note/);
+    expect(() => buildScale({ mode: 'lydian-ish' })).toThrow(/Unknown scale mode/);
+  });
+
+  it('should convert between note names, MIDI numbers and frequencies', () => {
+    expect(noteToMidi('C4')).toBe(60);
+    expect(noteToMidi('A#2')).toBe(46);
+    expect(midiToNote(61)).toBe('C#4');
+    expect(noteToFrequency('A4')).toBe(440);
+    expect(noteToFrequency('A5')).toBeCloseTo(880);
+  });
+
+  it('should map the shortest and longest walls to the ends of the scale', () => {
+    const notes = buildScale({ root: 'D', mode: 'dorian', octaves: 1 });
+    expect(mapLengthToScaleNote(0.2, 0.2, 3.0, notes)).toBe('D4');
+    expect(mapLengthToScaleNote(3.0, 0.2, 3.0, notes)).toBe('D5');
+    expect(mapLengthToScaleNote(10, 0.2, 3.0, notes)).toBe('D5');
+  });
+
+  it('should change the global key and announce it', () => {
+    const listener = vi.fn();
+    window.addEventListener('key-change', listener);
+
+    setKey({ root: 'G', mode: 'blues' });
+
+    expect(getKey()).toEqual({ root: 'G', mode: 'blues', octave: 4, octaves: 2 });
+    expect(getScaleNotes()[0]).toBe('G4');
+    expect(mapLengthToScaleNote(0.2)).toBe('G4');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail.key.root).toBe('G');
+
+    window.removeEventListener('key-change', listener);
+  });
+
+  it('should keep the old key when a change is invalid', () => {
+    expect(() => setKey({ mode: 'nope' })).toThrow();
+    expect(getKey()).toEqual(DEFAULT_KEY);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeScene,
+  decodeScene,
+  createSceneLink,
+  readSceneFromHash
+} from '../src/core/scene/sceneLink.js';
+import { SCENE_FORMAT_VERSION } from '../src/core/scene/sceneSerializer.js';
+
+describe('Scene Links', () => {
+  const pattern = new Array(16).fill(false);
+  pattern[0] = true;
+  pattern[5] = true;
+  pattern[15] = true;
+
+  const scene = {
+    version: SCENE_FORMAT_VERSION,
+    tempo: 140,
+    instrument: 'kalimba',
+    key: { root: 'A', mode: 'minor', octave: 3, octaves: 1 },
+    walls: [
+      { id: 'abc', start: { x: -1.23456, y: 0.5, z: 0 }, end: { x: 2, y: -1, z: 0 } },
+      { id: 'xyz', start: { x: 0, y: 0, z: 0 }, end: { x: 1, y: 0, z: 0 }, instrument: 'marimba' }
+    ],
+    dispensers: [
+      { id: 'def', position: { x: 0, y: 3, z: 0 }, pattern },
+      { id: 'ghi', position: { x: 1, y: 3, z: 0 }, pattern: null }
+    ]
+  };
+
+  it('should carry effects settings when the scene has them', () => {
+    const effects = { reverb: { decay: 6 }, sends: { kalimba: { reverb: 0.5, delay: 0.1 } } };
+    const decoded = decodeScene(encodeScene({ ...scene, effects }));
+    expect(decoded.effects.reverb.decay).toBe(6);
+    expect(decoded.effects.sends.kalimba).toEqual({ reverb: 0.5, delay: 0.1 });
+  });
+
+  it('should round-trip walls, dispensers, patterns, tempo, instrument and key', () => {
+    const decoded = decodeScene(encodeScene(scene));
+
+    expect(decoded.tempo).toBe(140);
+    expect(decoded.instrument).toBe('kalimba');
+    expect(decoded.key).toEqual(scene.key);
+    expect(decoded.effects).toBeUndefined();
+    expect(decoded.walls).toHaveLength(2);
+    expect(decoded.walls[0].instrument).toBeUndefined();
+    expect(decoded.walls[1].instrument).toBe('marimba');
+    expect(decoded.walls[0].start.x).toBeCloseTo(-1.235, 3);
+    expect(decoded.walls[0].end).toEqual({ x: 2, y: -1, z: 0 });
+    expect(decoded.dispensers[0].pattern).toEqual(pattern);
+    expect(decoded.dispensers[1].pattern).toBeNull();
+  });
+
+  it('should reject packed patterns longer than a pattern can be', () => {
+    const encode = (packed) => btoa(JSON.stringify({ v: SCENE_FORMAT_VERSION, w: [], d: [[0, 3, 0, packed]] }));
+    expect(() => decodeScene(encode('999999999:'))).toThrow(/malformed pattern/);
+    expect(() => decodeScene(encode('65:' + '0'.repeat(17)))).toThrow(/malformed pattern/);
+    expect(() => decodeScene(encode('16:f'))).toThrow(/malformed pattern/);
+    expect(decodeScene(encode('64:' + 'f'.repeat(16))).dispensers[0].pattern).toHaveLength(64);
+  });
+
+  it('should produce URL-safe output', () => {
+    expect(encodeScene(scene)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('should read a scene back from a generated link', () => {
+    const link = createSceneLink(scene, 'https://example.com/bounce/');
+    const decoded = readSceneFromHash(new URL(link).hash);
+
+    expect(decoded.dispensers).toHaveLength(2);
+    expect(decoded.dispensers[0].position).toEqual({ x: 0, y: 3, z: 0 });
+  });
+
+  it('should return null when the hash has no scene', () => {
+    expect(readSceneFromHash('')).toBeNull();
+    expect(readSceneFromHash('#other=1')).toBeNull();
+  });
+
+  it('should throw on malformed links', () => {
+    expect(() => readSceneFromHash('#scene=not-a-scene')).toThrow();
+    expect(() => decodeScene(btoa('{"w":[[1,2,"x",3,4,5]],"d":[]}'))).toThrow();
+    expect(() => decodeScene(btoa('{"w":[],"d":[[0,0,0,"16:zz"]]}'))).toThrow();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SCENE_FORMAT_VERSION,
+  createEmptyScene,
+  migrateScene,
+  parseScene
+} from '../src/core/scene/sceneSerializer.js';
+
+describe('Scene Serializer', () => {
+  const savedScene = {
+    version: SCENE_FORMAT_VERSION,
+    tempo: 96,
+    instrument: 'vibraphone',
+    key: { root: 'D', mode: 'dorian', octave: 3, octaves: 2 },
+    walls: [
+      { id: 'wall1', start: { x: -1, y: 0, z: 0 }, end: { x: 1, y: 0.5, z: 0 } },
+      { id: 'wall2', start: { x: -1, y: -2, z: 0 }, end: { x: 1, y: -2, z: 0 }, instrument: 'glockenspiel' }
+    ],
+    dispensers: [
+      { id: 'disp1', position: { x: 0, y: 3, z: 0 }, pattern: [true, false, true] },
+      { id: 'disp2', position: { x: 2, y: 3, z: 0 }, pattern: null }
+    ]
+  };
+
+  it('should round-trip a scene through JSON text', () => {
+    const scene = parseScene(JSON.stringify(savedScene));
+    expect(scene).toEqual(savedScene);
+  });
+
+  it('should accept an already parsed object', () => {
+    expect(parseScene(savedScene).walls[0].id).toBe('wall1');
+  });
+
+  it('should start new scenes empty at the current version', () => {
+    const scene = createEmptyScene();
+    expect(scene.version).toBe(SCENE_FORMAT_VERSION);
+    expect(scene.walls).toEqual([]);
+    expect(scene.dispensers).toEqual([]);
+  });
+
+  it('should fill in defaults for missing tempo and instrument', () => {
+    const scene = parseScene({ walls: [], dispensers: [] });
+    expect(scene.tempo).toBe(120);
+    expect(scene.instrument).toBe('marimba');
+  });
+
+  it('should default version 1 scenes to C major', () => {
+    const { key, ...legacy } = savedScene;
+    const scene = parseScene({ ...legacy, version: 1 });
+    expect(scene.version).toBe(SCENE_FORMAT_VERSION);
+    expect(scene.key).toEqual({ root: 'C', mode: 'major', octave: 4, octaves: 2 });
+    expect(scene.walls).toEqual(savedScene.walls);
+  });
+
+  it('should reject unknown keys', () => {
+    const broken = { ...savedScene, key: { root: 'H', mode: 'major' } };
+    expect(() => parseScene(broken)).toThrow(/Unknown root note/);
+  });
+
+  it('should reject patterns longer than 64 steps', () => {
+    const dispensers = [{ id: 'long', position: { x: 0, y: 0, z: 0 }, pattern: new Array(65).fill(false) }];
+    expect(() => parseScene({ ...savedScene, dispensers })).toThrow(/more than 64 steps/);
+  });
+
+  it('should reject scenes from a newer build', () => {
+    expect(() => migrateScene({ version: SCENE_FORMAT_VERSION + 1 }))
+      .toThrow(/newer than this build/);
+  });
+
+  it('should reject walls with invalid coordinates', () => {
+    const broken = {
+      ...savedScene,
+      walls: [{ id: 'wall1', start: { x: 'left', y: 0 }, end: { x: 1, y: 0 } }]
+    };
+    expect(() => parseScene(broken)).toThrow(/non-numeric/);
+  });
+
+  it('should keep effects settings, filling in defaults', () => {
+    const scene = parseScene({ ...savedScene, effects: { reverb: { decay: 5 } } });
+    expect(scene.effects.reverb.decay).toBe(5);
+    expect(scene.effects.limiter.threshold).toBe(-1);
+    expect(() => parseScene({ ...savedScene, effects: { limiter: { threshold: 6 } } }))
+      .toThrow(/limiter.threshold/);
+  });
+
+  it('should reject walls with an invalid instrument', () => {
+    const broken = {
+      ...savedScene,
+      walls: [{ id: 'wall1', start: { x: 0, y: 0 }, end: { x: 1, y: 0 }, instrument: 42 }]
+    };
+    expect(() => parseScene(broken)).toThrow(/invalid instrument/);
+  });
+
+  it('should reject entries without ids', () => {
+    const broken = {
+      ...savedScene,
+      dispensers: [{ position: { x: 0, y: 0, z: 0 } }]
+    };
+    expect(() => parseScene(broken)).toThrow(/missing an id/);
+  });
+
+  it('should reject malformed JSON text', () => {
+    expect(() => parseScene('{ not json')).toThrow();
+  });
+});
@@ -111,4 +111,52 @@ vi.mock('cannon-es', () => {
     Material: vi.fn(),
     ContactMaterial: vi.fn()
   };
-}); 
\ No newline at end of file
+}); 
+
+// Mock Tone.js
+vi.mock('tone', () => {
+  // Generic audio node for the effects chain, mixer and panners
+  const node = () => ({
+    connect: vi.fn().mockReturnThis(),
+    disconnect: vi.fn(),
+    toDestination: vi.fn().mockReturnThis(),
+    start: vi.fn().mockReturnThis(),
+    set: vi.fn(),
+    getValue: vi.fn(() => -12),
+    dispose: vi.fn()
+  });
+  const synth = () => ({
+    ...node(),
+    triggerAttackRelease: vi.fn(),
+    volume: { value: 0 }
+  });
+
+  return {
+    Synth: vi.fn().mockImplementation(synth),
+    MonoSynth: vi.fn().mockImplementation(synth),
+    MembraneSynth: vi.fn().mockImplementation(synth),
+    Sampler: vi.fn().mockImplementation((options) => ({ ...synth(), options })),
+    Gain: vi.fn().mockImplementation(node),
+    Limiter: vi.fn().mockImplementation(node),
+    Compressor: vi.fn().mockImplementation(node),
+    Chorus: vi.fn().mockImplementation(node),
+    Filter: vi.fn().mockImplementation(node),
+    Reverb: vi.fn().mockImplementation(() => ({ ...node(), ready: Promise.resolve() })),
+    FeedbackDelay: vi.fn().mockImplementation(node),
+    Meter: vi.fn().mockImplementation(node),
+    Panner: vi.fn().mockImplementation(() => ({ ...node(), pan: { setValueAtTime: vi.fn() } })),
+    Panner3D: vi.fn().mockImplementation(() => ({ ...node(), setPosition: vi.fn() })),
+    Loop: vi.fn().mockImplementation(() => ({ start: vi.fn().mockReturnThis(), dispose: vi.fn() })),
+    Listener: { set: vi.fn() },
+    Destination: { mute: false, volume: { value: 0 }, chain: vi.fn() },
+    Transport: { state: 'stopped', seconds: 0, bpm: { value: 120 }, start: vi.fn(), stop: vi.fn() },
+    context: { state: 'running' },
+    start: vi.fn().mockResolvedValue(true),
+    now: vi.fn(() => 0),
+    loaded: vi.fn().mockResolvedValue(),
+    // Seconds pass through; any notation reads as an eighth note at 120 BPM
+    Time: vi.fn((value) => ({ toSeconds: () => (typeof value === 'number' ? value : 0.125) })),
+    Frequency: vi.fn(() => ({ toFrequency: () => 440 })),
+    gainToDb: (gain) => 20 * Math.log10(gain)
+  };
+});
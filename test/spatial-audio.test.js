@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import {
+  PAN_MODES,
+  DEFAULT_SPATIAL_SETTINGS,
+  getPanForPosition,
+  getSpatialSettings,
+  setSpatialSettings,
+  updateListener,
+  SpatialVoice
+} from '../utils/spatialAudio.js';
+
+const createSource = () => ({
+  connect: vi.fn().mockReturnThis(),
+  set: vi.fn(),
+  triggerAttackRelease: vi.fn(),
+  dispose: vi.fn()
+});
+
+describe('Spatial Audio', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setSpatialSettings(DEFAULT_SPATIAL_SETTINGS);
+  });
+
+  it('should pan by X position across the arena', () => {
+    expect(getPanForPosition(0)).toBe(0);
+    expect(getPanForPosition(-5)).toBe(-0.5);
+    expect(getPanForPosition(10)).toBe(1);
+    // Beyond the arena edge stays hard panned
+    expect(getPanForPosition(-30)).toBe(-1);
+  });
+
+  it('should narrow the stereo field with the width control', () => {
+    setSpatialSettings({ width: 0.5 });
+    expect(getPanForPosition(10)).toBe(0.5);
+
+    setSpatialSettings({ width: 0 });
+    expect(getPanForPosition(10)).toBe(0);
+  });
+
+  it('should center everything when panning is off', () => {
+    setSpatialSettings({ mode: PAN_MODES.OFF });
+    expect(getPanForPosition(8)).toBe(0);
+  });
+
+  it('should reject invalid settings and keep the old ones', () => {
+    expect(() => setSpatialSettings({ mode: 'surround' })).toThrow('Unknown panning mode');
+    expect(() => setSpatialSettings({ width: 2 })).toThrow('Stereo width');
+    expect(getSpatialSettings()).toEqual(DEFAULT_SPATIAL_SETTINGS);
+  });
+
+  it('should announce and save setting changes', () => {
+    const listener = vi.fn();
+    window.addEventListener('spatial-change', listener);
+    setSpatialSettings({ width: 0.25 });
+    window.removeEventListener('spatial-change', listener);
+
+    expect(listener.mock.calls[0][0].detail.spatial.width).toBe(0.25);
+    expect(JSON.parse(localStorage.getItem('spatialSettings')).width).toBe(0.25);
+  });
+
+  it('should pan each note of a voice where it happens', () => {
+    const source = createSource();
+    const voice = new SpatialVoice(source);
+    const { pan } = voice.panner.stereo;
+
+    voice.triggerAttackRelease('C4', 0.1, 1, 0.8, { x: 5, y: 0, z: 0 });
+    expect(pan.setValueAtTime).toHaveBeenCalledWith(0.5, 1);
+    expect(source.triggerAttackRelease).toHaveBeenCalledWith('C4', 0.1, 1, 0.8);
+
+    // Notes without a position are centered
+    voice.triggerAttackRelease('D4', 0.1, 2, 0.8);
+    expect(pan.setValueAtTime).toHaveBeenLastCalledWith(0, 2);
+  });
+
+  it('should cancel the envelopes\' scheduled release for a stolen voice', () => {
+    const source = { ...createSource(), envelope: { cancel: vi.fn() }, filterEnvelope: { cancel: vi.fn() } };
+    new SpatialVoice(source).cancelRelease(1.5);
+
+    expect(source.envelope.cancel).toHaveBeenCalledWith(1.5);
+    expect(source.filterEnvelope.cancel).toHaveBeenCalledWith(1.5);
+  });
+
+  it('should report its source\'s release', () => {
+    expect(new SpatialVoice({ ...createSource(), envelope: { release: '4n' } }).release).toBe('4n');
+    expect(new SpatialVoice({ ...createSource(), release: 1 }).release).toBe(1);
+  });
+
+  it('should place notes in 3D in HRTF mode', () => {
+    setSpatialSettings({ mode: PAN_MODES.HRTF });
+    const voice = new SpatialVoice(createSource());
+
+    voice.triggerAttackRelease('C4', 0.1, 1, 0.8, { x: 3, y: 2, z: -1 });
+    expect(voice.panner.binaural.setPosition).toHaveBeenCalledWith(3, 2, -1);
+    expect(voice.panner.input.connect).toHaveBeenLastCalledWith(voice.panner.binaural);
+  });
+
+  it('should only move the listener in HRTF mode', () => {
+    const camera = {
+      position: { x: 0, y: 5, z: 15 },
+      up: { x: 0, y: 1, z: 0 },
+      getWorldDirection: (target) => Object.assign(target, { x: 0, y: 0, z: -1 })
+    };
+
+    updateListener(camera);
+    expect(Tone.Listener.set).not.toHaveBeenCalled();
+
+    setSpatialSettings({ mode: PAN_MODES.HRTF });
+    updateListener(camera);
+    expect(Tone.Listener.set).toHaveBeenCalledWith(expect.objectContaining({
+      positionY: 5, positionZ: 15, forwardZ: -1, upY: 1
+    }));
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as Tone from 'tone';
+import {
+  normalizeTimeSignature,
+  getBarSteps,
+  getBeatAtStep,
+  getStepDuration,
+  describeTimeSignature
+} from '../src/core/sequencer/timeSignature.js';
+import { DispenserSequencer } from '../src/core/sequencer/DispenserSequencer.js';
+import { encodeScene, decodeScene } from '../src/core/scene/sceneLink.js';
+import { SCENE_FORMAT_VERSION, parseScene } from '../src/core/scene/sceneSerializer.js';
+
+describe('Time Signatures', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('should find the beats of odd meters and triplet grids', () => {
+    const waltz = normalizeTimeSignature({ beats: 3, resolution: 16, steps: 12 });
+    expect(getBarSteps(waltz)).toBe(12);
+    expect([0, 4, 8, 12].map(step => getBeatAtStep(waltz, step))).toEqual([0, 1, 2, 0]);
+    expect(getBeatAtStep(waltz, 2)).toBeNull();
+
+    // Eighth-note beats on a 1/16 grid are two steps apart
+    const sevenEight = normalizeTimeSignature({ beats: 7, beatUnit: 8, steps: 14 });
+    expect(getBarSteps(sevenEight)).toBe(14);
+    expect(getBeatAtStep(sevenEight, 12)).toBe(6);
+    expect(getBeatAtStep(sevenEight, 14)).toBe(0);
+
+    // A triplet grid has three steps to the quarter, each a third of a beat long
+    const triplets = normalizeTimeSignature({ resolution: 12, steps: 12 });
+    expect(getBeatAtStep(triplets, 3)).toBe(1);
+    expect(getStepDuration(triplets, 120)).toBeCloseTo(1 / 6);
+    expect(getStepDuration(normalizeTimeSignature(), 120)).toBe(0.125);
+
+    expect(describeTimeSignature(sevenEight)).toBe('7/8, 14 steps of 1/16');
+  });
+
+  it('should reject patterns outside 1 to 64 steps and unknown grids', () => {
+    expect(normalizeTimeSignature({ steps: 1 }).steps).toBe(1);
+    expect(normalizeTimeSignature({ steps: 64 }).steps).toBe(64);
+    expect(() => normalizeTimeSignature({ steps: 0 })).toThrow(/from 1 to 64/);
+    expect(() => normalizeTimeSignature({ steps: 65 })).toThrow(/from 1 to 64/);
+    expect(() => normalizeTimeSignature({ beatUnit: 3 })).toThrow(/beat unit/);
+    expect(() => normalizeTimeSignature({ resolution: 10 })).toThrow(/resolution/);
+  });
+
+  it('should resize patterns without losing the steps past the end', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.addDispenser('left');
+    sequencer.toggleStep('left', 2);
+    sequencer.toggleStep('left', 14);
+
+    sequencer.setTimeSignature({ beats: 3, steps: 12 });
+    expect(sequencer.getPattern('left')).toHaveLength(12);
+    expect(sequencer.getPattern('left')[2]).toBe(true);
+    expect(Tone.Transport.timeSignature).toEqual([3, 4]);
+
+    sequencer.setTimeSignature({ steps: 32 });
+    const pattern = sequencer.getPattern('left');
+    expect(pattern).toHaveLength(32);
+    expect(pattern[14]).toBe(true);
+    expect(pattern.slice(16).every(step => !step)).toBe(true);
+
+    // Triplet grids tick on triplet eighths
+    sequencer.setTimeSignature({ resolution: 12 });
+    expect(sequencer.loop.interval).toBe('8t');
+  });
+
+  it('should click the metronome on the bar, not the pattern', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.metronome.setSettings({ enabled: true });
+    // Five steps of 1/16 against 3/4: downbeats every twelve steps
+    sequencer.setTimeSignature({ beats: 3, steps: 5 });
+    sequencer.start();
+    for (let step = 0; step < 24; step++) {
+      sequencer.tick(step * 0.125);
+    }
+
+    const notes = sequencer.metronome.synth.triggerAttackRelease.mock.calls.map(([note]) => note);
+    expect(notes).toEqual(['C7', 'G6', 'G6', 'C7', 'G6', 'G6']);
+  });
+
+  it('should count in one bar of the time signature', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.setTimeSignature({ beats: 7, beatUnit: 8, steps: 14 });
+    const beats = [];
+    const listener = (event) => beats.push(event.detail.beat);
+    window.addEventListener('sequencer-count-in', listener);
+
+    sequencer.start({ countIn: true });
+    for (let step = 0; step < 14; step++) {
+      sequencer.tick(step * 0.125);
+    }
+    window.removeEventListener('sequencer-count-in', listener);
+
+    expect(beats.filter(beat => beat !== null)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(sequencer.isCountingIn).toBe(false);
+  });
+
+  it('should loop each pattern at its own length against the others', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.setPattern('five', [true, false, false, false, false]);
+    sequencer.setPattern('sixteen', [true, ...new Array(15).fill(false)]);
+    const triggers = [];
+    const onTrigger = (event) => triggers.push(event.detail);
+    const playheads = [];
+    const onStep = (event) => playheads.push(event.detail.playheads);
+    window.addEventListener('dispenser-trigger', onTrigger);
+    window.addEventListener('sequencer-step', onStep);
+
+    sequencer.start();
+    for (let step = 0; step < 16; step++) {
+      sequencer.tick(step * 0.125);
+    }
+    window.removeEventListener('dispenser-trigger', onTrigger);
+    window.removeEventListener('sequencer-step', onStep);
+
+    expect(triggers.filter(t => t.dispenserId === 'five').map(t => t.time)).toEqual([0, 0.625, 1.25, 1.875]);
+    expect(triggers.filter(t => t.dispenserId === 'sixteen')).toHaveLength(1);
+    expect(playheads[7]).toEqual({ five: 2, sixteen: 7 });
+  });
+
+  it('should give patterns their own lengths without losing steps', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.addDispenser('left');
+    sequencer.toggleStep('left', 10);
+
+    sequencer.setPatternLength('left', 5);
+    expect(sequencer.getPattern('left')).toEqual(new Array(5).fill(false));
+    sequencer.toggleStep('left', 10);
+    sequencer.setPatternLength('left', 16);
+    expect(sequencer.getPattern('left')[10]).toBe(true);
+    expect(() => sequencer.setPatternLength('left', 65)).toThrow(/from 1 to 64/);
+
+    // A new scene step count resizes only the patterns that follow it
+    sequencer.setPatternLength('left', 5);
+    sequencer.addDispenser('right');
+    sequencer.setTimeSignature({ steps: 7 });
+    expect(sequencer.getPatternLengths()).toEqual({ left: 5, right: 7 });
+  });
+
+  it('should keep steps past a pattern length through a save and reload', () => {
+    const sequencer = new DispenserSequencer();
+    sequencer.addDispenser('left');
+    sequencer.toggleStep('left', 10);
+    sequencer.setPatternLength('left', 5);
+
+    const saved = sequencer.getSavedPattern('left');
+    expect(saved.length).toBe(5);
+    expect(saved.pattern).toHaveLength(11);
+
+    const scene = {
+      version: SCENE_FORMAT_VERSION,
+      tempo: 120,
+      instrument: 'marimba',
+      walls: [],
+      dispensers: [{ id: 'left', position: { x: 0, y: 3, z: 0 }, ...saved }]
+    };
+    // Through a save file and through a link
+    [parseScene(JSON.stringify(scene)), decodeScene(encodeScene(scene))].forEach(({ dispensers: [dispenser] }) => {
+      const reloaded = new DispenserSequencer();
+      reloaded.setPattern('left', dispenser.pattern, dispenser.length);
+      expect(reloaded.getPattern('left')).toEqual(new Array(5).fill(false));
+
+      reloaded.setPatternLength('left', 16);
+      expect(reloaded.getPattern('left')[10]).toBe(true);
+    });
+
+    // Nothing kept past the end: the pattern is saved at its length
+    sequencer.setPatternLength('left', 12);
+    expect(sequencer.getSavedPattern('left').pattern).toHaveLength(12);
+  });
+
+  it('should carry the time signature in scene links', () => {
+    const timeSignature = { beats: 5, beatUnit: 4, resolution: 12, steps: 15 };
+    const decoded = decodeScene(encodeScene({
+      version: SCENE_FORMAT_VERSION,
+      tempo: 120,
+      instrument: 'marimba',
+      timeSignature,
+      walls: [],
+      dispensers: [{ id: 'a', position: { x: 0, y: 3, z: 0 }, pattern: new Array(15).fill(true) }]
+    }));
+
+    expect(decoded.timeSignature).toEqual(timeSignature);
+    expect(decoded.dispensers[0].pattern).toHaveLength(15);
+  });
+});
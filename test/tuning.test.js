@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseScala,
+  parseKeyboardMapping,
+  parseTuningFile,
+  parseTuningJson,
+  getTuningFrequencies
+} from '../utils/tuning.js';
+import { DEFAULT_KEY, buildScale, setKey, getKey, mapLengthToScaleNote, noteToMidi } from '../utils/scaleEngine.js';
+
+// Five-limit just major scale
+const JUST_MAJOR = `! just-major.scl
+!
+Just major
+ 7
+!
+ 9/8
+ 5/4
+ 4/3
+ 3/2
+ 5/3
+ 15/8
+ 2/1
+`;
+
+// Middle C is key 60, and A above it sounds at 432 Hz
+const KBM = `! 432.kbm
+12
+0
+127
+60
+69
+432.0
+12
+`;
+
+describe('Tunings', () => {
+  beforeEach(() => {
+    setKey({ ...DEFAULT_KEY, tuning: null });
+  });
+
+  it('should read Scala scales in ratios and cents', () => {
+    const tuning = parseScala(JUST_MAJOR);
+    expect(tuning.name).toBe('Just major');
+    expect(tuning.cents).toHaveLength(7);
+    expect(tuning.cents[3]).toBeCloseTo(701.955, 3);
+    expect(tuning.cents[6]).toBeCloseTo(1200);
+
+    expect(parseScala('Quarter tones\n2\n50.0 cents\n1200.0\n').cents).toEqual([50, 1200]);
+    expect(() => parseScala('Broken\n3\n100.0\n')).toThrow(/lists 1 of its 3 notes/);
+  });
+
+  it('should pin a scale to its keyboard mapping', () => {
+    expect(parseKeyboardMapping(KBM)).toEqual({ middleNote: 60, referenceNote: 69, referenceFrequency: 432 });
+
+    // Without a mapping the root keeps its 12-TET pitch
+    const scale = parseScala(JUST_MAJOR);
+    const unmapped = getTuningFrequencies(scale, 60, 1);
+    expect(unmapped[0]).toBeCloseTo(261.626, 3);
+    expect(unmapped[4] / unmapped[0]).toBeCloseTo(1.5);
+
+    // Each key is the next degree, so key 69 is nine degrees above the root at key 60
+    const mapped = parseTuningFile('432.kbm', KBM, scale);
+    const frequencies = getTuningFrequencies(mapped, 60, 2);
+    expect(frequencies).toHaveLength(15);
+    expect(frequencies[9]).toBeCloseTo(432);
+    expect(frequencies[7]).toBeCloseTo(frequencies[0] * 2);
+
+    expect(() => parseTuningFile('432.kbm', KBM, null)).toThrow(/Scala scale before/);
+    expect(() => parseTuningFile('tuning.txt', '')).toThrow(/Unknown tuning file type/);
+  });
+
+  it('should play JSON frequency tables as listed, lowest first', () => {
+    const tuning = parseTuningJson('{"name": "Slendro", "frequencies": [300, 240, 276, 345, 397, 480]}');
+    expect(getTuningFrequencies(tuning, 60, 2)).toEqual([240, 276, 300, 345, 397, 480]);
+    expect(() => parseTuningJson({ frequencies: [440] })).toThrow(/at least two/);
+    expect(() => parseTuningJson({ cents: [700, 500] })).toThrow(/must rise/);
+  });
+
+  it('should map wall lengths onto tuned frequencies', () => {
+    setKey({ tuning: parseScala(JUST_MAJOR), octaves: 1 });
+    expect(getKey().tuning.name).toBe('Just major');
+
+    const notes = buildScale(getKey());
+    expect(notes).toHaveLength(8);
+    expect(mapLengthToScaleNote(0.2)).toBeCloseTo(261.626, 3);
+    expect(mapLengthToScaleNote(3.0)).toBeCloseTo(523.251, 3);
+
+    // MIDI only has 12-TET keys, so tuned notes go to the nearest one
+    expect(noteToMidi(notes[2])).toBe(64);
+
+    setKey({ tuning: null });
+    expect(getKey()).not.toHaveProperty('tuning');
+    expect(mapLengthToScaleNote(0.2)).toBe('C4');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  VELOCITY_CURVES,
+  DEFAULT_VELOCITY_SETTINGS,
+  normalizeVelocitySettings,
+  getImpactVelocity,
+  getVelocitySettings,
+  setVelocitySettings
+} from '../utils/velocityCurve.js';
+
+describe('Velocity Curves', () => {
+  beforeEach(() => {
+    setVelocitySettings(DEFAULT_VELOCITY_SETTINGS);
+  });
+
+  it('should map impact speed linearly by default, ignoring direction', () => {
+    expect(getImpactVelocity(4)).toBe(0.5);
+    expect(getImpactVelocity(-4)).toBe(0.5);
+    expect(getImpactVelocity(20)).toBe(1);
+  });
+
+  it('should drop contacts below the noise gate but keep quiet hits audible', () => {
+    setVelocitySettings({ gate: 0.5, minImpact: 1 });
+    expect(getImpactVelocity(0.3)).toBe(0);
+    expect(getImpactVelocity(0.6)).toBeGreaterThan(0);
+  });
+
+  it('should shape the range with each curve', () => {
+    const speed = 2;  // A quarter of the way to full velocity
+    const shape = (curve) => getImpactVelocity(speed, normalizeVelocitySettings({ curve }));
+
+    expect(shape(VELOCITY_CURVES.LINEAR)).toBe(0.25);
+    expect(shape(VELOCITY_CURVES.EXPONENTIAL)).toBe(0.0625);
+    expect(shape(VELOCITY_CURVES.COMPRESSED)).toBe(0.5);
+    expect(shape(VELOCITY_CURVES.FIXED)).toBe(DEFAULT_VELOCITY_SETTINGS.fixedVelocity);
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => normalizeVelocitySettings({ curve: 'cubic' })).toThrow(/Unknown velocity curve/);
+    expect(() => normalizeVelocitySettings({ gate: -1 })).toThrow(/Noise gate/);
+    expect(() => normalizeVelocitySettings({ minImpact: 5, maxImpact: 2 })).toThrow(/Loudest impact speed/);
+    expect(() => normalizeVelocitySettings({ fixedVelocity: 0 })).toThrow(/Fixed velocity/);
+  });
+
+  it('should remember settings and announce changes', () => {
+    const listener = vi.fn();
+    window.addEventListener('velocity-change', listener);
+    setVelocitySettings({ curve: VELOCITY_CURVES.COMPRESSED });
+    window.removeEventListener('velocity-change', listener);
+
+    expect(getVelocitySettings().curve).toBe(VELOCITY_CURVES.COMPRESSED);
+    expect(JSON.parse(localStorage.getItem('velocitySettings')).curve).toBe(VELOCITY_CURVES.COMPRESSED);
+    expect(listener).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { VoicePool, VOICE_STEALING } from '../utils/voicePool.js';
+import {
+  initSynth,
+  playNote,
+  getAvailableInstruments,
+  setInstrumentType,
+  setVoiceSettings,
+  saveCustomInstrument,
+  deleteCustomInstrument,
+  INSTRUMENT_PREFABS
+} from '../utils/synthManager.js';
+
+const createVoice = () => ({
+  set: vi.fn(),
+  cancelRelease: vi.fn(),
+  triggerAttackRelease: vi.fn(),
+  dispose: vi.fn()
+});
+
+describe('Voice Pool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new VoicePool(createVoice, { maxVoices: 3 });
+  });
+
+  it('should give overlapping notes their own voices', () => {
+    const a = pool.triggerAttackRelease('C4', 0.5, 0, 0.8);
+    const b = pool.triggerAttackRelease('E4', 0.5, 0.1, 0.8);
+    const c = pool.triggerAttackRelease('G4', 0.5, 0.2, 0.8);
+
+    expect(new Set([a, b, c]).size).toBe(3);
+    expect(pool.getActiveCount(0.3)).toBe(3);
+    expect(b.triggerAttackRelease).toHaveBeenCalledWith('E4', 0.5, 0.1, 0.8);
+  });
+
+  it('should reuse voices once their notes have released', () => {
+    pool.set({ envelope: { release: 0.2 } });
+    const first = pool.triggerAttackRelease('C4', 0.5, 0, 1);
+
+    expect(pool.triggerAttackRelease('D4', 0.5, 0.6, 1)).not.toBe(first);
+    expect(pool.triggerAttackRelease('E4', 0.5, 0.7, 1)).toBe(first);
+    expect(pool.entries).toHaveLength(2);
+  });
+
+  it('should read Tone time releases and fall back to the voice\'s own', () => {
+    // The Tone mock reads any time string as an eighth note at 120 BPM
+    pool.set({ envelope: { release: '4n' } });
+    const first = pool.triggerAttackRelease('C4', 0.5, 0, 1);
+    expect(pool.entries[0].endTime).toBe(0.625);
+    expect(pool.triggerAttackRelease('D4', 0.5, 0.6, 1)).not.toBe(first);
+    expect(pool.triggerAttackRelease('E4', 0.5, 0.7, 1)).toBe(first);
+
+    // Settings without an envelope leave the synth's release as it was
+    const ringing = new VoicePool(() => ({ ...createVoice(), release: 1 }));
+    ringing.set({ volume: -6 });
+    const voice = ringing.triggerAttackRelease('C4', 0.5, 0, 1);
+    expect(ringing.entries[0].endTime).toBe(1.5);
+    expect(ringing.triggerAttackRelease('D4', 0.5, 1, 1)).not.toBe(voice);
+  });
+
+  it('should steal the oldest voice when full', () => {
+    const oldest = pool.triggerAttackRelease('C4', 1, 0, 0.2);
+    pool.triggerAttackRelease('E4', 1, 0.1, 0.9);
+    pool.triggerAttackRelease('G4', 1, 0.2, 0.1);
+
+    expect(pool.triggerAttackRelease('B4', 1, 0.3, 1)).toBe(oldest);
+    expect(pool.entries).toHaveLength(3);
+  });
+
+  it('should cancel a stolen voice\'s release before its next note', () => {
+    const oldest = pool.triggerAttackRelease('C4', 1, 0, 1);
+    pool.triggerAttackRelease('E4', 1, 0.1, 1);
+    pool.triggerAttackRelease('G4', 1, 0.2, 1);
+    expect(oldest.cancelRelease).not.toHaveBeenCalled();
+
+    pool.triggerAttackRelease('B4', 1, 0.3, 1);
+    expect(oldest.cancelRelease).toHaveBeenCalledWith(0.3);
+    expect(oldest.cancelRelease.mock.invocationCallOrder[0])
+      .toBeLessThan(oldest.triggerAttackRelease.mock.invocationCallOrder[1]);
+  });
+
+  it('should steal the quietest voice when asked to', () => {
+    pool.setStealing(VOICE_STEALING.QUIETEST);
+    pool.triggerAttackRelease('C4', 1, 0, 0.2);
+    pool.triggerAttackRelease('E4', 1, 0.1, 0.9);
+    const quietest = pool.triggerAttackRelease('G4', 1, 0.2, 0.1);
+
+    expect(pool.triggerAttackRelease('B4', 1, 0.3, 1)).toBe(quietest);
+  });
+
+  it('should apply settings to existing and new voices', () => {
+    const first = pool.triggerAttackRelease('C4', 1, 0, 1);
+    pool.set({ volume: -6 });
+    const second = pool.triggerAttackRelease('E4', 1, 0, 1);
+
+    expect(first.set).toHaveBeenCalledWith({ volume: -6 });
+    expect(second.set).toHaveBeenCalledWith({ volume: -6 });
+  });
+
+  it('should dispose voices above a lowered limit', () => {
+    const voices = ['C4', 'E4', 'G4'].map((note, i) => pool.triggerAttackRelease(note, 1, i * 0.1, 1));
+    pool.setMaxVoices(1);
+
+    expect(pool.entries).toHaveLength(1);
+    expect(voices[1].dispose).toHaveBeenCalled();
+    expect(voices[2].dispose).toHaveBeenCalled();
+  });
+
+  it('should reject invalid limits and policies', () => {
+    expect(() => pool.setMaxVoices(0)).toThrow(/positive integer/);
+    expect(() => pool.setStealing('loudest')).toThrow(/Unknown voice stealing/);
+  });
+});
+
+describe('Synth Manager polyphony', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should play simultaneous notes on separate voices', () => {
+    initSynth();
+    const first = playNote('C4', '16n', 1, 0.5);
+    const second = playNote('E4', '16n', 1, 0.9);
+
+    expect(first).not.toBe(second);
+    expect(first.source.triggerAttackRelease).toHaveBeenCalledWith('C4', 0.125, 1, 0.5);
+    expect(second.source.triggerAttackRelease).toHaveBeenCalledWith('E4', 0.125, 1, 0.9);
+  });
+
+  it('should apply instrument prefabs to every voice', () => {
+    initSynth();
+    const voices = [playNote('C4', '16n', 2), playNote('E4', '16n', 2)];
+
+    expect(setInstrumentType('kalimba')).toBe(true);
+    voices.forEach(voice => {
+      expect(voice.source.set).toHaveBeenLastCalledWith(expect.objectContaining({
+        oscillator: { type: INSTRUMENT_PREFABS.kalimba.oscillator.type },
+        volume: INSTRUMENT_PREFABS.kalimba.volume
+      }));
+    });
+  });
+
+  it('should give each wall instrument its own voices', () => {
+    initSynth();
+    const global = playNote('C4', '16n', 4);
+    const glock = playNote('C4', '16n', 4, 0.7, 'glockenspiel');
+
+    expect(glock).not.toBe(global);
+    expect(glock.source.set).toHaveBeenCalledWith(INSTRUMENT_PREFABS.glockenspiel);
+    expect(playNote('E4', '16n', 4, 0.7, 'unknown')).not.toBe(glock);
+  });
+
+  it('should apply a custom instrument once, not on every note', () => {
+    saveCustomInstrument('pad', {});
+    const parse = vi.spyOn(JSON, 'parse');
+    const voice = playNote('C4', '16n', 5, 0.7, 'pad');
+    playNote('E4', '16n', 5, 0.7, 'pad');
+    parse.mockRestore();
+
+    expect(getAvailableInstruments()).toContain('pad');
+    expect(parse).not.toHaveBeenCalled();
+    expect(voice.source.set).toHaveBeenCalledTimes(1);
+
+    // Saving again reaches the voices already playing it
+    saveCustomInstrument('pad', { volume: -6 });
+    expect(voice.source.set).toHaveBeenLastCalledWith(expect.objectContaining({ volume: -6 }));
+    deleteCustomInstrument('pad');
+  });
+
+  it('should honour and persist the voice limit', () => {
+    initSynth();
+    setVoiceSettings({ maxVoices: 1, stealing: VOICE_STEALING.QUIETEST });
+
+    expect(playNote('C4', '16n', 3)).toBe(playNote('E4', '16n', 3));
+    expect(JSON.parse(localStorage.getItem('voiceSettings')))
+      .toEqual({ maxVoices: 1, stealing: 'quietest' });
+    expect(() => setVoiceSettings({ maxVoices: -2 })).toThrow();
+  });
+
+  it('should ignore saved voice settings a pool would reject', async () => {
+    localStorage.setItem('voiceSettings', JSON.stringify({ maxVoices: 0, stealing: 'loudest' }));
+    vi.resetModules();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { getVoiceSettings } = await import('../utils/synthManager.js');
+
+    expect(getVoiceSettings()).toEqual({ maxVoices: 8, stealing: VOICE_STEALING.OLDEST });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Effects Chain
+ * Routes every instrument through its own bus into a shared master chain:
+ *
+ *   instrument bus ─┬─────────────────────────────┐
+ *                   ├─ reverb send ─> reverb ─────┤
+ *                   └─ delay send ──> delay ──────┴─> master ─> filter ─> chorus
+ *                                                       ─> compressor ─> limiter ─> speakers
+ *
+ * The compressor and limiter keep dense passages from clipping.
+ */
+import * as Tone from 'tone';
+
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass'];
+
+export const DEFAULT_EFFECTS = {
+  reverb: { decay: 2.5, preDelay: 0.01 },
+  delay: { delayTime: 0.25, feedback: 0.3 },          // seconds, 0-1
+  chorus: { enabled: false, frequency: 1.5, depth: 0.5, wet: 0.3 },
+  filter: { enabled: false, type: 'lowpass', frequency: 8000, Q: 1 },
+  compressor: { threshold: -18, ratio: 3, attack: 0.01, release: 0.2 },
+  limiter: { threshold: -1 },                         // dB
+  sends: {}                                           // Per instrument, see DEFAULT_SEND
+};
+
+// Send levels (0-1) for instruments without their own entry in `sends`
+export const DEFAULT_SEND = { reverb: 0.2, delay: 0 };
+
+let settings = normalizeEffectsSettings();
+let graph = null;
+// Mixer levels per instrument, applied to the page's buses only
+const levels = new Map();
+
+function readNumber(value, label, min = -Infinity, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Effect setting ${label} must be a number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function readSend(send = {}, label) {
+  return {
+    reverb: readNumber(send.reverb ?? DEFAULT_SEND.reverb, `${label}.reverb`, 0, 1),
+    delay: readNumber(send.delay ?? DEFAULT_SEND.delay, `${label}.delay`, 0, 1)
+  };
+}
+
+/**
+ * Check and complete effects settings, filling gaps from DEFAULT_EFFECTS
+ * @param {Object} effects - Partial settings
+ * @returns {Object} Full, valid settings
+ */
+export function normalizeEffectsSettings(effects = {}) {
+  const merged = {};
+  Object.keys(DEFAULT_EFFECTS).forEach(section => {
+    merged[section] = { ...DEFAULT_EFFECTS[section], ...effects[section] };
+  });
+
+  const { reverb, delay, chorus, filter, compressor, limiter } = merged;
+  if (!FILTER_TYPES.includes(filter.type)) {
+    throw new Error(`Unknown filter type: ${filter.type}`);
+  }
+
+  return {
+    reverb: {
+      decay: readNumber(reverb.decay, 'reverb.decay', 0.1, 20),
+      preDelay: readNumber(reverb.preDelay, 'reverb.preDelay', 0, 1)
+    },
+    delay: {
+      delayTime: readNumber(delay.delayTime, 'delay.delayTime', 0, 2),
+      feedback: readNumber(delay.feedback, 'delay.feedback', 0, 0.95)
+    },
+    chorus: {
+      enabled: Boolean(chorus.enabled),
+      frequency: readNumber(chorus.frequency, 'chorus.frequency', 0, 20),
+      depth: readNumber(chorus.depth, 'chorus.depth', 0, 1),
+      wet: readNumber(chorus.wet, 'chorus.wet', 0, 1)
+    },
+    filter: {
+      enabled: Boolean(filter.enabled),
+      type: filter.type,
+      frequency: readNumber(filter.frequency, 'filter.frequency', 20, 20000),
+      Q: readNumber(filter.Q, 'filter.Q', 0, 20)
+    },
+    compressor: {
+      threshold: readNumber(compressor.threshold, 'compressor.threshold', -60, 0),
+      ratio: readNumber(compressor.ratio, 'compressor.ratio', 1, 20),
+      attack: readNumber(compressor.attack, 'compressor.attack', 0, 1),
+      release: readNumber(compressor.release, 'compressor.release', 0, 1)
+    },
+    limiter: {
+      threshold: readNumber(limiter.threshold, 'limiter.threshold', -60, 0)
+    },
+    sends: Object.fromEntries(
+      Object.entries(merged.sends).map(([instrument, send]) => [instrument, readSend(send, `sends.${instrument}`)])
+    )
+  };
+}
+
+/**
+ * Build an effects chain in the current Tone context. The page shares one
+ * (see getInstrumentOutput); offline renders build their own.
+ * @param {Object} effects - Settings to apply (defaults to the current ones)
+ * @returns {Object} The chain's nodes
+ */
+export function createEffectsChain(effects = settings) {
+  const limiter = new Tone.Limiter().toDestination();
+  const compressor = new Tone.Compressor().connect(limiter);
+  const chorus = new Tone.Chorus().connect(compressor).start();
+  const filter = new Tone.Filter().connect(chorus);
+  const master = new Tone.Gain();
+  const reverb = new Tone.Reverb().connect(master);
+  const delay = new Tone.FeedbackDelay().connect(master);
+
+  const chain = { master, filter, chorus, compressor, limiter, reverb, delay, buses: new Map() };
+  applySettings(chain, normalizeEffectsSettings(effects));
+  return chain;
+}
+
+// Build the shared chain on first use, so nothing touches audio before it's needed
+function getGraph() {
+  if (!graph) {
+    graph = createEffectsChain();
+  }
+  return graph;
+}
+
+function applySettings(chain, effects) {
+  const { master, filter, chorus, compressor, limiter, reverb, delay, buses } = chain;
+  chain.settings = effects;
+
+  reverb.set(effects.reverb);
+  delay.set(effects.delay);
+  compressor.set(effects.compressor);
+  limiter.set(effects.limiter);
+  chorus.set({
+    frequency: effects.chorus.frequency,
+    depth: effects.chorus.depth,
+    wet: effects.chorus.enabled ? effects.chorus.wet : 0
+  });
+  filter.set({ type: effects.filter.type, frequency: effects.filter.frequency, Q: effects.filter.Q });
+
+  // A disabled filter is skipped entirely rather than left wide open
+  master.disconnect();
+  master.connect(effects.filter.enabled ? filter : chorus);
+
+  buses.forEach((bus, instrument) => applySend(chain, bus, instrument));
+}
+
+function applySend(chain, bus, instrument) {
+  const send = chain.settings.sends[instrument] ?? DEFAULT_SEND;
+  bus.reverbSend.set({ gain: send.reverb });
+  bus.delaySend.set({ gain: send.delay });
+}
+
+/**
+ * Get the node an instrument should connect to, creating its bus if needed
+ * @param {string} instrument - Instrument name
+ * @param {Object} chain - Chain from createEffectsChain (defaults to the page's)
+ * @returns {Object} The bus input (a Tone.Gain)
+ */
+export function getInstrumentOutput(instrument, chain = getGraph()) {
+  const { master, reverb, delay, buses } = chain;
+
+  if (!buses.has(instrument)) {
+    const input = new Tone.Gain().connect(master);
+    const reverbSend = new Tone.Gain(0).connect(reverb);
+    const delaySend = new Tone.Gain(0).connect(delay);
+    input.connect(reverbSend);
+    input.connect(delaySend);
+
+    const bus = { input, reverbSend, delaySend };
+    buses.set(instrument, bus);
+    applySend(chain, bus, instrument);
+    if (chain === graph && levels.has(instrument)) {
+      input.set({ gain: levels.get(instrument) });
+    }
+  }
+
+  return buses.get(instrument).input;
+}
+
+/**
+ * Get the input of the master chain, for sounds that skip the sends
+ * @returns {Object} The master bus (a Tone.Gain)
+ */
+export function getMasterInput() {
+  return getGraph().master;
+}
+
+/**
+ * Get an instrument's send levels
+ * @param {string} instrument - Instrument name
+ * @returns {Object} { reverb, delay } levels from 0 to 1
+ */
+export function getSend(instrument) {
+  return { ...(settings.sends[instrument] ?? DEFAULT_SEND) };
+}
+
+/**
+ * Change an instrument's send levels
+ * @param {string} instrument - Instrument name
+ * @param {Object} send - Partial { reverb, delay } levels
+ * @returns {Object} The new effects settings
+ */
+export function setSend(instrument, send) {
+  return updateEffects({
+    sends: { ...settings.sends, [instrument]: { ...getSend(instrument), ...send } }
+  });
+}
+
+export function getEffectsSettings() {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+/**
+ * Replace all effects settings (e.g. when loading a scene) and announce
+ * the change with an 'effects-change' event
+ * @param {Object} effects - Settings; missing values use DEFAULT_EFFECTS
+ * @returns {Object} The new settings
+ */
+export function setEffectsSettings(effects) {
+  settings = normalizeEffectsSettings(effects);
+  if (graph) {
+    applySettings(graph, settings);
+  }
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('effects-change', {
+      detail: { effects: getEffectsSettings() }
+    }));
+  }
+
+  return getEffectsSettings();
+}
+
+/**
+ * Change some effects settings, keeping the rest
+ * @param {Object} changes - Settings by section, e.g. { reverb: { decay: 4 } }
+ * @returns {Object} The new settings
+ */
+export function updateEffects(changes) {
+  const next = { ...settings };
+  Object.entries(changes).forEach(([section, values]) => {
+    next[section] = section === 'sends' ? values : { ...settings[section], ...values };
+  });
+  return setEffectsSettings(next);
+}
+
+/**
+ * Set the gain of an instrument's bus on the page's chain (see utils/mixer.js)
+ * @param {string} instrument - Instrument name
+ * @param {number} level - Gain from 0 (silent) to 1 (full)
+ */
+export function setInstrumentLevel(instrument, level) {
+  levels.set(instrument, readNumber(level, `${instrument} level`, 0, 1));
+  graph?.buses.get(instrument)?.input.set({ gain: levels.get(instrument) });
+}
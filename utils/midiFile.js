@@ -0,0 +1,133 @@
+/**
+ * MIDI File
+ * Writes Standard MIDI Files (format 1): a tempo track, then one track of
+ * notes per part, so DAWs open every part on its own track
+ */
+
+// Ticks per quarter note
+export const DEFAULT_PPQ = 480;
+
+// General MIDI percussion channel (channel 10, counted from 0)
+export const DRUM_CHANNEL = 9;
+
+// Channels for pitched parts, in the order to hand them out
+export const MELODIC_CHANNELS = Array.from({ length: 16 }, (_, channel) => channel)
+  .filter(channel => channel !== DRUM_CHANNEL);
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer below 2^28
+ * @returns {number[]} Bytes, seven bits each, high bit set on all but the last
+ */
+export function encodeVariableLength(value) {
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Convert seconds to ticks at a fixed tempo
+ * @param {number} seconds - Time in seconds
+ * @param {number} bpm - Tempo in quarter notes per minute
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {number} Whole ticks
+ */
+export function secondsToTicks(seconds, bpm, ppq = DEFAULT_PPQ) {
+  return Math.round(seconds * bpm / 60 * ppq);
+}
+
+function textBytes(text) {
+  return [...new TextEncoder().encode(text)];
+}
+
+function chunk(type, data) {
+  const length = data.length;
+  return [
+    ...textBytes(type),
+    (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+    ...data
+  ];
+}
+
+// Turn [{ tick, data }] events into a track chunk with delta times
+function encodeTrack(events) {
+  const data = [];
+  let lastTick = 0;
+  events.forEach(({ tick, data: eventData }) => {
+    data.push(...encodeVariableLength(tick - lastTick), ...eventData);
+    lastTick = tick;
+  });
+  data.push(0x00, 0xff, 0x2f, 0x00); // End of track
+  return chunk('MTrk', data);
+}
+
+function tempoTrack(bpm, [beats, beatUnit]) {
+  const microseconds = Math.round(60000000 / bpm);
+  return encodeTrack([
+    { tick: 0, data: [0xff, 0x51, 0x03, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff] },
+    // Beats over the beat unit as a power of two, a click every beat
+    // (96 MIDI clocks per whole note), 8 32nds per quarter
+    { tick: 0, data: [0xff, 0x58, 0x04, beats, Math.log2(beatUnit), 96 / beatUnit, 0x08] }
+  ]);
+}
+
+function noteTrack({ name, channel = 0, program = null, notes }, bpm, ppq) {
+  const nameBytes = textBytes(name ?? '');
+  const events = [{ tick: 0, order: 0, data: [0xff, 0x03, ...encodeVariableLength(nameBytes.length), ...nameBytes] }];
+  if (program !== null) {
+    events.push({ tick: 0, order: 0, data: [0xc0 | channel, program] });
+  }
+
+  notes.forEach(({ time, duration, midi, velocity }) => {
+    const start = secondsToTicks(time, bpm, ppq);
+    const end = Math.max(start + 1, secondsToTicks(time + duration, bpm, ppq));
+    events.push({ tick: start, order: 2, data: [0x90 | channel, midi, velocity] });
+    events.push({ tick: end, order: 1, data: [0x80 | channel, midi, 0] });
+  });
+
+  // Note-offs go before note-ons at the same tick, so repeated notes retrigger
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+  return encodeTrack(events);
+}
+
+/**
+ * Write a Standard MIDI File
+ * @param {Object} song - { bpm, ppq, timeSignature, tracks }; the time
+ *   signature is [beats, beatUnit] (4/4 unless given), and each track is
+ *   { name, channel (0-15), program (optional), notes }, and each note is
+ *   { time, duration } in seconds with a midi number and velocity (1-127)
+ * @returns {Uint8Array} The file
+ */
+export function encodeMidiFile({ bpm, ppq = DEFAULT_PPQ, timeSignature = [4, 4], tracks }) {
+  if (!Number.isFinite(bpm) || bpm <= 0) {
+    throw new Error('MIDI tempo must be a positive number');
+  }
+
+  tracks.forEach(({ channel = 0, notes }) => {
+    if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+      throw new Error(`Invalid MIDI channel: ${channel}`);
+    }
+    notes.forEach(({ midi, velocity }) => {
+      if (!Number.isInteger(midi) || midi < 0 || midi > 127 || !Number.isInteger(velocity) || velocity < 1 || velocity > 127) {
+        throw new Error(`Invalid MIDI note ${midi} at velocity ${velocity}`);
+      }
+    });
+  });
+
+  const header = chunk('MThd', [
+    0x00, 0x01,                                    // Format 1
+    ((tracks.length + 1) >> 8) & 0xff,             // Tempo track plus note tracks
+    (tracks.length + 1) & 0xff,
+    (ppq >> 8) & 0xff, ppq & 0xff
+  ]);
+
+  return new Uint8Array([
+    ...header,
+    ...tempoTrack(bpm, timeSignature),
+    ...tracks.flatMap(track => noteTrack(track, bpm, ppq))
+  ]);
+}
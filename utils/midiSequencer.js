@@ -5,57 +5,31 @@
 import * as Tone from 'tone';
 // Import the playNoteForLength function from synthManager
 import { playNoteForLength as playSynthNote } from './synthManager';
-
-// C major scale notes for two octaves (C4 to C6)
-const MAJOR_SCALE_FREQUENCIES = {
-  // First octave (C4 - B4)
-  'C4': 261.63,
-  'D4': 293.66,
-  'E4': 329.63,
-  'F4': 349.23,
-  'G4': 392.00,
-  'A4': 440.00,
-  'B4': 493.88,
-  
-  // Second octave (C5 - B5)
-  'C5': 523.25,
-  'D5': 587.33,
-  'E5': 659.26,
-  'F5': 698.46,
-  'G5': 783.99,
-  'A5': 880.00,
-  'B5': 987.77,
-  
-  // C6 for completion
-  'C6': 1046.50
-};
+import {
+  mapLengthToScaleNote,
+  noteToFrequency,
+  getScaleNotes,
+  getDegreeForLength,
+  getLengthForDegree
+} from './scaleEngine';
 
 // Array for easier access - C major scale (C, D, E, F, G, A, B)
-// Export this so it can be used by the KeyboardNotePicker component
+// Export this so it can be used by the KeyboardNotePicker component.
+// Length mapping follows the global key from scaleEngine instead.
 export const MAJOR_SCALE_NOTES = [
   'C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4',
   'C5', 'D5', 'E5', 'F5', 'G5', 'A5', 'B5', 'C6'
 ];
 
 /**
- * Maps a wall length to a note in the C major scale
+ * Maps a wall length to a note in the current key (C major by default)
  * @param {number} length - The length of the wall
  * @param {number} minLength - Minimum wall length that maps to the lowest note
  * @param {number} maxLength - Maximum wall length that maps to the highest note
  * @returns {string} The note name (e.g., 'C4', 'D4', etc.)
  */
 export function mapLengthToNote(length, minLength = 0.2, maxLength = 3.0) {
-  // Clamp length to min/max range
-  const clampedLength = Math.max(minLength, Math.min(length, maxLength));
-  
-  // Calculate normalized position in the range [0, 1]
-  const normalizedPos = (clampedLength - minLength) / (maxLength - minLength);
-  
-  // Map to an index in the scale
-  const noteIndex = Math.floor(normalizedPos * MAJOR_SCALE_NOTES.length);
-  
-  // Return the corresponding note
-  return MAJOR_SCALE_NOTES[Math.min(noteIndex, MAJOR_SCALE_NOTES.length - 1)];
+  return mapLengthToScaleNote(length, minLength, maxLength);
 }
 
 /**
@@ -67,7 +41,7 @@ export function mapLengthToNote(length, minLength = 0.2, maxLength = 3.0) {
  */
 export function mapLengthToFrequency(length, minLength = 0.2, maxLength = 3.0) {
   const note = mapLengthToNote(length, minLength, maxLength);
-  return MAJOR_SCALE_FREQUENCIES[note];
+  return noteToFrequency(note);
 }
 
 /**
@@ -155,11 +129,12 @@ export function playNoteForLength(audioContext, length, duration = 0.5, volume =
  * @returns {number} The color as a hexadecimal number
  */
 export function getNoteColor(note) {
-  // Simple color map based on note position in the scale
-  const noteIndex = MAJOR_SCALE_NOTES.indexOf(note);
+  // Simple color map based on note position in the current scale
+  const scaleNotes = getScaleNotes();
+  const noteIndex = scaleNotes.indexOf(note);
   
   // Create a hue value based on the note position (rainbow effect)
-  const hue = (noteIndex / MAJOR_SCALE_NOTES.length) * 360;
+  const hue = (noteIndex / scaleNotes.length) * 360;
   
   // Convert HSL to RGB (simple conversion for demonstration)
   const h = hue / 60;
@@ -188,29 +163,91 @@ export function getNoteColor(note) {
 }
 
 /**
- * Structure for future quantization settings
- * This allows for modular implementation of quantization later
+ * Timing quantization settings
+ * `value` is the number of grid steps per whole note and `subdivision` the
+ * matching Tone.js notation. Timing never changes wall lengths or note
+ * durations; those have their own LengthQuantizationSettings.
  */
 export const QuantizationSettings = {
-  NONE: { id: 'none', name: 'None', value: 0 },
-  EIGHTH: { id: 'eighth', name: 'Eighth Notes', value: 8 },
-  QUARTER: { id: 'quarter', name: 'Quarter Notes', value: 4 },
-  HALF: { id: 'half', name: 'Half Notes', value: 2 },
-  WHOLE: { id: 'whole', name: 'Whole Notes', value: 1 }
+  NONE: { id: 'none', name: 'None', value: 0, subdivision: null },
+  WHOLE: { id: 'whole', name: 'Whole Notes', value: 1, subdivision: '1n' },
+  HALF: { id: 'half', name: 'Half Notes', value: 2, subdivision: '2n' },
+  QUARTER: { id: 'quarter', name: 'Quarter Notes', value: 4, subdivision: '4n' },
+  QUARTER_TRIPLET: { id: 'quarterTriplet', name: 'Quarter Triplets', value: 6, subdivision: '4t' },
+  EIGHTH: { id: 'eighth', name: 'Eighth Notes', value: 8, subdivision: '8n' },
+  EIGHTH_TRIPLET: { id: 'eighthTriplet', name: 'Eighth Triplets', value: 12, subdivision: '8t' },
+  SIXTEENTH: { id: 'sixteenth', name: 'Sixteenth Notes', value: 16, subdivision: '16n' },
+  SIXTEENTH_TRIPLET: { id: 'sixteenthTriplet', name: 'Sixteenth Triplets', value: 24, subdivision: '16t' }
+};
+
+/**
+ * Length quantization settings, chosen separately from timing and off by default.
+ * SCALE snaps wall lengths to their scale degree (see quantizeLength).
+ */
+export const LengthQuantizationSettings = {
+  OFF: { id: 'off', name: 'Off' },
+  SCALE: { id: 'scale', name: 'Scale Degrees' }
 };
 
 /**
- * Placeholder for future quantization function
+ * Look up quantization settings by id
+ * @param {string} id - Settings id, e.g. 'eighthTriplet'
+ * @returns {Object} The settings, or NONE for unknown ids
+ */
+export function getQuantizationSettings(id) {
+  return Object.values(QuantizationSettings).find(settings => settings.id === id)
+    ?? QuantizationSettings.NONE;
+}
+
+/**
+ * Snap a wall length to the middle of its scale degree, so small edits
+ * never leave a wall sitting on the boundary between two notes
  * @param {number} length - The raw length value
- * @param {Object} quantSettings - The quantization settings
+ * @param {Object} lengthSettings - The length quantization settings
+ * @param {number} minLength - Minimum wall length that maps to the lowest note
+ * @param {number} maxLength - Maximum wall length that maps to the highest note
  * @returns {number} The quantized length
  */
-export function quantizeLength(length, quantSettings = QuantizationSettings.NONE) {
-  if (quantSettings.id === 'none') {
+export function quantizeLength(length, lengthSettings = LengthQuantizationSettings.OFF, minLength = 0.2, maxLength = 3.0) {
+  if (lengthSettings.id !== LengthQuantizationSettings.SCALE.id) {
     return length; // No quantization
   }
   
-  // This is where custom quantization logic will go in the future
-  // For now, we're just returning the original length
-  return length;
-} 
\ No newline at end of file
+  // Lengths outside the mapped range already play the lowest or highest note
+  if (length < minLength || length > maxLength) {
+    return length;
+  }
+  
+  const noteCount = getScaleNotes().length;
+  const degree = getDegreeForLength(length, noteCount, minLength, maxLength);
+  return getLengthForDegree(degree, noteCount, minLength, maxLength);
+}
+
+/**
+ * Duration of one grid step
+ * @param {Object} quantSettings - The quantization settings
+ * @param {number} bpm - Tempo in beats (quarter notes) per minute
+ * @returns {number} The grid step in seconds, or 0 for NONE
+ */
+export function getGridDuration(quantSettings, bpm) {
+  // NONE has no rhythmic grid
+  if (!quantSettings.value) return 0;
+  return (60 / bpm) * 4 / quantSettings.value;
+}
+
+/**
+ * Move a time towards the next grid line. Notes can't be played early, so
+ * times are only ever pushed later.
+ * @param {number} time - Time in seconds (e.g. the transport position)
+ * @param {number} gridDuration - Grid step in seconds
+ * @param {number} strength - How far to move, from 0 (not at all) to 1 (onto the grid)
+ * @returns {number} The quantized time
+ */
+export function quantizeTime(time, gridDuration, strength = 1) {
+  if (gridDuration <= 0) return time;
+  
+  // Tolerate float error for times that are already on the grid
+  const nextLine = Math.ceil(time / gridDuration - 1e-9) * gridDuration;
+  const amount = Math.max(0, Math.min(1, strength));
+  return time + Math.max(0, nextLine - time) * amount;
+}
@@ -0,0 +1,159 @@
+/**
+ * Mixer
+ * Master volume, metering and mute for everything the page plays through
+ * Tone, plus channel strips (volume, mute, solo) for each instrument and
+ * each dispenser.
+ *
+ * Instrument strips set the gain of the instrument's effects bus. Dispenser
+ * strips scale the velocity of notes from that dispenser's balls, since
+ * every dispenser shares the instruments.
+ */
+import * as Tone from 'tone';
+import { setInstrumentLevel } from './effectsChain';
+
+export const STRIP_TYPES = {
+  INSTRUMENT: 'instrument',
+  DISPENSER: 'dispenser'
+};
+
+export const DEFAULT_STRIP = { volume: 1, mute: false, solo: false };
+
+const mixer = {
+  volume: 1,
+  muted: false,
+  strips: {
+    [STRIP_TYPES.INSTRUMENT]: new Map(),
+    [STRIP_TYPES.DISPENSER]: new Map()
+  }
+};
+
+let meter = null;
+
+function checkVolume(volume, label) {
+  if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+    throw new Error(`${label} volume must be a number from 0 to 1`);
+  }
+  return volume;
+}
+
+function getStrips(type) {
+  const strips = mixer.strips[type];
+  if (!strips) {
+    throw new Error(`Unknown mixer strip type: ${type}`);
+  }
+  return strips;
+}
+
+function notifyMixerChange() {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('mixer-change', {
+      detail: { muted: mixer.muted, volume: mixer.volume }
+    }));
+  }
+}
+
+// Push instrument levels to their buses, since a solo affects them all
+function applyInstrumentLevels(instruments = getStrips(STRIP_TYPES.INSTRUMENT).keys()) {
+  [...instruments].forEach(instrument => {
+    setInstrumentLevel(instrument, getStripLevel(STRIP_TYPES.INSTRUMENT, instrument));
+  });
+}
+
+/**
+ * Get a channel strip
+ * @param {string} type - See STRIP_TYPES
+ * @param {string} id - Instrument name or dispenser id
+ * @returns {Object} { volume, mute, solo }
+ */
+export function getStrip(type, id) {
+  return { ...(getStrips(type).get(id) ?? DEFAULT_STRIP) };
+}
+
+/**
+ * Change a channel strip
+ * @param {string} type - See STRIP_TYPES
+ * @param {string} id - Instrument name or dispenser id
+ * @param {Object} changes - Partial { volume, mute, solo }
+ * @returns {Object} The new strip
+ */
+export function setStrip(type, id, changes) {
+  const strip = { ...getStrip(type, id), ...changes };
+  checkVolume(strip.volume, 'Strip');
+  strip.mute = Boolean(strip.mute);
+  strip.solo = Boolean(strip.solo);
+
+  getStrips(type).set(id, strip);
+  if (type === STRIP_TYPES.INSTRUMENT) {
+    applyInstrumentLevels();
+  }
+  notifyMixerChange();
+  return getStrip(type, id);
+}
+
+/**
+ * How loud a strip plays, after its mute and any solos of its type
+ * @param {string} type - See STRIP_TYPES
+ * @param {string} id - Instrument name or dispenser id
+ * @returns {number} Gain from 0 to 1
+ */
+export function getStripLevel(type, id) {
+  const strips = getStrips(type);
+  const strip = strips.get(id) ?? DEFAULT_STRIP;
+  const soloing = [...strips.values()].some(other => other.solo);
+
+  if (strip.mute || (soloing && !strip.solo)) {
+    return 0;
+  }
+  return strip.volume;
+}
+
+/**
+ * Set the level of everything the page plays
+ * @param {number} volume - Gain from 0 (silent) to 1 (full)
+ * @returns {number} The new volume
+ */
+export function setMasterVolume(volume) {
+  mixer.volume = checkVolume(volume, 'Master');
+  Tone.Destination.volume.value = Tone.gainToDb(mixer.volume);
+  notifyMixerChange();
+  return mixer.volume;
+}
+
+export function getMasterVolume() {
+  return mixer.volume;
+}
+
+/**
+ * Silence or restore everything that plays through Tone
+ * @param {boolean} muted - Whether to mute
+ */
+export function setMuted(muted) {
+  mixer.muted = Boolean(muted);
+  Tone.Destination.mute = mixer.muted;
+  notifyMixerChange();
+}
+
+export function isMuted() {
+  return mixer.muted;
+}
+
+/**
+ * Read the master output level
+ * @returns {number} Level in decibels (-Infinity when silent)
+ */
+export function getMasterLevel() {
+  // Metered after the master volume, so the meter shows what is heard
+  if (!meter) {
+    meter = new Tone.Meter({ smoothing: 0.8 });
+    Tone.Destination.chain(meter);
+  }
+  return meter.getValue();
+}
+
+// Forget every strip, when the scene is cleared or a different one is loaded
+export function resetStrips() {
+  const instruments = [...getStrips(STRIP_TYPES.INSTRUMENT).keys()];
+  Object.values(mixer.strips).forEach(strips => strips.clear());
+  applyInstrumentLevels(instruments);
+  notifyMixerChange();
+}
@@ -0,0 +1,219 @@
+/**
+ * Sample Instruments
+ * Loads multi-sampled instruments into Tone.Sampler, either from files
+ * shipped in public/samples or from audio files dropped onto the page.
+ *
+ * Shipped instruments are listed in public/samples/manifest.json:
+ *   {
+ *     "instruments": {
+ *       "piano": {
+ *         "baseUrl": "/samples/piano/",
+ *         "urls": { "C4": "C4.mp3", "G4": "G4.mp3" },
+ *         "fallback": "epiano",
+ *         "release": 1
+ *       }
+ *     }
+ *   }
+ * Without a manifest no sample instruments are shipped.
+ * The sampler repitches the nearest sample, so a few notes cover the whole scale.
+ */
+import * as Tone from 'tone';
+import { NOTE_NAMES } from './scaleEngine';
+import { getInstrumentOutput } from './effectsChain';
+import { SpatialVoice } from './spatialAudio';
+
+export const SAMPLE_STATUS = {
+  LOADING: 'loading',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+export const DEFAULT_MANIFEST_URL = '/samples/manifest.json';
+
+// Oscillator prefab played while samples load or if they fail
+const DEFAULT_FALLBACK = 'marimba';
+
+const FLATS = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
+
+// Registered instruments by name: { sampler, voice, status, fallback, loaded, samples, objectUrls }
+const sampleInstruments = new Map();
+
+// Whether a name belongs to another kind of instrument (see setInstrumentNameCheck)
+let isOtherInstrument = () => false;
+
+/**
+ * Tell dropped samples which names other instruments already use; the synth
+ * manager sets this so this module doesn't have to import it
+ * @param {Function} check - Called with a name, returns true if it is taken
+ */
+export function setInstrumentNameCheck(check) {
+  isOtherInstrument = check;
+}
+
+/**
+ * Register a sampler instrument and start loading its samples
+ * @param {string} name - Instrument name, used like a prefab name in playNote
+ * @param {Object} definition - { urls, baseUrl, fallback, release }
+ * @returns {Object} The instrument entry; `loaded` resolves to true once ready, false on failure
+ */
+export function registerSampleInstrument(name, definition) {
+  const { urls, baseUrl = '', fallback = DEFAULT_FALLBACK, release = 1 } = definition;
+  if (!urls || Object.keys(urls).length === 0) {
+    throw new Error(`Sample instrument ${name} has no samples`);
+  }
+
+  unregisterSampleInstrument(name);
+
+  // `samples` lets offline renders load their own copy of the sampler
+  const entry = { status: SAMPLE_STATUS.LOADING, fallback, sampler: null, voice: null, samples: { urls, baseUrl, release } };
+  entry.loaded = new Promise((resolve) => {
+    try {
+      entry.sampler = new Tone.Sampler({
+        urls,
+        baseUrl,
+        release,
+        onload: () => {
+          entry.status = SAMPLE_STATUS.READY;
+          resolve(true);
+        },
+        onerror: (error) => {
+          console.warn(`Samples for ${name} failed to load, using ${fallback} instead:`, error);
+          entry.status = SAMPLE_STATUS.FAILED;
+          resolve(false);
+        }
+      });
+      entry.voice = new SpatialVoice(entry.sampler).connect(getInstrumentOutput(name));
+    } catch (error) {
+      console.warn(`Could not create sampler for ${name}, using ${fallback} instead:`, error);
+      entry.status = SAMPLE_STATUS.FAILED;
+      resolve(false);
+    }
+  });
+
+  sampleInstruments.set(name, entry);
+  return entry;
+}
+
+export function unregisterSampleInstrument(name) {
+  const entry = sampleInstruments.get(name);
+  if (entry) {
+    entry.voice?.dispose();
+    // Dropped files stay in memory until their URLs are revoked
+    entry.objectUrls?.forEach(url => URL.revokeObjectURL(url));
+    sampleInstruments.delete(name);
+  }
+}
+
+/**
+ * Get a registered sample instrument
+ * @param {string} name - Instrument name
+ * @returns {Object|undefined} The entry ({ sampler, voice, status, fallback, loaded, samples })
+ */
+export function getSampleInstrument(name) {
+  return sampleInstruments.get(name);
+}
+
+export function isSampleInstrument(name) {
+  return sampleInstruments.has(name);
+}
+
+export function getSampleInstrumentNames() {
+  return [...sampleInstruments.keys()];
+}
+
+/**
+ * Register every instrument listed in a sample manifest
+ * @param {string} url - Manifest location
+ * @param {Function} fetchFn - fetch implementation (for tests)
+ * @returns {Promise<string[]>} Names of the registered instruments
+ */
+export async function loadSampleManifest(url = DEFAULT_MANIFEST_URL, fetchFn = fetch) {
+  let manifest;
+  try {
+    const response = await fetchFn(url);
+    // No manifest just means no samples were shipped; the dev server answers
+    // missing files with the page itself, so anything but JSON counts too
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) return [];
+    manifest = await response.json();
+  } catch (error) {
+    console.warn("Could not read sample manifest:", error);
+    return [];
+  }
+
+  const names = [];
+  Object.entries(manifest?.instruments ?? {}).forEach(([name, definition]) => {
+    try {
+      if (isOtherInstrument(name)) {
+        throw new Error(`${name} is already a built-in or custom instrument`);
+      }
+      registerSampleInstrument(name, definition);
+      names.push(name);
+    } catch (error) {
+      console.warn(`Skipping sample instrument ${name}:`, error);
+    }
+  });
+  return names;
+}
+
+/**
+ * Read the note a sample file is named after, e.g. 'piano-C#4.wav' or 'Bb2.mp3'
+ * @param {string} fileName - File name
+ * @returns {string|null} Note name using sharps, or null if there isn't one
+ */
+export function parseNoteFromFileName(fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  const match = /(?:^|[^A-Za-z])([A-G])([#b]|s)?(-?\d)$/.exec(baseName);
+  if (!match) return null;
+
+  const [, letter, accidental = '', octave] = match;
+  let pitch = letter + (accidental === 's' ? '#' : accidental);
+  if (FLATS[pitch]) pitch = FLATS[pitch];
+  if (!NOTE_NAMES.includes(pitch)) return null;
+
+  return `${pitch}${octave}`;
+}
+
+/**
+ * Name an instrument after a sample file, e.g. 'piano' for 'piano-C4.wav'
+ * @param {string} fileName - File name
+ * @returns {string} The instrument name
+ */
+export function getInstrumentNameFromFile(fileName) {
+  const name = fileName
+    .replace(/\.[^.]+$/, '')
+    .replace(/[-_ ]*[A-G]([#b]|s)?-?\d$/, '');
+  return name || 'samples';
+}
+
+/**
+ * Build a sample instrument from local audio files
+ * @param {string} name - Instrument name
+ * @param {File[]} files - Audio files named after their notes
+ * @param {Object} options - { fallback, release }
+ * @returns {Object} The instrument entry; replaces a sample instrument of the same name
+ */
+export function registerDroppedSamples(name, files, options = {}) {
+  if (isOtherInstrument(name)) {
+    throw new Error(`${name} is already a built-in or custom instrument`);
+  }
+
+  const notes = new Map();
+  files.forEach(file => {
+    const note = parseNoteFromFileName(file.name);
+    if (note) {
+      notes.set(note, file);
+    }
+  });
+
+  if (notes.size === 0) {
+    throw new Error('None of the dropped files are named after a note (e.g. C4.wav)');
+  }
+
+  const urls = {};
+  notes.forEach((file, note) => {
+    urls[note] = URL.createObjectURL(file);
+  });
+  const entry = registerSampleInstrument(name, { ...options, urls });
+  entry.objectUrls = Object.values(urls);
+  return entry;
+}
@@ -0,0 +1,195 @@
+/**
+ * Scale Engine
+ * Builds note lists for a musical key and maps wall lengths onto them.
+ * Keys in 12-TET give note names; keys with a tuning (see utils/tuning.js)
+ * give frequencies in Hz, which every player accepts in place of a name.
+ */
+import { normalizeTuning, getTuningFrequencies } from './tuning';
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitone offsets from the root for each supported mode
+export const SCALE_MODES = {
+  major: { name: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { name: 'Minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  pentatonic: { name: 'Pentatonic', intervals: [0, 2, 4, 7, 9] },
+  blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] },
+  wholeTone: { name: 'Whole Tone', intervals: [0, 2, 4, 6, 8, 10] },
+  chromatic: { name: 'Chromatic', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+};
+
+// C major from C4 to C6, matching the original hard-coded scale
+export const DEFAULT_KEY = { root: 'C', mode: 'major', octave: 4, octaves: 2 };
+
+// Wall lengths mapped onto the scale
+export const MIN_WALL_LENGTH = 0.2;
+export const MAX_WALL_LENGTH = 3.0;
+
+let currentKey = { ...DEFAULT_KEY };
+let currentNotes = buildScale(currentKey);
+
+/**
+ * Check and complete a key description
+ * @param {Object} key - Partial key ({ root, mode, octave, octaves, tuning });
+ *   a null tuning means 12-TET
+ * @returns {Object} A full, valid key
+ */
+export function normalizeKey(key = {}) {
+  const normalized = { ...DEFAULT_KEY, ...key };
+
+  // 12-TET keys leave the tuning out, so they match keys saved before tunings
+  if (normalized.tuning) {
+    normalized.tuning = normalizeTuning(normalized.tuning);
+  } else {
+    delete normalized.tuning;
+  }
+
+  if (!NOTE_NAMES.includes(normalized.root)) {
+    throw new Error(`Unknown root note: ${normalized.root}`);
+  }
+  if (!SCALE_MODES[normalized.mode]) {
+    throw new Error(`Unknown scale mode: ${normalized.mode}`);
+  }
+  if (!Number.isInteger(normalized.octave) || normalized.octave < 0 || normalized.octave > 8) {
+    throw new Error(`Octave must be an integer from 0 to 8`);
+  }
+  if (!Number.isInteger(normalized.octaves) || normalized.octaves < 1 || normalized.octaves > 4) {
+    throw new Error(`Octave range must be an integer from 1 to 4`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the notes of a key, lowest first, ending on the root above the range
+ * @param {Object} key - Key description ({ root, mode, octave, octaves, tuning })
+ * @returns {Array<string|number>} Note names such as 'C4', 'D#4'; with a
+ *   tuning, frequencies from the tuning's own degrees instead of the mode
+ */
+export function buildScale(key) {
+  const { root, mode, octave, octaves, tuning } = normalizeKey(key);
+  const rootMidi = noteToMidi(`${root}${octave}`);
+  if (tuning) {
+    return getTuningFrequencies(tuning, rootMidi, octaves);
+  }
+  const { intervals } = SCALE_MODES[mode];
+
+  const notes = [];
+  for (let i = 0; i < octaves; i++) {
+    intervals.forEach(interval => {
+      notes.push(midiToNote(rootMidi + i * 12 + interval));
+    });
+  }
+  notes.push(midiToNote(rootMidi + octaves * 12));
+
+  return notes;
+}
+
+/**
+ * Convert a note name to a MIDI note number
+ * @param {string|number} note - Note name, e.g. 'C4' or 'F#3', or a frequency in Hz
+ * @returns {number} MIDI note number (C4 = 60); frequencies round to the nearest key
+ */
+export function noteToMidi(note) {
+  if (typeof note === 'number') {
+    return Math.round(69 + 12 * Math.log2(note / 440));
+  }
+  const match = /^([A-G]#?)(-?\d+)$/.exec(note);
+  if (!match) {
+    throw new Error(`Invalid note name: ${note}`);
+  }
+  return NOTE_NAMES.indexOf(match[1]) + (parseInt(match[2], 10) + 1) * 12;
+}
+
+/**
+ * Convert a MIDI note number to a note name
+ * @param {number} midi - MIDI note number
+ * @returns {string} Note name using sharps
+ */
+export function midiToNote(midi) {
+  return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+/**
+ * Equal-tempered frequency of a note (A4 = 440 Hz)
+ * @param {string|number} note - Note name, or a frequency (returned as it is)
+ * @returns {number} Frequency in Hz
+ */
+export function noteToFrequency(note) {
+  if (typeof note === 'number') return note;
+  return 440 * Math.pow(2, (noteToMidi(note) - 69) / 12);
+}
+
+/**
+ * Find which scale degree a wall length falls on
+ * @param {number} length - The length of the wall
+ * @param {number} noteCount - Number of notes in the scale
+ * @param {number} minLength - Length of the lowest note
+ * @param {number} maxLength - Length of the highest note
+ * @returns {number} Index into the scale
+ */
+export function getDegreeForLength(length, noteCount, minLength = MIN_WALL_LENGTH, maxLength = MAX_WALL_LENGTH) {
+  const clampedLength = Math.max(minLength, Math.min(length, maxLength));
+  const normalizedPos = (clampedLength - minLength) / (maxLength - minLength);
+  return Math.min(Math.floor(normalizedPos * noteCount), noteCount - 1);
+}
+
+/**
+ * Find the wall length in the middle of a scale degree's band
+ * @param {number} degree - Index into the scale
+ * @param {number} noteCount - Number of notes in the scale
+ * @param {number} minLength - Length of the lowest note
+ * @param {number} maxLength - Length of the highest note
+ * @returns {number} The length
+ */
+export function getLengthForDegree(degree, noteCount, minLength = MIN_WALL_LENGTH, maxLength = MAX_WALL_LENGTH) {
+  return minLength + (degree + 0.5) * (maxLength - minLength) / noteCount;
+}
+
+/**
+ * Map a wall length to a note of a scale
+ * @param {number} length - The length of the wall
+ * @param {number} minLength - Length of the lowest note
+ * @param {number} maxLength - Length of the highest note
+ * @param {Array<string|number>} notes - Scale notes (defaults to the current key)
+ * @returns {string|number} The note name, or frequency in a tuned key
+ */
+export function mapLengthToScaleNote(length, minLength = MIN_WALL_LENGTH, maxLength = MAX_WALL_LENGTH, notes = currentNotes) {
+  return notes[getDegreeForLength(length, notes.length, minLength, maxLength)];
+}
+
+/**
+ * Get the current global key
+ * @returns {Object} The key ({ root, mode, octave, octaves, tuning })
+ */
+export function getKey() {
+  return { ...currentKey };
+}
+
+/**
+ * Get the notes of the current global key
+ * @returns {Array<string|number>} Note names (or frequencies in a tuned key), lowest first
+ */
+export function getScaleNotes() {
+  return [...currentNotes];
+}
+
+/**
+ * Change the global key and announce it with a 'key-change' event
+ * @param {Object} key - Partial key; missing fields keep their current value
+ * @returns {Object} The new key
+ */
+export function setKey(key) {
+  const nextKey = normalizeKey({ ...currentKey, ...key });
+  currentNotes = buildScale(nextKey);
+  currentKey = nextKey;
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('key-change', {
+      detail: { key: getKey(), notes: getScaleNotes() }
+    }));
+  }
+
+  return getKey();
+}
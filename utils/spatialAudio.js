@@ -0,0 +1,202 @@
+/**
+ * Spatial Audio
+ * Places collision notes in the stereo field by their X position, or in 3D
+ * around the camera with HRTF panning
+ */
+import * as Tone from 'tone';
+import * as THREE from 'three';
+
+export const PAN_MODES = {
+  OFF: 'off',        // Everything centered
+  STEREO: 'stereo',  // Pan by X position
+  HRTF: 'hrtf'       // 3D position relative to the listener (camera)
+};
+
+export const DEFAULT_SPATIAL_SETTINGS = {
+  mode: PAN_MODES.STEREO,
+  width: 1,        // 0 (mono) to 1 (hard left/right at the arena edges)
+  halfWidth: 10    // Distance from the center to the arena edge, in world units
+};
+
+let settings = loadSpatialSettings();
+
+function loadSpatialSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('spatialSettings'));
+    return normalizeSpatialSettings(saved ?? {});
+  } catch (e) {
+    console.warn("Ignoring unreadable spatial audio settings:", e);
+    return { ...DEFAULT_SPATIAL_SETTINGS };
+  }
+}
+
+/**
+ * Check and complete spatial settings
+ * @param {Object} spatial - Partial { mode, width, halfWidth }
+ * @returns {Object} Full, valid settings
+ */
+export function normalizeSpatialSettings(spatial = {}) {
+  const next = { ...DEFAULT_SPATIAL_SETTINGS, ...spatial };
+  if (!Object.values(PAN_MODES).includes(next.mode)) {
+    throw new Error(`Unknown panning mode: ${next.mode}`);
+  }
+  if (!Number.isFinite(next.width) || next.width < 0 || next.width > 1) {
+    throw new Error('Stereo width must be a number from 0 to 1');
+  }
+  if (!Number.isFinite(next.halfWidth) || next.halfWidth <= 0) {
+    throw new Error('Arena half width must be a positive number');
+  }
+  return next;
+}
+
+export function getSpatialSettings() {
+  return { ...settings };
+}
+
+/**
+ * Change spatial settings and announce them with a 'spatial-change' event
+ * @param {Object} spatial - Partial { mode, width, halfWidth }
+ * @returns {Object} The new settings
+ */
+export function setSpatialSettings(spatial) {
+  settings = normalizeSpatialSettings({ ...settings, ...spatial });
+  localStorage.setItem('spatialSettings', JSON.stringify(settings));
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('spatial-change', {
+      detail: { spatial: getSpatialSettings() }
+    }));
+  }
+  return getSpatialSettings();
+}
+
+/**
+ * Stereo pan for an X position
+ * @param {number} x - Position in world units
+ * @param {Object} spatial - Settings to use (defaults to the current ones)
+ * @returns {number} Pan from -1 (left) to 1 (right)
+ */
+export function getPanForPosition(x, spatial = settings) {
+  if (spatial.mode === PAN_MODES.OFF) return 0;
+  const pan = Math.max(-1, Math.min(1, x / spatial.halfWidth));
+  return pan * spatial.width;
+}
+
+/**
+ * Move the HRTF listener to the camera
+ * @param {THREE.Camera} camera - The scene camera
+ */
+export function updateListener(camera) {
+  if (settings.mode !== PAN_MODES.HRTF) return;
+
+  const { x, y, z } = camera.position;
+  // Cameras look down their local -Z axis
+  const forward = camera.getWorldDirection(new THREE.Vector3());
+  const { up } = camera;
+
+  Tone.Listener.set({
+    positionX: x, positionY: y, positionZ: z,
+    forwardX: forward.x, forwardY: forward.y, forwardZ: forward.z,
+    upX: up.x, upY: up.y, upZ: up.z
+  });
+}
+
+// Routes one sound source through either a stereo or an HRTF panner
+export class SpatialPanner {
+  constructor() {
+    this.input = new Tone.Gain();
+    this.stereo = new Tone.Panner(0);
+    this.binaural = new Tone.Panner3D({ panningModel: 'HRTF' });
+    this.target = null;
+    this.route(settings.mode);
+  }
+
+  route(mode) {
+    const target = mode === PAN_MODES.HRTF ? this.binaural : this.stereo;
+    if (this.target === target) return;
+
+    this.input.disconnect();
+    this.input.connect(target);
+    this.target = target;
+  }
+
+  /**
+   * Position the next sound
+   * @param {Object} position - World position { x, y, z }
+   * @param {number} time - When the sound starts (seconds)
+   */
+  place(position, time) {
+    this.route(settings.mode);
+
+    if (settings.mode === PAN_MODES.HRTF) {
+      this.binaural.setPosition(position.x, position.y, position.z);
+    } else {
+      this.stereo.pan.setValueAtTime(getPanForPosition(position.x), time);
+    }
+  }
+
+  connect(destination) {
+    this.stereo.connect(destination);
+    this.binaural.connect(destination);
+    return this;
+  }
+
+  disconnect() {
+    this.stereo.disconnect();
+    this.binaural.disconnect();
+  }
+
+  dispose() {
+    this.input.dispose();
+    this.stereo.dispose();
+    this.binaural.dispose();
+  }
+}
+
+// Where notes without a position (e.g. UI sounds) are placed
+const CENTER = { x: 0, y: 0, z: 0 };
+
+// A synth or sampler with its own SpatialPanner, placed before each note starts
+export class SpatialVoice {
+  constructor(source) {
+    this.source = source;
+    this.panner = new SpatialPanner();
+    source.connect(this.panner.input);
+  }
+
+  set(options) {
+    this.source.set(options);
+  }
+
+  // The source's release time, so pools know how long a note rings
+  get release() {
+    return this.source.envelope?.release ?? this.source.release;
+  }
+
+  triggerAttackRelease(note, duration, time, velocity, position = null) {
+    this.panner.place(position ?? CENTER, time);
+    this.source.triggerAttackRelease(note, duration, time, velocity);
+    return this;
+  }
+
+  // Drop the release an earlier note scheduled after `time`; Tone's attack
+  // ramps don't replace it, so a stolen voice would be cut off mid-note
+  cancelRelease(time) {
+    this.source.envelope?.cancel(time);
+    this.source.filterEnvelope?.cancel(time);
+  }
+
+  connect(destination) {
+    this.panner.connect(destination);
+    return this;
+  }
+
+  disconnect() {
+    this.panner.disconnect();
+  }
+
+  dispose() {
+    this.source.dispose();
+    this.panner.dispose();
+  }
+}
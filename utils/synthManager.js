@@ -1,5 +1,17 @@
 import * as Tone from 'tone';
 import { mapLengthToNote } from './midiSequencer';
+import { VoicePool, VOICE_STEALING, DEFAULT_MAX_VOICES } from './voicePool';
+import { getInstrumentOutput, getMasterInput } from './effectsChain';
+import { SpatialVoice } from './spatialAudio';
+import { getVelocitySettings } from './velocityCurve';
+import { normalizePatch, getPatchSynthOptions } from './synthPatch';
+import {
+  SAMPLE_STATUS,
+  getSampleInstrument,
+  getSampleInstrumentNames,
+  isSampleInstrument,
+  setInstrumentNameCheck
+} from './sampleInstruments';
 
 // Instrument prefabs
 const INSTRUMENT_PREFABS = {
@@ -38,18 +50,74 @@ const INSTRUMENT_PREFABS = {
 // Default synth settings
 const DEFAULT_SYNTH_SETTINGS = INSTRUMENT_PREFABS.marimba;
 
-// Singleton instance of the synth
+// Named instruments made in the patch editor, by name (see utils/synthPatch.js)
+const customInstruments = loadCustomInstruments();
+
+// Dropped samples can't take the name of a prefab or custom instrument
+setInstrumentNameCheck(name =>
+  Boolean(INSTRUMENT_PREFABS[name]) || customInstruments.has(name));
+
+function loadCustomInstruments() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('customInstruments')) ?? {};
+    return new Map(Object.entries(saved).map(([name, patch]) => [name, normalizePatch(patch)]));
+  } catch (e) {
+    console.warn("Ignoring unreadable custom instruments:", e);
+    return new Map();
+  }
+}
+
+// Singleton voice pool that plays every instrument note
 let synthInstance = null;
+// Voice pools for walls with their own instrument, keyed by instrument name
+const instrumentPools = new Map();
 // Dedicated synth for bounce sounds
 let bounceSynthInstance = null;
 
 // Current instrument type (can be changed without changing all settings)
 let currentInstrumentType = localStorage.getItem('currentInstrument') || 'marimba';
 
+// Polyphony settings, saved separately from the instrument sound
+let voiceSettings = loadVoiceSettings();
+
+function loadVoiceSettings() {
+  const defaults = { maxVoices: DEFAULT_MAX_VOICES, stealing: VOICE_STEALING.OLDEST };
+  try {
+    const saved = { ...defaults, ...JSON.parse(localStorage.getItem('voiceSettings')) };
+    // An empty pool checks the saved values the way setVoiceSettings does
+    const pool = new VoicePool(createVoice);
+    pool.setMaxVoices(saved.maxVoices);
+    pool.setStealing(saved.stealing);
+    return { maxVoices: saved.maxVoices, stealing: saved.stealing };
+  } catch (e) {
+    console.warn("Ignoring unreadable voice settings:", e);
+    return defaults;
+  }
+}
+
+// Each voice pans on its own so simultaneous notes can sit in different places
+function createVoice() {
+  return new SpatialVoice(new Tone.Synth());
+}
+
+// Custom instruments have a filter, so they play on MonoSynths
+function createPatchVoice() {
+  return new SpatialVoice(new Tone.MonoSynth());
+}
+
+/**
+ * Create a voice that can play an instrument's settings
+ * @param {string|null} instrument - Instrument name
+ * @returns {SpatialVoice} A new, unconnected voice
+ */
+export function createInstrumentVoice(instrument) {
+  return customInstruments.has(instrument) ? createPatchVoice() : createVoice();
+}
+
 /**
  * Initialize the synth with settings
  * @param {Object} settings - Synth settings (optional)
- * @returns {Object} The synth instance
+ * @returns {VoicePool} The voice pool playing those settings
  */
 export function initSynth(settings = null) {
   // Dispose of existing synth if any
@@ -57,29 +125,13 @@ export function initSynth(settings = null) {
     synthInstance.dispose();
   }
   
-  // Use provided settings or load from localStorage or use defaults
-  let synthSettings = settings;
+  // Use provided settings or the current instrument's
+  const synthSettings = settings ?? INSTRUMENT_PREFABS[currentInstrumentType] ?? DEFAULT_SYNTH_SETTINGS;
   
-  if (!synthSettings) {
-    // Try to load saved settings
-    const savedSettings = localStorage.getItem('customSynthSettings');
-    
-    if (savedSettings) {
-      synthSettings = JSON.parse(savedSettings);
-    } else {
-      // Try to load current instrument
-      const currentInstrument = localStorage.getItem('currentInstrument');
-      
-      if (currentInstrument && INSTRUMENT_PREFABS[currentInstrument]) {
-        synthSettings = INSTRUMENT_PREFABS[currentInstrument];
-      } else {
-        synthSettings = DEFAULT_SYNTH_SETTINGS;
-      }
-    }
-  }
-  
-  // Create new synth instance
-  synthInstance = new Tone.Synth(synthSettings).toDestination();
+  // Create a pool of synth voices so overlapping notes don't cut each other off
+  synthInstance = new VoicePool(createVoice, voiceSettings);
+  synthInstance.set(synthSettings);
+  synthInstance.connect(getInstrumentOutput(currentInstrumentType));
   
   // Initialize bounce synth if it doesn't exist
   if (!bounceSynthInstance) {
@@ -110,12 +162,12 @@ function initBounceSynth() {
       release: 0.05   // Quick release
     },
     volume: -20 // Much quieter than the musical synth
-  }).toDestination();
+  }).connect(getMasterInput());
 }
 
 /**
- * Get the current synth instance, initializing if needed
- * @returns {Object} The synth instance
+ * Get the current voice pool, initializing if needed
+ * @returns {VoicePool} The voice pool
  */
 export function getSynth() {
   if (!synthInstance) {
@@ -125,15 +177,80 @@ export function getSynth() {
 }
 
 /**
- * Play a note with the synth
+ * Get the synth settings for an instrument name
+ * @param {string} instrument - A key of INSTRUMENT_PREFABS or a custom instrument's name
+ * @returns {Object|null} Synth settings, or null for unknown instruments
+ */
+export function getInstrumentSettings(instrument) {
+  if (customInstruments.has(instrument)) {
+    return getPatchSynthOptions(customInstruments.get(instrument));
+  }
+  return INSTRUMENT_PREFABS[instrument] ?? null;
+}
+
+/**
+ * List the instruments a wall can play
+ * @returns {string[]} Prefab names, custom instruments, then any sample instruments
+ */
+export function getAvailableInstruments() {
+  return Object.keys(INSTRUMENT_PREFABS).concat(getCustomInstrumentNames(), getSampleInstrumentNames());
+}
+
+/**
+ * Get the voice pool for an instrument, falling back to the global synth
+ * @param {string|null} instrument - Instrument name, or null for the global instrument
+ * @returns {VoicePool|Object} The voice pool, or a Tone.Sampler for sample instruments
+ */
+export function getInstrumentSynth(instrument = null) {
+  // A sample instrument can also be the global instrument
+  if (!instrument && isSampleInstrument(currentInstrumentType)) {
+    instrument = currentInstrumentType;
+  }
+  
+  // Samplers are polyphonic already (but pan as one voice); until they load
+  // (or if they fail) the instrument's oscillator fallback plays instead
+  const sample = getSampleInstrument(instrument);
+  if (sample) {
+    return sample.status === SAMPLE_STATUS.READY
+      ? sample.voice
+      : getOscillatorSynth(sample.fallback);
+  }
+  
+  return getOscillatorSynth(instrument);
+}
+
+// Voice pool for a prefab or custom instrument, or the global synth otherwise
+function getOscillatorSynth(instrument) {
+  const settings = instrument ? getInstrumentSettings(instrument) : null;
+  if (!settings) {
+    return getSynth();
+  }
+  
+  if (!instrumentPools.has(instrument)) {
+    const pool = new VoicePool(() => createInstrumentVoice(instrument), voiceSettings);
+    instrumentPools.set(instrument, pool.connect(getInstrumentOutput(instrument)));
+  }
+  
+  // Saving a custom instrument updates its pool, so settings are only applied once here
+  const pool = instrumentPools.get(instrument);
+  if (!pool.settings) {
+    pool.set(settings);
+  }
+  return pool;
+}
+
+/**
+ * Play a note on a free voice of the synth
  * @param {string|number} note - The note to play (e.g., 'C4' or frequency in Hz)
  * @param {number} duration - Duration in seconds or as a note value ('8n', '4n', etc.)
  * @param {number} time - When to play the note (optional, defaults to now)
  * @param {number} velocity - Volume of the note (0-1)
- * @returns {Object} The synth instance for chaining
+ * @param {string|null} instrument - Instrument to play, or null for the global instrument
+ * @param {Object} position - World position to pan the note to (optional)
+ * @returns {Object} The voice playing the note
  */
-export function playNote(note, duration = '8n', time = undefined, velocity = 0.7) {
-  const synth = getSynth();
+export function playNote(note, duration = '8n', time = undefined, velocity = 0.7, instrument = null, position = null) {
+  const synth = getInstrumentSynth(instrument);
   
   // Ensure audio context is running
   if (Tone.context.state !== 'running') {
@@ -145,9 +262,7 @@ export function playNote(note, duration = '8n', time = undefined, velocity = 0.7
   const actualTime = time === undefined ? Tone.now() : time;
   
   // Play the note
-  synth.triggerAttackRelease(note, duration, actualTime, velocity);
-  
-  return synth;
+  return synth.triggerAttackRelease(note, Tone.Time(duration).toSeconds(), actualTime, velocity, position);
 }
 
 /**
@@ -155,11 +270,11 @@ export function playNote(note, duration = '8n', time = undefined, velocity = 0.7
  * @param {AudioContext} unusedAudioContext - Ignored (for compatibility)
  * @param {number} length - The length of the wall/paddle
  * @param {number} duration - Duration in seconds (ignored - we use fixed short duration)
- * @param {number} volume - Volume of the note (0-1)
+ * @param {number} volume - Volume of the note (0-1), defaults to the fixed velocity curve level
  * @param {string} unusedWaveform - Ignored (for compatibility)
  * @returns {Object} Information about the played note
  */
-export function playNoteForLength(unusedAudioContext, length, duration = 0.5, volume = 0.5, unusedWaveform = 'sine') {
+export function playNoteForLength(unusedAudioContext, length, duration = 0.5, volume = getVelocitySettings().fixedVelocity, unusedWaveform = 'sine') {
   // Get the note from midiSequencer's mapping function
   const note = mapLengthToNote(length);
   
@@ -209,19 +324,12 @@ export function playBounceSound(intensity = 1.0) {
  * Play a success sound
  */
 export function playSuccessSound() {
-  const synth = getSynth();
-  
-  // Ensure audio context is running
-  if (Tone.context.state !== 'running') {
-    Tone.start();
-  }
-  
   // Play a short ascending melody
   const now = Tone.now();
-  synth.triggerAttackRelease('C4', '16n', now);
-  synth.triggerAttackRelease('E4', '16n', now + 0.15);
-  synth.triggerAttackRelease('G4', '16n', now + 0.3);
-  synth.triggerAttackRelease('C5', '8n', now + 0.45);
+  playNote('C4', '16n', now);
+  playNote('E4', '16n', now + 0.15);
+  playNote('G4', '16n', now + 0.3);
+  playNote('C5', '8n', now + 0.45);
 }
 
 /**
@@ -229,29 +337,8 @@ export function playSuccessSound() {
  * @param {boolean} drawMode - Whether draw mode is active
  */
 export function playModeChangeSound(drawMode) {
-  const synth = getSynth();
-  
-  // Ensure audio context is running
-  if (Tone.context.state !== 'running') {
-    Tone.start();
-  }
-  
-  // Temporarily change synth settings
-  const originalType = synth.oscillator.type;
-  const originalVolume = synth.volume.value;
-  
-  // Set temp settings
-  synth.oscillator.type = drawMode ? 'sine' : 'triangle';
-  synth.volume.value = -20; // Quieter for notification sound
-  
-  // Play the note
-  synth.triggerAttackRelease(drawMode ? 440 : 330, 0.3);
-  
-  // Reset to original settings after playing
-  setTimeout(() => {
-    synth.oscillator.type = originalType;
-    synth.volume.value = originalVolume;
-  }, 300);
+  // Play on its own voice at low velocity so it never disturbs sounding notes
+  playNote(drawMode ? 440 : 330, 0.3, undefined, 0.1);
 }
 
 /**
@@ -259,38 +346,24 @@ export function playModeChangeSound(drawMode) {
  * @param {string} instrumentType - The instrument type ('marimba', 'epiano', etc.)
  */
 export function setInstrumentType(instrumentType) {
+  // Sample instruments keep the oscillator pool as it is; it is only their fallback
+  if (isSampleInstrument(instrumentType)) {
+    currentInstrumentType = instrumentType;
+    localStorage.setItem('currentInstrument', instrumentType);
+    return true;
+  }
+  
   if (INSTRUMENT_PREFABS[instrumentType]) {
     currentInstrumentType = instrumentType;
     
+    // The global synth uses the sends of whichever instrument it plays
+    synthInstance?.connect(getInstrumentOutput(instrumentType));
+    
     // Save to localStorage
     localStorage.setItem('currentInstrument', instrumentType);
     
-    // If synth exists, update its settings
-    if (synthInstance) {
-      const currentSettings = {
-        oscillator: {
-          type: INSTRUMENT_PREFABS[instrumentType].oscillator.type
-        },
-        envelope: {
-          attack: INSTRUMENT_PREFABS[instrumentType].envelope.attack,
-          decay: INSTRUMENT_PREFABS[instrumentType].envelope.decay,
-          sustain: INSTRUMENT_PREFABS[instrumentType].envelope.sustain,
-          release: INSTRUMENT_PREFABS[instrumentType].envelope.release
-        },
-        volume: INSTRUMENT_PREFABS[instrumentType].volume
-      };
-      
-      // Update the synth settings
-      synthInstance.oscillator.type = currentSettings.oscillator.type;
-      synthInstance.envelope.attack = currentSettings.envelope.attack;
-      synthInstance.envelope.decay = currentSettings.envelope.decay;
-      synthInstance.envelope.sustain = currentSettings.envelope.sustain;
-      synthInstance.envelope.release = currentSettings.envelope.release;
-      synthInstance.volume.value = currentSettings.volume;
-      
-      // Save current settings
-      localStorage.setItem('customSynthSettings', JSON.stringify(currentSettings));
-    }
+    // Update every voice
+    synthInstance?.set(INSTRUMENT_PREFABS[instrumentType]);
     
     return true;
   }
@@ -305,5 +378,113 @@ export function getCurrentInstrumentType() {
   return currentInstrumentType;
 }
 
+/**
+ * Configure polyphony
+ * @param {Object} settings - { maxVoices, stealing } (see VOICE_STEALING)
+ * @returns {Object} The full voice settings
+ */
+export function setVoiceSettings(settings) {
+  const nextSettings = { ...voiceSettings, ...settings };
+  
+  // The pool validates both values, so nothing is saved if either is invalid
+  [getSynth(), ...instrumentPools.values()].forEach(pool => {
+    pool.setStealing(nextSettings.stealing);
+    pool.setMaxVoices(nextSettings.maxVoices);
+  });
+  
+  voiceSettings = nextSettings;
+  localStorage.setItem('voiceSettings', JSON.stringify(voiceSettings));
+  
+  return getVoiceSettings();
+}
+
+/**
+ * Get the polyphony settings
+ * @returns {Object} { maxVoices, stealing }
+ */
+export function getVoiceSettings() {
+  return { ...voiceSettings };
+}
+
+export function getCustomInstrumentNames() {
+  return [...customInstruments.keys()];
+}
+
+export function isCustomInstrument(name) {
+  return customInstruments.has(name);
+}
+
+/**
+ * Get a custom instrument's patch
+ * @param {string} name - Instrument name
+ * @returns {Object|null} A copy of the patch, or null if there is none by that name
+ */
+export function getCustomInstrument(name) {
+  const patch = customInstruments.get(name);
+  return patch ? JSON.parse(JSON.stringify(patch)) : null;
+}
+
+function saveCustomInstruments() {
+  localStorage.setItem('customInstruments', JSON.stringify(Object.fromEntries(customInstruments)));
+}
+
+/**
+ * Save a patch as a named instrument walls can play, replacing any custom
+ * instrument of the same name
+ * @param {string} name - Instrument name; can't be a prefab or sample instrument
+ * @param {Object} patch - Patch (see utils/synthPatch.js)
+ * @returns {string} The saved name
+ */
+export function saveCustomInstrument(name, patch) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Custom instruments need a name');
+  }
+  if (INSTRUMENT_PREFABS[trimmed] || isSampleInstrument(trimmed)) {
+    throw new Error(`${trimmed} is already a built-in or sample instrument`);
+  }
+
+  const normalized = normalizePatch(patch);
+  customInstruments.set(trimmed, normalized);
+  saveCustomInstruments();
+  
+  // Walls already playing it hear the change on their next note
+  instrumentPools.get(trimmed)?.set(getPatchSynthOptions(normalized));
+  return trimmed;
+}
+
+/**
+ * Delete a custom instrument; walls playing it fall back to the global instrument
+ * @param {string} name - Instrument name
+ * @returns {boolean} Whether there was one to delete
+ */
+export function deleteCustomInstrument(name) {
+  if (!customInstruments.delete(name)) return false;
+  saveCustomInstruments();
+  
+  instrumentPools.get(name)?.dispose();
+  instrumentPools.delete(name);
+  return true;
+}
+
+// One voice for auditioning patches while they are edited
+let previewVoice = null;
+
+/**
+ * Play a note with a patch that hasn't been saved yet
+ * @param {Object} patch - Patch (see utils/synthPatch.js)
+ * @param {string} note - Note to play
+ */
+export function previewPatch(patch, note = 'C4') {
+  if (Tone.context.state !== 'running') {
+    Tone.start();
+  }
+  if (!previewVoice) {
+    previewVoice = createPatchVoice().connect(getMasterInput());
+  }
+  previewVoice.set(getPatchSynthOptions(normalizePatch(patch)));
+  previewVoice.triggerAttackRelease(note, '8n', undefined, 0.8);
+}
+
 // Export default settings and instrument prefabs for reference
-export { DEFAULT_SYNTH_SETTINGS, INSTRUMENT_PREFABS }; 
\ No newline at end of file
+export { DEFAULT_SYNTH_SETTINGS, INSTRUMENT_PREFABS, VOICE_STEALING }; 
\ No newline at end of file
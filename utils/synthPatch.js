@@ -0,0 +1,110 @@
+/**
+ * Synth Patches
+ * The sound of a custom instrument: oscillator, envelope, volume, detune and
+ * a filter. Patches are saved by name (see saveCustomInstrument in
+ * synthManager) and can be shared as JSON files:
+ *   { "name": "Bell", "patch": { "oscillator": { "type": "sine" }, ... } }
+ */
+import { FILTER_TYPES } from './effectsChain';
+
+export const OSCILLATOR_TYPES = ['sine', 'triangle', 'square', 'sawtooth'];
+
+export const DEFAULT_PATCH = {
+  oscillator: { type: 'sine' },
+  envelope: { attack: 0.01, decay: 0.3, sustain: 0.1, release: 0.3 }, // seconds, sustain 0-1
+  volume: -10,                                                       // dB
+  detune: 0,                                                         // cents
+  filter: { type: 'lowpass', frequency: 20000, Q: 1 }                // Wide open
+};
+
+// Allowed range of every number in a patch: [path, min, max]
+export const PATCH_RANGES = [
+  ['envelope.attack', 0.001, 2],
+  ['envelope.decay', 0.01, 2],
+  ['envelope.sustain', 0, 1],
+  ['envelope.release', 0.01, 5],
+  ['volume', -40, 0],
+  ['detune', -1200, 1200],
+  ['filter.frequency', 20, 20000],
+  ['filter.Q', 0, 20]
+];
+
+function readNumber(value, label, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Patch setting ${label} must be a number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Check and complete a patch, filling gaps from DEFAULT_PATCH
+ * @param {Object} patch - Partial patch
+ * @returns {Object} Full, valid patch
+ */
+export function normalizePatch(patch = {}) {
+  const next = {
+    oscillator: { ...DEFAULT_PATCH.oscillator, ...patch.oscillator },
+    envelope: { ...DEFAULT_PATCH.envelope, ...patch.envelope },
+    volume: patch.volume ?? DEFAULT_PATCH.volume,
+    detune: patch.detune ?? DEFAULT_PATCH.detune,
+    filter: { ...DEFAULT_PATCH.filter, ...patch.filter }
+  };
+
+  if (!OSCILLATOR_TYPES.includes(next.oscillator.type)) {
+    throw new Error(`Unknown oscillator type: ${next.oscillator.type}`);
+  }
+  if (!FILTER_TYPES.includes(next.filter.type)) {
+    throw new Error(`Unknown filter type: ${next.filter.type}`);
+  }
+
+  PATCH_RANGES.forEach(([path, min, max]) => {
+    const [section, key] = path.split('.');
+    if (key) {
+      next[section][key] = readNumber(next[section][key], path, min, max);
+    } else {
+      next[section] = readNumber(next[section], path, min, max);
+    }
+  });
+  return next;
+}
+
+/**
+ * Options for a Tone.MonoSynth playing a patch. The filter envelope is held
+ * flat so the cutoff stays where the patch puts it.
+ * @param {Object} patch - A normalized patch
+ * @returns {Object} Tone.MonoSynth options
+ */
+export function getPatchSynthOptions(patch) {
+  return {
+    oscillator: { ...patch.oscillator },
+    envelope: { ...patch.envelope },
+    volume: patch.volume,
+    detune: patch.detune,
+    filter: { type: patch.filter.type, Q: patch.filter.Q },
+    filterEnvelope: { baseFrequency: patch.filter.frequency, octaves: 0 }
+  };
+}
+
+/**
+ * Write a named patch as JSON for sharing
+ * @param {string} name - Instrument name
+ * @param {Object} patch - The patch
+ * @returns {string} JSON text
+ */
+export function serializePatch(name, patch) {
+  return JSON.stringify({ name, patch: normalizePatch(patch) }, null, 2);
+}
+
+/**
+ * Read a shared patch file
+ * @param {string|Object} json - Text from serializePatch, or its parsed object
+ * @returns {Object} { name, patch } with a normalized patch
+ */
+export function parsePatch(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (typeof data?.name !== 'string' || typeof data.patch !== 'object' || data.patch === null) {
+    throw new Error('Patch file must have a name and a patch');
+  }
+  return { name: data.name, patch: normalizePatch(data.patch) };
+}
@@ -0,0 +1,190 @@
+/**
+ * Tunings
+ * Replaces 12-tone equal temperament for the wall scale, so walls can play
+ * just intonation, other equal divisions or non-Western scales by frequency.
+ *
+ * A tuning is either
+ *   - a scale: { name, cents, mapping }, where `cents` lists every degree
+ *     above the root up to and including the period (as in a Scala .scl
+ *     file) and the optional `mapping` pins a key to a frequency (as in a
+ *     Scala .kbm file): { middleNote, referenceNote, referenceFrequency }
+ *   - a frequency table: { name, frequencies }, played exactly as listed
+ *
+ * Keyboard mappings are read as linear: each MIDI key is the next scale
+ * degree. The key's root and octave pick the key the walls start on.
+ */
+
+// 12-TET frequency of a MIDI note (A4 = 440 Hz)
+const midiToFrequency = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+// Scala pitch lines are cents when they have a dot, ratios otherwise
+function readScalaPitch(line) {
+  const value = line.trim().split(/\s+/)[0];
+  if (value.includes('.')) {
+    return Number(value);
+  }
+  const [numerator, denominator = '1'] = value.split('/');
+  const ratio = Number(numerator) / Number(denominator);
+  if (!isPositive(ratio)) {
+    throw new Error(`Invalid Scala pitch: ${line.trim()}`);
+  }
+  return 1200 * Math.log2(ratio);
+}
+
+// Scala files comment with '!'; every other line is data, blank ones included
+function readScalaLines(text) {
+  return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Read a Scala scale (.scl) file
+ * @param {string} text - File contents
+ * @returns {Object} { name, cents }
+ */
+export function parseScala(text) {
+  const [description = '', countLine, ...pitchLines] = readScalaLines(text);
+  const count = parseInt(countLine, 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Scala file must give the number of notes after the description');
+  }
+
+  const pitches = pitchLines.filter(line => line.trim()).slice(0, count);
+  if (pitches.length < count) {
+    throw new Error(`Scala file lists ${pitches.length} of its ${count} notes`);
+  }
+  return normalizeTuning({ name: description.trim() || 'Scala tuning', cents: pitches.map(readScalaPitch) });
+}
+
+/**
+ * Read a Scala keyboard mapping (.kbm) file
+ * @param {string} text - File contents
+ * @returns {Object} { middleNote, referenceNote, referenceFrequency }
+ */
+export function parseKeyboardMapping(text) {
+  // Map size, first and last note come before the fields we use
+  const values = readScalaLines(text).filter(line => line.trim()).map(line => line.trim().split(/\s+/)[0]);
+  if (values.length < 6) {
+    throw new Error('Keyboard mapping must give the middle note, reference note and frequency');
+  }
+  return normalizeMapping({
+    middleNote: parseInt(values[3], 10),
+    referenceNote: parseInt(values[4], 10),
+    referenceFrequency: Number(values[5])
+  });
+}
+
+function normalizeMapping(mapping) {
+  const { middleNote, referenceNote, referenceFrequency } = mapping;
+  [middleNote, referenceNote].forEach(note => {
+    if (!Number.isInteger(note) || note < 0 || note > 127) {
+      throw new Error('Keyboard mapping notes must be MIDI notes from 0 to 127');
+    }
+  });
+  if (!isPositive(referenceFrequency)) {
+    throw new Error('Keyboard mapping reference frequency must be a positive number');
+  }
+  return { middleNote, referenceNote, referenceFrequency };
+}
+
+/**
+ * Check a tuning
+ * @param {Object} tuning - A scale or frequency table (see above)
+ * @returns {Object} A valid copy
+ */
+export function normalizeTuning(tuning) {
+  if (!tuning || typeof tuning !== 'object') {
+    throw new Error('Tuning must be an object');
+  }
+  const name = typeof tuning.name === 'string' && tuning.name ? tuning.name : 'Custom tuning';
+
+  if (Array.isArray(tuning.frequencies)) {
+    if (tuning.frequencies.length < 2 || !tuning.frequencies.every(isPositive)) {
+      throw new Error('Tuning frequencies must be at least two positive numbers');
+    }
+    return { name, frequencies: [...tuning.frequencies].sort((a, b) => a - b) };
+  }
+
+  if (!Array.isArray(tuning.cents) || tuning.cents.length === 0) {
+    throw new Error('Tuning needs cents or frequencies');
+  }
+  const cents = tuning.cents.map(Number);
+  if (!cents.every((value, i) => Number.isFinite(value) && value > (i > 0 ? cents[i - 1] : 0))) {
+    throw new Error('Tuning cents must rise from above 0 up to the period');
+  }
+  return {
+    name,
+    cents,
+    ...(tuning.mapping ? { mapping: normalizeMapping(tuning.mapping) } : {})
+  };
+}
+
+/**
+ * Read a JSON tuning: a frequency table or a scale in cents
+ * @param {string|Object} json - { name, frequencies } or { name, cents, mapping }
+ * @returns {Object} The tuning
+ */
+export function parseTuningJson(json) {
+  return normalizeTuning(typeof json === 'string' ? JSON.parse(json) : json);
+}
+
+/**
+ * Read a tuning file by its extension
+ * @param {string} fileName - Name ending in .scl, .kbm or .json
+ * @param {string} text - File contents
+ * @param {Object|null} current - Tuning a .kbm file maps (it has no scale of its own)
+ * @returns {Object} The tuning
+ */
+export function parseTuningFile(fileName, text, current = null) {
+  const extension = fileName.toLowerCase().split('.').pop();
+  switch (extension) {
+    case 'scl':
+      return parseScala(text);
+    case 'kbm':
+      if (!current?.cents) {
+        throw new Error('Load a Scala scale before its keyboard mapping');
+      }
+      return normalizeTuning({ ...current, mapping: parseKeyboardMapping(text) });
+    case 'json':
+      return parseTuningJson(text);
+    default:
+      throw new Error(`Unknown tuning file type: .${extension}`);
+  }
+}
+
+// Cents of a scale degree from the root, counting whole periods
+function getDegreeCents(cents, degree) {
+  const period = cents[cents.length - 1];
+  const periods = Math.floor(degree / cents.length);
+  const step = degree - periods * cents.length;
+  return periods * period + (step === 0 ? 0 : cents[step - 1]);
+}
+
+/**
+ * Frequencies the walls play in a tuning, lowest first
+ * @param {Object} tuning - A normalized tuning
+ * @param {number} rootMidi - MIDI key of the lowest note
+ * @param {number} periods - Periods (octaves, for most scales) to span
+ * @returns {number[]} Frequencies in Hz
+ */
+export function getTuningFrequencies(tuning, rootMidi, periods) {
+  if (tuning.frequencies) {
+    return [...tuning.frequencies];
+  }
+
+  const { cents, mapping } = tuning;
+  // Without a mapping the root keeps its equal-tempered pitch
+  let rootFrequency = midiToFrequency(rootMidi);
+  if (mapping) {
+    const { middleNote, referenceNote, referenceFrequency } = mapping;
+    const centsToRoot = getDegreeCents(cents, rootMidi - middleNote) - getDegreeCents(cents, referenceNote - middleNote);
+    rootFrequency = referenceFrequency * Math.pow(2, centsToRoot / 1200);
+  }
+
+  const frequencies = [];
+  for (let degree = 0; degree <= periods * cents.length; degree++) {
+    frequencies.push(rootFrequency * Math.pow(2, getDegreeCents(cents, degree) / 1200));
+  }
+  return frequencies;
+}
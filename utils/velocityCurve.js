@@ -0,0 +1,102 @@
+/**
+ * Velocity Curves
+ * Maps a ball's impact speed to dynamics (0-1), used for note velocity and
+ * for the brightness of the collision flash, so both always agree
+ */
+
+export const VELOCITY_CURVES = {
+  LINEAR: 'linear',            // Loudness grows evenly with speed
+  EXPONENTIAL: 'exponential',  // Soft until hits get hard, for more contrast
+  COMPRESSED: 'compressed',    // Loud early, for even dynamics
+  FIXED: 'fixed'               // Every hit at the same level
+};
+
+export const DEFAULT_VELOCITY_SETTINGS = {
+  curve: VELOCITY_CURVES.LINEAR,
+  minImpact: 0,      // Impact speed at or below which hits play quietest
+  maxImpact: 8,      // Impact speed that plays at full velocity
+  gate: 0.1,         // Impacts slower than this (rolling contacts) are dropped
+  fixedVelocity: 0.7 // Velocity of every hit with the fixed curve
+};
+
+// Hits that pass the gate never play quieter than this
+const QUIETEST = 0.01;
+
+let settings = loadVelocitySettings();
+
+function loadVelocitySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('velocitySettings'));
+    return normalizeVelocitySettings(saved ?? {});
+  } catch (e) {
+    console.warn("Ignoring unreadable velocity curve settings:", e);
+    return { ...DEFAULT_VELOCITY_SETTINGS };
+  }
+}
+
+/**
+ * Check and complete velocity curve settings
+ * @param {Object} velocity - Partial { curve, minImpact, maxImpact, gate, fixedVelocity }
+ * @returns {Object} Full, valid settings
+ */
+export function normalizeVelocitySettings(velocity = {}) {
+  const next = { ...DEFAULT_VELOCITY_SETTINGS, ...velocity };
+  if (!Object.values(VELOCITY_CURVES).includes(next.curve)) {
+    throw new Error(`Unknown velocity curve: ${next.curve}`);
+  }
+  [['minImpact', 'Quietest impact speed'], ['maxImpact', 'Loudest impact speed'], ['gate', 'Noise gate']].forEach(([key, label]) => {
+    if (!Number.isFinite(next[key]) || next[key] < 0) {
+      throw new Error(`${label} must be a number of at least 0`);
+    }
+  });
+  if (next.maxImpact <= next.minImpact) {
+    throw new Error('Loudest impact speed must be above the quietest');
+  }
+  if (!Number.isFinite(next.fixedVelocity) || next.fixedVelocity <= 0 || next.fixedVelocity > 1) {
+    throw new Error('Fixed velocity must be a number above 0, up to 1');
+  }
+  return next;
+}
+
+export function getVelocitySettings() {
+  return { ...settings };
+}
+
+/**
+ * Change velocity curve settings and announce them with a 'velocity-change' event
+ * @param {Object} velocity - Partial { curve, minImpact, maxImpact, gate, fixedVelocity }
+ * @returns {Object} The new settings
+ */
+export function setVelocitySettings(velocity) {
+  settings = normalizeVelocitySettings({ ...settings, ...velocity });
+  localStorage.setItem('velocitySettings', JSON.stringify(settings));
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('velocity-change', {
+      detail: { velocity: getVelocitySettings() }
+    }));
+  }
+  return getVelocitySettings();
+}
+
+/**
+ * Dynamics for an impact
+ * @param {number} impact - Impact speed (its sign is ignored)
+ * @param {Object} velocity - Settings to use (defaults to the current ones)
+ * @returns {number} Velocity from 0 to 1; exactly 0 when the gate drops the hit
+ */
+export function getImpactVelocity(impact, velocity = settings) {
+  const speed = Math.abs(impact);
+  if (speed < velocity.gate) return 0;
+  if (velocity.curve === VELOCITY_CURVES.FIXED) return velocity.fixedVelocity;
+
+  const t = Math.min(1, Math.max(0, (speed - velocity.minImpact) / (velocity.maxImpact - velocity.minImpact)));
+  switch (velocity.curve) {
+    case VELOCITY_CURVES.EXPONENTIAL:
+      return Math.max(QUIETEST, t * t);
+    case VELOCITY_CURVES.COMPRESSED:
+      return Math.max(QUIETEST, Math.sqrt(t));
+    default:
+      return Math.max(QUIETEST, t);
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Voice Pool
+ * Plays overlapping notes on a fixed number of monophonic voices,
+ * stealing a sounding voice when every voice is busy
+ */
+import * as Tone from 'tone';
+
+// Which sounding voice to cut off when the pool is full
+export const VOICE_STEALING = {
+  OLDEST: 'oldest',     // The note that started first
+  QUIETEST: 'quietest'  // The note with the lowest velocity
+};
+
+export const DEFAULT_MAX_VOICES = 8;
+
+export class VoicePool {
+  /**
+   * @param {Function} createVoice - Returns a new voice (e.g. a Tone.Synth)
+   * @param {Object} options - { maxVoices, stealing }
+   */
+  constructor(createVoice, options = {}) {
+    this.createVoice = createVoice;
+    this.maxVoices = options.maxVoices ?? DEFAULT_MAX_VOICES;
+    this.stealing = options.stealing ?? VOICE_STEALING.OLDEST;
+    this.settings = null;
+    this.destination = null;
+
+    // Each entry tracks when its current note starts and finishes releasing
+    this.entries = [];
+  }
+
+  setMaxVoices(maxVoices) {
+    if (!Number.isInteger(maxVoices) || maxVoices < 1) {
+      throw new Error('Voice limit must be a positive integer');
+    }
+    this.maxVoices = maxVoices;
+
+    // Drop voices beyond the new limit
+    this.entries.splice(maxVoices).forEach(entry => entry.voice.dispose());
+  }
+
+  setStealing(stealing) {
+    if (!Object.values(VOICE_STEALING).includes(stealing)) {
+      throw new Error(`Unknown voice stealing policy: ${stealing}`);
+    }
+    this.stealing = stealing;
+  }
+
+  // Route every voice, including ones created later, into `destination`
+  connect(destination) {
+    this.destination = destination;
+    this.entries.forEach(entry => {
+      entry.voice.disconnect();
+      entry.voice.connect(destination);
+    });
+    return this;
+  }
+
+  // Apply synth settings to every voice, including ones created later
+  set(settings) {
+    this.settings = settings;
+    this.entries.forEach(entry => entry.voice.set(settings));
+  }
+
+  // Seconds a voice keeps sounding after its note ends: the pool's release,
+  // else the voice's own (a Tone time such as '4n' or a number)
+  getRelease(voice) {
+    const release = this.settings?.envelope?.release ?? voice.release ?? 0;
+    return Tone.Time(release).toSeconds();
+  }
+
+  /**
+   * Pick the voice for a note, creating or stealing one as needed
+   * @param {number} time - When the note starts (seconds)
+   * @param {number} duration - How long the note is held (seconds)
+   * @param {number} velocity - Note velocity (0-1)
+   * @returns {Object} The voice
+   */
+  allocate(time, duration, velocity) {
+    let entry = this.entries.find(candidate => candidate.endTime <= time);
+
+    if (!entry && this.entries.length < this.maxVoices) {
+      const voice = this.createVoice();
+      if (this.settings) voice.set(this.settings);
+      if (this.destination) voice.connect(this.destination);
+      entry = { voice };
+      this.entries.push(entry);
+    }
+
+    if (!entry) {
+      entry = this.entries.reduce((victim, candidate) => {
+        if (this.stealing === VOICE_STEALING.QUIETEST && candidate.velocity !== victim.velocity) {
+          return candidate.velocity < victim.velocity ? candidate : victim;
+        }
+        return candidate.startTime < victim.startTime ? candidate : victim;
+      });
+      // Its note hasn't finished, so its release is still scheduled
+      entry.voice.cancelRelease?.(time);
+    }
+
+    entry.startTime = time;
+    entry.endTime = time + duration + this.getRelease(entry.voice);
+    entry.velocity = velocity;
+    return entry.voice;
+  }
+
+  /**
+   * Play a note on a free (or stolen) voice
+   * @param {string|number} note - Note name or frequency
+   * @param {number} duration - Held duration in seconds
+   * @param {number} time - When to play the note (seconds)
+   * @param {number} velocity - Note velocity (0-1)
+   * @param {Object} position - Where the note sounds, for spatial voices (optional)
+   * @returns {Object} The voice that plays the note
+   */
+  triggerAttackRelease(note, duration, time, velocity = 1, position = null) {
+    const voice = this.allocate(time, duration, velocity);
+    if (position) {
+      voice.triggerAttackRelease(note, duration, time, velocity, position);
+    } else {
+      voice.triggerAttackRelease(note, duration, time, velocity);
+    }
+    return voice;
+  }
+
+  // Number of voices still sounding at `time`
+  getActiveCount(time) {
+    return this.entries.filter(entry => entry.endTime > time).length;
+  }
+
+  dispose() {
+    this.entries.forEach(entry => entry.voice.dispose());
+    this.entries = [];
+  }
+}